@@ -0,0 +1,116 @@
+import { access, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { LEVELS_DIR } from '../src/engine/node-level-loader.js';
+import { generateLevel, LevelGenerationError } from '../src/engine/level-generator.js';
+import { getLevelTimer } from '../src/engine/level-timer.js';
+
+/**
+ * Level generator: prints solvable levels drawn from a seed, or writes them as
+ * src/levels/level-<id>.json to fill the campaign.
+ * Usage: npm run generate:levels -- [--seed <n>] [--difficulty <1-10>] [--count <n>]
+ *   [--balls <n>] [--woodstocks <n>] [--power-ups <n>] [--walls <n>]
+ *   [--mechanics <name=weight,...>] [--mechanic-tiles <n>] [--moves <min>-<max>]
+ *   [--write <first level id>]
+ * Exits with code 1 when a level cannot be generated or a level file already exists.
+ */
+
+const NUMBER_OPTIONS = {
+  '--seed': 'seed',
+  '--difficulty': 'difficulty',
+  '--count': 'count',
+  '--balls': 'balls',
+  '--woodstocks': 'woodstocks',
+  '--power-ups': 'powerUps',
+  '--walls': 'walls',
+  '--mechanic-tiles': 'mechanicTiles',
+  '--write': 'write',
+};
+
+/**
+ * Read the command line into generator options
+ */
+function parseArguments(args) {
+  const options = { count: 1 };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (NUMBER_OPTIONS[arg]) {
+      options[NUMBER_OPTIONS[arg]] = Number(args[++i]);
+    } else if (arg === '--mechanics') {
+      // "arrows=2,toggles" -> { arrows: 2, toggles: 1 }
+      options.mechanics = Object.fromEntries(args[++i].split(',').map(part => {
+        const [name, weight = '1'] = part.split('=');
+        return [name, Number(weight)];
+      }));
+    } else if (arg === '--moves') {
+      [options.minMoves, options.maxMoves] = args[++i].split('-').map(Number);
+    } else {
+      throw new Error(`unknown argument ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { count, write, ...generatorOptions } = options;
+  let seed = options.seed;
+
+  for (let i = 0; i < count; i++) {
+    const id = write !== undefined ? write + i : undefined;
+    let result;
+    try {
+      result = generateLevel({
+        ...generatorOptions,
+        seed,
+        maxTime: getLevelTimer().duration, // The solution must fit in the default timer
+        id,
+        name: id !== undefined ? `Level ${id}` : undefined,
+      });
+    } catch (error) {
+      if (!(error instanceof LevelGenerationError)) throw error;
+      console.error(`✖ ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Next level: next seed, so a batch is reproducible from its first seed
+    seed = result.seed + 1;
+    const summary = `seed ${result.seed}, par ${result.moves} moves, ${result.time.toFixed(1)} s, ${result.attempts} attempt(s)`;
+
+    if (id === undefined) {
+      console.log(`// ${summary}`);
+      console.log(JSON.stringify(result.level, null, 2));
+      continue;
+    }
+
+    const file = `level-${id}.json`;
+    const path = join(LEVELS_DIR, file);
+    if (await fileExists(path)) {
+      console.error(`✖ ${file} already exists`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await writeFile(path, `${JSON.stringify(result.level, null, 2)}\n`);
+    console.log(`✔ ${file}: ${summary}`);
+  }
+}
+
+main();
@@ -0,0 +1,166 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { LEVELS_DIR } from '../src/engine/node-level-loader.js';
+import { validateLevel } from '../src/engine/level-validator.js';
+import { MUSIC_TRACKS } from '../src/engine/audio-manager.js';
+import { LevelManifest } from '../src/engine/level-manifest.js';
+
+/**
+ * Level linter: checks every src/levels/level-*.json and the campaign manifest without a browser.
+ * Usage: npm run lint:levels [-- <levels directory>]
+ * Exits with code 1 when a level or the manifest has errors.
+ */
+
+const LEVEL_FILE_PATTERN = /^level-(\d+|default)\.json$/;
+const MANIFEST_FILE = 'manifest.json';
+const MUSIC_NAMES = new Set(MUSIC_TRACKS.map(track => track.name));
+
+/**
+ * Sort level files by number, the fallback level last
+ */
+function compareLevelFiles(a, b) {
+  const numberOf = (file) => {
+    const key = file.match(LEVEL_FILE_PATTERN)[1];
+    return key === 'default' ? Infinity : Number(key);
+  };
+  return numberOf(a) - numberOf(b);
+}
+
+/**
+ * Check a single level file
+ * @param {string} levelsDir - Levels directory
+ * @param {string} file - Level file name
+ * @param {Map} seenIds - Level id -> file name, shared across files
+ * @param {Map} levels - Filled with level number -> level data, for the manifest check
+ * @returns {Promise<Array>} - List of {path, message}
+ */
+async function lintLevelFile(levelsDir, file, seenIds, levels) {
+  let level;
+  try {
+    level = JSON.parse(await readFile(join(levelsDir, file), 'utf8'));
+  } catch (error) {
+    return [{ path: '', message: `cannot read level: ${error.message}` }];
+  }
+
+  const key = file.match(LEVEL_FILE_PATTERN)[1];
+  if (key !== 'default') {
+    levels.set(Number(key), level);
+  }
+
+  const errors = validateLevel(level);
+
+  // The fallback level is not part of the sequence and may reuse an id
+  if (key !== 'default' && Number.isInteger(level.id)) {
+    if (level.id !== Number(key)) {
+      errors.push({ path: 'id', message: `id ${level.id} does not match file name ${file}` });
+    }
+    if (seenIds.has(level.id)) {
+      errors.push({ path: 'id', message: `id ${level.id} already used by ${seenIds.get(level.id)}` });
+    } else {
+      seenIds.set(level.id, file);
+    }
+  }
+
+  for (const field of ['music', 'clearMusic']) {
+    if (typeof level[field] === 'string' && !MUSIC_NAMES.has(level[field])) {
+      errors.push({ path: field, message: `unknown music track "${level[field]}" (not loaded by AudioManager)` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check the campaign manifest against the level files
+ * @param {string} levelsDir - Levels directory
+ * @param {Map} levels - Level number -> level data (from lintLevelFile)
+ * @returns {Promise<Array|null>} - List of {path, message}, or null if there is no manifest
+ */
+async function lintManifest(levelsDir, levels) {
+  let manifest;
+  try {
+    manifest = new LevelManifest(JSON.parse(await readFile(join(levelsDir, MANIFEST_FILE), 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    return [{ path: '', message: `cannot read manifest: ${error.message}` }];
+  }
+
+  const errors = manifest.validate();
+
+  for (const entry of manifest.levels) {
+    const level = levels.get(entry.id);
+    if (!level) {
+      errors.push({ path: `level ${entry.id}`, message: `level-${entry.id}.json does not exist` });
+    } else if (level.name !== entry.name) {
+      errors.push({ path: `level ${entry.id}`, message: `name "${entry.name}" does not match the level file ("${level.name}")` });
+    }
+  }
+
+  for (const id of manifest.devLevels) {
+    if (!levels.has(id)) {
+      errors.push({ path: 'devLevels', message: `level-${id}.json does not exist` });
+    }
+  }
+
+  // A level that is neither in the campaign nor a dev level can never be played
+  for (const id of levels.keys()) {
+    if (!manifest.has(id) && !manifest.devLevels.includes(id)) {
+      errors.push({ path: `level ${id}`, message: `level-${id}.json is not in any zone (add it to a zone or to devLevels)` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Print the report of one file
+ * @returns {number} - Number of errors
+ */
+function report(file, errors) {
+  if (errors.length === 0) {
+    console.log(`✔ ${file}`);
+    return 0;
+  }
+
+  console.log(`✖ ${file}`);
+  for (const { path, message } of errors) {
+    console.log(`    ${path || '(level)'}: ${message}`);
+  }
+  return errors.length;
+}
+
+async function main() {
+  const levelsDir = process.argv[2] ?? LEVELS_DIR;
+  const files = (await readdir(levelsDir))
+    .filter(file => LEVEL_FILE_PATTERN.test(file))
+    .sort(compareLevelFiles);
+
+  const seenIds = new Map();
+  const levels = new Map();
+  let failedFiles = 0;
+  let errorCount = 0;
+
+  for (const file of files) {
+    const errors = await lintLevelFile(levelsDir, file, seenIds, levels);
+    errorCount += report(file, errors);
+    failedFiles += errors.length > 0 ? 1 : 0;
+  }
+
+  const manifestErrors = await lintManifest(levelsDir, levels);
+  if (manifestErrors) {
+    errorCount += report(MANIFEST_FILE, manifestErrors);
+    failedFiles += manifestErrors.length > 0 ? 1 : 0;
+  } else {
+    console.log(`- ${MANIFEST_FILE} not found, campaign not checked`);
+  }
+
+  console.log('');
+  if (failedFiles > 0) {
+    console.log(`${errorCount} error(s) in ${failedFiles} file(s)`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${files.length} level(s) OK${manifestErrors ? ', manifest OK' : ''}`);
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+import { readdir } from 'node:fs/promises';
+import { LEVELS_DIR, createNodeLevelLoader } from '../src/engine/node-level-loader.js';
+import { validateLevel } from '../src/engine/level-validator.js';
+import { solveLevel } from '../src/engine/level-solver.js';
+import { getLevelTimer } from '../src/engine/level-timer.js';
+
+/**
+ * Level solver: proves each level can be cleared and prints its par (fewest moves)
+ * with the solution. Balls are ignored; the solution time is compared with the level timer.
+ * Usage: npm run solve:levels [-- <level numbers...>] [--max-states <n>]
+ * Exits with code 1 when a level is invalid or unsolvable.
+ */
+
+const LEVEL_FILE_PATTERN = /^level-(\d+)\.json$/;
+
+/**
+ * Read the command line: level numbers and options
+ */
+function parseArguments(args) {
+  const options = { levels: [], maxStates: undefined };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--max-states') {
+      options.maxStates = Number(args[++i]);
+    } else {
+      options.levels.push(Number(args[i]));
+    }
+  }
+  return options;
+}
+
+/**
+ * Shorten a move sequence: "left left left" -> "left ×3"
+ */
+function formatSequence(sequence) {
+  const parts = [];
+  for (let i = 0; i < sequence.length;) {
+    let count = 1;
+    while (sequence[i + count] === sequence[i]) count++;
+    parts.push(count > 1 ? `${sequence[i]} ×${count}` : sequence[i]);
+    i += count;
+  }
+  return parts.join(', ');
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const levels = options.levels.length > 0
+    ? options.levels
+    : (await readdir(LEVELS_DIR))
+      .map(file => file.match(LEVEL_FILE_PATTERN))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+
+
+  const loadLevel = createNodeLevelLoader();
+  let failed = 0;
+
+  for (const levelNumber of levels) {
+    const file = `level-${levelNumber}.json`;
+    let level;
+    try {
+      level = await loadLevel(levelNumber);
+    } catch (error) {
+      console.log(`✖ ${file}: cannot read level: ${error.message}`);
+      failed++;
+      continue;
+    }
+
+    if (validateLevel(level).length > 0) {
+      console.log(`✖ ${file}: invalid level (see npm run lint:levels)`);
+      failed++;
+      continue;
+    }
+
+    const result = solveLevel(level, { maxStates: options.maxStates });
+
+    if (!result.complete) {
+      console.log(`? ${file}: search budget exhausted after ${result.states} states, solvability unknown`);
+      continue;
+    }
+
+    if (!result.solvable) {
+      failed++;
+      const cells = result.unreachable.map(({ x, y }) => `(${x}, ${y})`).join(', ');
+      console.log(`✖ ${file}: unsolvable`);
+      console.log(cells
+        ? `    unreachable Woodstocks: ${cells}`
+        : '    every Woodstock is reachable, but not all of them in the same run');
+      continue;
+    }
+
+    console.log(`✔ ${file}: par ${result.moves} moves, ${result.time.toFixed(1)} s (${result.states} states)`);
+    console.log(`    ${formatSequence(result.sequence)}`);
+    const timer = getLevelTimer(level);
+    if (timer.enabled && result.time > timer.duration) {
+      console.log(`    ⚠ the solution takes longer than the ${timer.duration} s timer`);
+    }
+  }
+
+  console.log('');
+  if (failed > 0) {
+    console.log(`${failed} of ${levels.length} level(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${levels.length} level(s) checked`);
+  }
+}
+
+main();
@@ -2,7 +2,7 @@
  * Game configuration constants
  */
 export const CONFIG = {
-  // Grid dimensions
+  // Visible grid (screen size in tiles); levels can be bigger or smaller, the camera follows Snoopy
   GRID_WIDTH: 9,
   GRID_HEIGHT: 8,
   TILE_SIZE: 32,
@@ -38,9 +38,12 @@ export const CONFIG = {
   DEV_MODE: true,
 
   // Game settings
-  FPS: 60,
-  PLAYER_SPEED: 3,
-  BALL_SPEED: 2,
+  FPS: 60, // Simulation rate (fixed steps per second)
+  GAME_SPEED: 1, // Time scale (0.5 = slow motion)
+  STARTING_LIVES: 3,
+  PLAYER_SPEED: 180, // Pixels per second
+  BALL_SPEED: 120, // Pixels per second on each axis
+  PARTICLE_SPEED: 720, // Ball explosion particles, pixels per second on each axis
   BALL_SIZE: 8, // Ball collision size (8x8 pixels)
   BALL_DISPLAY_SIZE: 16, // Ball display size (16x16 pixels)
   BALL_ANGLE_RANDOMNESS: Math.PI / 8, // random variation on bounce angle
@@ -53,5 +56,16 @@ export const CONFIG = {
     RIGHT: ['ArrowRight', 'd', 'D'],
     ACTION: [' ', 'Enter'],
     RESTART: ['r', 'R'],
+    REWIND: ['Backspace'],
+    UNDO: ['u', 'U'],
+  },
+
+  // Rewind / undo
+  REWIND: {
+    ENABLED: true, // Disable for scored/competitive modes
+    INTERVAL: 0.25, // Seconds between saved states
+    DURATION: 10, // Seconds of history kept
+    STEP_TIME: 0.1, // Seconds between steps back while the rewind button is held
+    MAX_UNDO: 20, // Block pushes that can be undone
   },
 };
@@ -1,3 +1,68 @@
+import { GameEvent } from './event-bus.js';
+
+/**
+ * Music tracks loaded by AudioManager.loadAll (level "music" and "clearMusic" must be one of these names)
+ */
+export const MUSIC_TRACKS = [
+  // UI music
+  { name: 'title', path: '/music/01-BGM-01.mp3' },
+
+  // Power-up music
+  { name: 'invincible', path: '/music/22-BGM-12.mp3' },
+  { name: 'frozen-time', path: '/music/23-BGM-13.mp3' },
+
+  // Game state music
+  { name: 'miss', path: '/music/25-Jingle-11.mp3', loop: false }, // Don't loop defeat music
+  { name: 'game-over', path: '/music/26-Jingle-12.mp3', loop: false }, // Don't loop game over music
+  { name: 'stage-clear', path: '/music/24-BGM-14.mp3', loop: false }, // Generic stage clear music
+
+  // Stage music (all 9 stages)
+  { name: 'stage-bgm-2', path: '/music/02-BGM-02.mp3' },
+  { name: 'stage-clear-1', path: '/music/03-Jingle-01.mp3', loop: false },
+
+  { name: 'stage-bgm-3', path: '/music/04-BGM-03.mp3' },
+  { name: 'stage-clear-2', path: '/music/05-Jingle-02.mp3', loop: false },
+
+  { name: 'stage-bgm-4', path: '/music/06-BGM-04.mp3' },
+  { name: 'stage-clear-3', path: '/music/07-Jingle-03.mp3', loop: false },
+
+  { name: 'stage-bgm-5', path: '/music/08-BGM-05.mp3' },
+  { name: 'stage-clear-4', path: '/music/09-Jingle-04.mp3', loop: false },
+
+  { name: 'stage-bgm-6', path: '/music/10-BGM-06.mp3' },
+  { name: 'stage-clear-5', path: '/music/11-Jingle-05.mp3', loop: false },
+
+  { name: 'stage-bgm-7', path: '/music/12-BGM-07.mp3' },
+  { name: 'stage-clear-6', path: '/music/13-Jingle-06.mp3', loop: false },
+
+  { name: 'stage-bgm-8', path: '/music/14-BGM-08.mp3' },
+  { name: 'stage-clear-7', path: '/music/15-Jingle-07.mp3', loop: false },
+
+  { name: 'stage-bgm-9', path: '/music/16-BGM-09.mp3' },
+  { name: 'stage-clear-8', path: '/music/17-Jingle-08.mp3', loop: false },
+
+  { name: 'stage-bgm-10', path: '/music/18-BGM-10.mp3' },
+  { name: 'stage-clear-9', path: '/music/19-Jingle-09.mp3', loop: false },
+
+  { name: 'stage-bgm-11', path: '/music/20-BGM-11.mp3' },
+  { name: 'stage-clear-10', path: '/music/21-Jingle-10.mp3', loop: false },
+];
+
+/**
+ * Sound effects loaded by AudioManager.loadAll
+ */
+export const SOUND_EFFECTS = [
+  { name: 'powerup-time', path: '/sfx/34.mp3' },
+  { name: 'powerup-god', path: '/sfx/34.mp3' },
+  { name: 'ball-collision', path: '/sfx/35.mp3' },
+  { name: 'woodstock-collect', path: '/sfx/36.mp3' },
+  { name: 'block-break', path: '/sfx/37.mp3' },
+  { name: 'block-break-item', path: '/sfx/38.mp3' },
+  { name: 'pause', path: '/sfx/39.mp3' },
+  { name: 'timer', path: '/sfx/40.mp3' },
+  { name: 'teleport', path: '/sfx/41.mp3' },
+];
+
 /**
  * Manages game audio (music and sound effects)
  */
@@ -41,59 +106,13 @@ export class AudioManager {
    * Load all music tracks and sound effects
    */
   loadAll() {
-    // UI music
-    this.loadMusic('title', '/music/01-BGM-01.mp3');
-
-    // Power-up music
-    this.loadMusic('invincible', '/music/22-BGM-12.mp3');
-    this.loadMusic('frozen-time', '/music/23-BGM-13.mp3');
-
-    // Game state music
-    this.loadMusic('miss', '/music/25-Jingle-11.mp3', false); // Don't loop defeat music
-    this.loadMusic('game-over', '/music/26-Jingle-12.mp3', false); // Don't loop game over music
-    this.loadMusic('stage-clear', '/music/24-BGM-14.mp3', false); // Generic stage clear music
-
-    // Stage music (all 9 stages)
-    this.loadMusic('stage-bgm-2', '/music/02-BGM-02.mp3');
-    this.loadMusic('stage-clear-1', '/music/03-Jingle-01.mp3', false);
-
-    this.loadMusic('stage-bgm-3', '/music/04-BGM-03.mp3');
-    this.loadMusic('stage-clear-2', '/music/05-Jingle-02.mp3', false);
-
-    this.loadMusic('stage-bgm-4', '/music/06-BGM-04.mp3');
-    this.loadMusic('stage-clear-3', '/music/07-Jingle-03.mp3', false);
-
-    this.loadMusic('stage-bgm-5', '/music/08-BGM-05.mp3');
-    this.loadMusic('stage-clear-4', '/music/09-Jingle-04.mp3', false);
-
-    this.loadMusic('stage-bgm-6', '/music/10-BGM-06.mp3');
-    this.loadMusic('stage-clear-5', '/music/11-Jingle-05.mp3', false);
-
-    this.loadMusic('stage-bgm-7', '/music/12-BGM-07.mp3');
-    this.loadMusic('stage-clear-6', '/music/13-Jingle-06.mp3', false);
-
-    this.loadMusic('stage-bgm-8', '/music/14-BGM-08.mp3');
-    this.loadMusic('stage-clear-7', '/music/15-Jingle-07.mp3', false);
-
-    this.loadMusic('stage-bgm-9', '/music/16-BGM-09.mp3');
-    this.loadMusic('stage-clear-8', '/music/17-Jingle-08.mp3', false);
-
-    this.loadMusic('stage-bgm-10', '/music/18-BGM-10.mp3');
-    this.loadMusic('stage-clear-9', '/music/19-Jingle-09.mp3', false);
-
-    this.loadMusic('stage-bgm-11', '/music/20-BGM-11.mp3');
-    this.loadMusic('stage-clear-10', '/music/21-Jingle-10.mp3', false);
+    for (const track of MUSIC_TRACKS) {
+      this.loadMusic(track.name, track.path, track.loop ?? true);
+    }
 
-    // Sound effects
-    this.loadSfx('powerup-time', '/sfx/34.mp3');
-    this.loadSfx('powerup-god', '/sfx/34.mp3');
-    this.loadSfx('ball-collision', '/sfx/35.mp3');
-    this.loadSfx('woodstock-collect', '/sfx/36.mp3');
-    this.loadSfx('block-break', '/sfx/37.mp3');
-    this.loadSfx('block-break-item', '/sfx/38.mp3');
-    this.loadSfx('pause', '/sfx/39.mp3');
-    this.loadSfx('timer', '/sfx/40.mp3');
-    this.loadSfx('teleport', '/sfx/41.mp3');
+    for (const sound of SOUND_EFFECTS) {
+      this.loadSfx(sound.name, sound.path);
+    }
   }
 
   /**
@@ -224,6 +243,35 @@ export class AudioManager {
     });
   }
 
+  /**
+   * Play sound effects for gameplay events
+   * @param {EventBus} events - Gameplay event bus
+   */
+  subscribe(events) {
+    events.on(GameEvent.WOODSTOCK_COLLECTED, () => this.playSfx('woodstock-collect'));
+    events.on(GameEvent.BALL_BOUNCED, () => this.playSfx('ball-collision'));
+    events.on(GameEvent.TELEPORTED, () => this.playSfx('teleport'));
+    events.on(GameEvent.TIMER_WARNING, () => this.playSfx('timer'));
+
+    // Click when a plate is pressed or a switch flipped (releasing a plate is silent)
+    events.on(GameEvent.TRIGGER_CHANGED, ({ active }) => {
+      if (active) {
+        this.playSfx('pause');
+      }
+    });
+
+    events.on(GameEvent.BLOCK_BROKEN, ({ items }) => {
+      this.playSfx(items.length > 0 ? 'block-break-item' : 'block-break');
+    });
+
+    // Power-up reveal sound based on type (portals reveal silently)
+    events.on(GameEvent.ITEM_REVEALED, ({ item }) => {
+      if (item.type === 'powerup') {
+        this.playSfx(item.powerType === 'time' ? 'powerup-time' : 'powerup-god');
+      }
+    });
+  }
+
   /**
    * Set music volume
    */
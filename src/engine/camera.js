@@ -0,0 +1,73 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Camera over the game area: follows a point (Snoopy) when the level is bigger than the screen.
+ * The view never shows outside a level bigger than the screen; a level smaller than the
+ * screen is centered on that axis. Pure view state: not part of the simulation or snapshots.
+ */
+export class Camera {
+  /**
+   * @param {number} viewWidth - Visible width in pixels
+   * @param {number} viewHeight - Visible height in pixels
+   */
+  constructor(viewWidth = CONFIG.GAME_AREA_WIDTH, viewHeight = CONFIG.GAME_AREA_HEIGHT) {
+    this.viewWidth = viewWidth;
+    this.viewHeight = viewHeight;
+    this.x = 0; // Top-left corner of the view, in level pixels
+    this.y = 0;
+    this.followSpeed = 8; // Fraction of the distance closed per second (higher = tighter)
+  }
+
+  /**
+   * View position centered on a point, kept inside the level
+   * @param {number} focusX - Point to center on, in level pixels
+   * @param {number} focusY
+   * @param {number} levelWidth - Level size in pixels
+   * @param {number} levelHeight
+   * @returns {{x: number, y: number}}
+   */
+  getTarget(focusX, focusY, levelWidth, levelHeight) {
+    return {
+      x: this.clampAxis(focusX - this.viewWidth / 2, levelWidth, this.viewWidth),
+      y: this.clampAxis(focusY - this.viewHeight / 2, levelHeight, this.viewHeight),
+    };
+  }
+
+  /**
+   * Clamp one axis of the view: centered if the level is smaller than the view
+   */
+  clampAxis(position, levelSize, viewSize) {
+    if (levelSize <= viewSize) {
+      return (levelSize - viewSize) / 2;
+    }
+    return Math.max(0, Math.min(position, levelSize - viewSize));
+  }
+
+  /**
+   * Move smoothly towards a point
+   * @param {number} dt - Delta time in seconds
+   */
+  follow(dt, focusX, focusY, levelWidth, levelHeight) {
+    const target = this.getTarget(focusX, focusY, levelWidth, levelHeight);
+    const t = Math.min(1, dt * this.followSpeed);
+    this.x += (target.x - this.x) * t;
+    this.y += (target.y - this.y) * t;
+  }
+
+  /**
+   * Jump to a point (level start, no scrolling from the previous position)
+   */
+  snap(focusX, focusY, levelWidth, levelHeight) {
+    const target = this.getTarget(focusX, focusY, levelWidth, levelHeight);
+    this.x = target.x;
+    this.y = target.y;
+  }
+
+  /**
+   * Translate the context from view coordinates to level coordinates
+   * (whole pixels, so tiles stay sharp)
+   */
+  apply(ctx) {
+    ctx.translate(-Math.round(this.x), -Math.round(this.y));
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Collision layers (entity classes declare theirs with `static collisionLayer`)
+ */
+export const CollisionLayer = {
+  PLAYER: 'player',
+  ENEMY: 'enemy',
+  PICKUP: 'pickup',
+};
+
+/**
+ * When a collision rule is checked during a simulation tick
+ */
+export const CollisionPhase = {
+  CONTINUOUS: 'continuous', // Every tick, after the entities moved
+  SETTLED: 'settled', // When the player stands on a tile (not moving, or just stopped)
+};
+
+/**
+ * Default collision matrix: which layers interact, when, and what happens
+ *
+ * Each rule checks every entity of layer `a` against every entity of layer `b`:
+ * - ignore(a): skip this `a` entity for the whole check (e.g. invulnerable player)
+ * - onCollide(a, b, game): called for each overlapping pair
+ */
+export const DEFAULT_COLLISION_RULES = [
+  {
+    // Balls hit the player (or are destroyed by an invincible player)
+    a: CollisionLayer.PLAYER,
+    b: CollisionLayer.ENEMY,
+    phase: CollisionPhase.CONTINUOUS,
+    ignore: (player) => player.isTeleporting || player.isDefeated,
+    onCollide: (player, enemy, game) => enemy.onCollideWithPlayer(player, game),
+  },
+  {
+    // Woodstocks and power-ups are collected on the tile Snoopy stands on
+    a: CollisionLayer.PLAYER,
+    b: CollisionLayer.PICKUP,
+    phase: CollisionPhase.SETTLED,
+    ignore: (player) => player.isDefeated,
+    onCollide: (player, pickup, game) => pickup.onCollideWithPlayer(player, game),
+  },
+];
+
+/**
+ * Check if the hitboxes of two entities overlap
+ */
+export function hitboxesOverlap(entity1, entity2) {
+  const e1 = entity1.getHitbox();
+  const e2 = entity2.getHitbox();
+
+  return (
+    e1.x < e2.x + e2.width &&
+    e1.x + e1.width > e2.x &&
+    e1.y < e2.y + e2.height &&
+    e1.y + e1.height > e2.y
+  );
+}
+
+/**
+ * Runs the collision rules between entity layers
+ */
+export class CollisionSystem {
+  /**
+   * @param {Array<object>} rules - Collision rules (see DEFAULT_COLLISION_RULES)
+   */
+  constructor(rules = DEFAULT_COLLISION_RULES) {
+    this.rules = [...rules];
+  }
+
+  /**
+   * Add a rule to the matrix
+   */
+  addRule(rule) {
+    this.rules.push(rule);
+  }
+
+  /**
+   * Check the rules of a phase
+   * @param {string} phase - A CollisionPhase value
+   * @param {EntityManager} entityManager - Entities to check
+   * @param {Simulation} game - Passed to the callbacks
+   */
+  check(phase, entityManager, game) {
+    for (const rule of this.rules) {
+      if (rule.phase !== phase) continue;
+
+      const groupA = entityManager.getByLayer(rule.a);
+      const groupB = entityManager.getByLayer(rule.b);
+
+      for (const a of groupA) {
+        if (rule.ignore && rule.ignore(a)) continue;
+
+        for (const b of groupB) {
+          if (a !== b && hitboxesOverlap(a, b)) {
+            rule.onCollide(a, b, game);
+          }
+        }
+      }
+    }
+  }
+}
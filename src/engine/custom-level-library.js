@@ -0,0 +1,146 @@
+import { validateLevel } from './level-validator.js';
+
+/**
+ * Custom level key of a level played from the library (see LevelManager.setCustomLevel)
+ */
+export const LIBRARY_LEVEL = 'custom';
+
+const STORAGE_KEY = 'snoopy-custom-levels';
+
+/**
+ * Custom levels imported by the player (level JSON files), kept in local storage.
+ * Only valid levels are stored. Each entry is { id, name, level, addedAt }.
+ */
+export class CustomLevelLibrary {
+  /**
+   * @param {Storage|null} storage - Where the library is saved (localStorage in the browser; null keeps it in memory)
+   */
+  constructor(storage = globalThis.localStorage ?? null) {
+    this.storage = storage;
+    this.entries = this.read();
+  }
+
+  /**
+   * Load the saved entries (an unreadable library is ignored, not overwritten until the next change)
+   */
+  read() {
+    try {
+      const entries = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.warn('Custom level library is unreadable:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the entries
+   * @throws {Error} - If the storage is full
+   */
+  write() {
+    this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+  }
+
+  /**
+   * Entries, in import order
+   */
+  list() {
+    return this.entries;
+  }
+
+  /**
+   * Entry by id (or null)
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Add a level (checked with the rules of LevelManager)
+   * @param {object} level - Level data
+   * @returns {{entry: object|null, errors: Array<{path: string, message: string}>}} - entry is null if the level is invalid
+   */
+  add(level) {
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+      return { entry: null, errors };
+    }
+
+    const entry = {
+      id: this.entries.reduce((max, other) => Math.max(max, other.id), 0) + 1,
+      name: level.name,
+      level: structuredClone(level),
+      addedAt: Date.now(),
+    };
+    this.entries.push(entry);
+
+    try {
+      this.write();
+    } catch (error) {
+      this.entries.pop();
+      return { entry: null, errors: [{ path: '', message: `cannot save the level (${error.message})` }] };
+    }
+
+    return { entry, errors };
+  }
+
+  /**
+   * Add a level from the text of a level file
+   * @returns {{entry: object|null, errors: Array<{path: string, message: string}>}}
+   */
+  importJSON(text) {
+    let level;
+    try {
+      level = JSON.parse(text);
+    } catch (error) {
+      return { entry: null, errors: [{ path: '', message: `not a JSON file (${error.message})` }] };
+    }
+
+    return this.add(level);
+  }
+
+  /**
+   * Rename an entry (the level name too, shown while it is played)
+   * @returns {boolean} - false if the entry is unknown, the name is empty or the library cannot be saved
+   */
+  rename(id, name) {
+    const entry = this.get(id);
+    const trimmed = name.trim();
+    if (!entry || trimmed === '') return false;
+
+    const previous = entry.name;
+    entry.name = trimmed;
+    entry.level.name = trimmed;
+
+    try {
+      this.write();
+    } catch (error) {
+      console.warn('Cannot save the custom level library:', error);
+      entry.name = previous;
+      entry.level.name = previous;
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete an entry
+   * @returns {boolean} - false if the entry is unknown or the library cannot be saved
+   */
+  remove(id) {
+    const entries = this.entries;
+    this.entries = entries.filter(entry => entry.id !== id);
+    if (this.entries.length === entries.length) return false;
+
+    try {
+      this.write();
+    } catch (error) {
+      console.warn('Cannot save the custom level library:', error);
+      this.entries = entries;
+      return false;
+    }
+
+    return true;
+  }
+}
@@ -1,22 +1,30 @@
-import { Ball } from '../entities/ball.js';
-import { Woodstock } from '../entities/woodstock.js';
-import { PowerUp } from '../entities/power-up.js';
-import { Portal } from '../entities/portal.js';
-import { TileType } from '../tiles/tile-types.js';
+import { getEntityClass } from '../entities/entity-registry.js';
 
 /**
  * Manages all game entities
  */
 export class EntityManager {
   constructor() {
-    this.entities = [];
+    this.entities = []; // All entities, in update order
+    this.nextId = 1; // Unique entity ids (snapshots refer to entities by id)
+
+    // Indexes (rebuilt from this.entities, never saved in snapshots)
+    this.byType = new Map(); // Entity arrays, keyed by type
+    this.byLayer = new Map(); // Entity arrays, keyed by collision layer
+    this.cells = new Map(); // Entity sets, keyed by grid cell "x,y"
+    this.cellKeys = new Map(); // Grid cell of each entity
+    this.renderOrder = []; // Kept sorted for rendering (nearly sorted between frames)
   }
 
   /**
    * Add an entity
    */
   add(entity) {
+    if (entity.id === undefined) {
+      entity.id = this.nextId++;
+    }
     this.entities.push(entity);
+    this.index(entity);
   }
 
   /**
@@ -26,6 +34,7 @@ export class EntityManager {
     const index = this.entities.indexOf(entity);
     if (index > -1) {
       this.entities.splice(index, 1);
+      this.unindex(entity);
     }
   }
 
@@ -38,9 +47,24 @@ export class EntityManager {
 
   /**
    * Get entities by type
+   * Returns the live bucket: copy it before adding or removing entities while iterating
    */
   getByType(type) {
-    return this.entities.filter(e => e.type === type);
+    return this.byType.get(type) || [];
+  }
+
+  /**
+   * Get entities by collision layer (live bucket, like getByType)
+   */
+  getByLayer(layer) {
+    return this.byLayer.get(layer) || [];
+  }
+
+  /**
+   * Get an entity by its id
+   */
+  getById(id) {
+    return this.entities.find(e => e.id === id) || null;
   }
 
   /**
@@ -50,77 +74,193 @@ export class EntityManager {
     return this.getByType(type);
   }
 
+  /**
+   * Get the entities in a grid cell
+   * @param {string|null} type - Only entities of this type
+   */
+  getAt(gridX, gridY, type = null) {
+    const cell = this.cells.get(`${gridX},${gridY}`);
+    if (!cell) return [];
+
+    const entities = [...cell];
+    return type ? entities.filter(e => e.type === type) : entities;
+  }
+
+  /**
+   * Check if a grid cell holds an entity (of the given type)
+   */
+  hasAt(gridX, gridY, type = null) {
+    const cell = this.cells.get(`${gridX},${gridY}`);
+    if (!cell) return false;
+    if (!type) return cell.size > 0;
+
+    for (const entity of cell) {
+      if (entity.type === type) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the entities whose grid cell is within a radius (in tiles) of a cell
+   * @param {string|null} type - Only entities of this type
+   */
+  getInRadius(gridX, gridY, radius, type = null) {
+    const result = [];
+    const range = Math.floor(radius);
+
+    for (let y = gridY - range; y <= gridY + range; y++) {
+      for (let x = gridX - range; x <= gridX + range; x++) {
+        const dx = x - gridX;
+        const dy = y - gridY;
+        if (dx * dx + dy * dy > radius * radius) continue;
+
+        result.push(...this.getAt(x, y, type));
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Clear all entities
    */
   clear() {
+    for (const entity of this.entities) {
+      entity.entityManager = null;
+    }
     this.entities = [];
+    this.rebuildIndexes();
+  }
+
+  /**
+   * Add an entity to the type, layer and cell indexes
+   */
+  index(entity) {
+    if (!this.byType.has(entity.type)) {
+      this.byType.set(entity.type, []);
+    }
+    this.byType.get(entity.type).push(entity);
+
+    const layer = entity.constructor.collisionLayer;
+    if (layer) {
+      if (!this.byLayer.has(layer)) {
+        this.byLayer.set(layer, []);
+      }
+      this.byLayer.get(layer).push(entity);
+    }
+
+    this.renderOrder.push(entity);
+
+    // Moves report to this manager (see Entity.setPosition); not enumerable, so snapshots skip it
+    Object.defineProperty(entity, 'entityManager', { value: this, writable: true, configurable: true });
+    this.updateCell(entity);
+  }
+
+  /**
+   * Remove an entity from the indexes
+   */
+  unindex(entity) {
+    removeFrom(this.byType.get(entity.type), entity);
+    removeFrom(this.byLayer.get(entity.constructor.collisionLayer), entity);
+    removeFrom(this.renderOrder, entity);
+
+    const key = this.cellKeys.get(entity);
+    this.cells.get(key)?.delete(entity);
+    this.cellKeys.delete(entity);
+    entity.entityManager = null;
   }
 
   /**
-   * Spawn an entity from level data
+   * Rebuild all indexes from the entity list (after clear or restore)
+   */
+  rebuildIndexes() {
+    this.byType = new Map();
+    this.byLayer = new Map();
+    this.cells = new Map();
+    this.cellKeys = new Map();
+    this.renderOrder = [];
+
+    for (const entity of this.entities) {
+      this.index(entity);
+    }
+  }
+
+  /**
+   * Move an entity to its current grid cell in the occupancy index (called by Entity.setPosition)
+   */
+  updateCell(entity) {
+    const key = `${entity.getGridX()},${entity.getGridY()}`;
+    const previousKey = this.cellKeys.get(entity);
+    if (key === previousKey) return;
+
+    if (previousKey !== undefined) {
+      this.cells.get(previousKey).delete(entity);
+    }
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(entity);
+    this.cellKeys.set(entity, key);
+  }
+
+  /**
+   * Capture all entities as plain data
+   */
+  snapshot() {
+    return {
+      nextId: this.nextId,
+      entities: this.entities.map(entity => structuredClone({ ...entity })),
+    };
+  }
+
+  /**
+   * Rebuild all entities from a snapshot
+   */
+  restore(data) {
+    this.nextId = data.nextId;
+    this.entities = data.entities.map(fields => {
+      const EntityClass = getEntityClass(fields.type);
+      if (!EntityClass) {
+        throw new Error(`Unknown entity type in snapshot: ${fields.type}`);
+      }
+
+      // Bypass the constructor: every field comes from the snapshot
+      return Object.assign(Object.create(EntityClass.prototype), structuredClone(fields));
+    });
+    this.rebuildIndexes();
+  }
+
+  /**
+   * Spawn an entity from level data (the entity type comes from the entity registry)
+   * @returns {Entity|null} - The new entity, or null if its spawn validation failed
+   * @throws {Error} - If the type is unknown or cannot be hidden in a block
    */
   spawnFromData(data, levelManager) {
-    let entity = null;
-
-    switch (data.type) {
-      case 'ball':
-        entity = new Ball(data.x, data.y, data.vx || 1, data.vy || 1);
-        break;
-
-      case 'woodstock':
-        // Validate that Woodstock is not on a block
-        if (levelManager) {
-          const tile = levelManager.getTileAt(data.x, data.y);
-          if (tile !== TileType.EMPTY &&
-              tile !== TileType.ARROW_UP &&
-              tile !== TileType.ARROW_DOWN &&
-              tile !== TileType.ARROW_LEFT &&
-              tile !== TileType.ARROW_RIGHT &&
-              tile !== TileType.TELEPORT_A &&
-              tile !== TileType.TELEPORT_B &&
-              tile !== TileType.TOGGLE_BLOCK) {
-            console.warn(`Woodstock at (${data.x}, ${data.y}) is on a blocking tile (type ${tile}). Skipping spawn.`);
-            return; // Don't spawn Woodstock on solid blocks
-          }
-        }
-        entity = new Woodstock(data.x, data.y);
-        break;
-
-      case 'powerup':
-        const hidden = data.hidden || false;
-        const customTargets = data.targets || null;
-        entity = new PowerUp(data.x, data.y, data.powerType || 'speed', hidden, customTargets);
-
-        // If power-up is hidden in a block, register it with the level manager
-        if (hidden && data.blockX !== undefined && data.blockY !== undefined && levelManager) {
-          levelManager.hidePowerUpInBlock(data.blockX, data.blockY, entity);
-        }
-        break;
-
-      case 'portal':
-        const portalHidden = data.hidden || false;
-        const destX = data.destinationX;
-        const destY = data.destinationY;
-
-        // Validate destination coordinates
-        if (destX === undefined || destY === undefined) {
-          console.warn(`Portal at (${data.x}, ${data.y}) has no destination. Skipping spawn.`);
-          return;
-        }
-
-        entity = new Portal(data.x, data.y, destX, destY, portalHidden);
-
-        // If portal is hidden in a block, register it with the level manager
-        if (portalHidden && data.blockX !== undefined && data.blockY !== undefined && levelManager) {
-          levelManager.hidePortalInBlock(data.blockX, data.blockY, entity);
-        }
-        break;
-    }
-
-    if (entity) {
-      this.add(entity);
+    const EntityClass = getEntityClass(data.type);
+    if (!EntityClass || typeof EntityClass.fromLevelData !== 'function') {
+      throw new Error(`Unknown entity type in level data: ${data.type}`);
+    }
+
+    if (data.hidden && !EntityClass.canHideInBlock) {
+      throw new Error(`Entity type ${data.type} cannot be hidden in a block`);
+    }
+
+    // Placement rules of the entity type (e.g. Woodstock not on a solid block)
+    const problem = EntityClass.validateSpawn ? EntityClass.validateSpawn(data, levelManager) : null;
+    if (problem) {
+      console.warn(`${problem}. Skipping spawn.`);
+      return null;
+    }
+
+    const entity = EntityClass.fromLevelData(data);
+
+    // If the entity is hidden in a block, register it with the level manager
+    if (data.hidden && data.blockX !== undefined && data.blockY !== undefined && levelManager) {
+      levelManager.hideInBlock(data.blockX, data.blockY, entity);
     }
+
+    this.add(entity);
+    return entity;
   }
 
   /**
@@ -150,17 +290,41 @@ export class EntityManager {
   render(renderer, spriteManager) {
     // Sort entities by type and y position for proper layering
     // Player is always rendered last (on top)
-    const sorted = [...this.entities].sort((a, b) => {
-      // Player always on top
-      if (a.type === 'player') return 1;
-      if (b.type === 'player') return -1;
-
-      // Other entities sorted by y position
-      return a.y - b.y;
-    });
+    // Insertion sort: the order barely changes between frames, so this is close to one pass
+    const order = this.renderOrder;
+    for (let i = 1; i < order.length; i++) {
+      const entity = order[i];
+      let j = i - 1;
+      while (j >= 0 && compareRenderOrder(order[j], entity) > 0) {
+        order[j + 1] = order[j];
+        j--;
+      }
+      order[j + 1] = entity;
+    }
 
-    for (const entity of sorted) {
+    for (const entity of order) {
       entity.render(renderer, spriteManager);
     }
   }
 }
+
+/**
+ * Render order: player always on top, other entities sorted by y position
+ */
+function compareRenderOrder(a, b) {
+  if (a.type === 'player') return b.type === 'player' ? 0 : 1;
+  if (b.type === 'player') return -1;
+  return a.y - b.y;
+}
+
+/**
+ * Remove an item from an array (if present)
+ */
+function removeFrom(array, item) {
+  if (!array) return;
+
+  const index = array.indexOf(item);
+  if (index > -1) {
+    array.splice(index, 1);
+  }
+}
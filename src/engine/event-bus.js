@@ -0,0 +1,119 @@
+/**
+ * Gameplay events and their payloads
+ *
+ * - WOODSTOCK_COLLECTED { woodstock, x, y, points }
+ * - BLOCK_PUSHED        { tileType, fromX, fromY, toX, toY, direction, bounced }
+ * - BLOCK_BROKEN        { x, y, items } (items: entities revealed from the block)
+ * - ITEM_REVEALED       { item, x, y } (item: power-up or portal hidden in a block)
+ * - TRIGGER_CHANGED     { trigger, x, y, active } (pressure plate pressed/released, switch pressed)
+ * - GATE_CHANGED        { gate, x, y, open }
+ * - TELEPORTED          { entity, fromX, fromY, toX, toY, via } (via: 'tile' or 'portal')
+ * - POWERUP_APPLIED     { player, powerType }
+ * - BALL_BOUNCED        { ball }
+ * - BALL_DESTROYED      { ball, points }
+ * - PLAYER_HIT          { player, ball }
+ * - PLAYER_DEFEATED     { player }
+ * - LIFE_LOST           { lives }
+ * - LEVEL_CLEARED       { level }
+ * - TIMER_WARNING       { timeLeft } (time left reached the level warning threshold)
+ * - SESSION_LOADING     { level, reason } (level session starting, before the level loads)
+ * - SESSION_STARTED     { level, reason, seed } (level loaded, player and entities spawned)
+ */
+export const GameEvent = {
+  WOODSTOCK_COLLECTED: 'woodstock-collected',
+  BLOCK_PUSHED: 'block-pushed',
+  BLOCK_BROKEN: 'block-broken',
+  ITEM_REVEALED: 'item-revealed',
+  TRIGGER_CHANGED: 'trigger-changed',
+  GATE_CHANGED: 'gate-changed',
+  TELEPORTED: 'teleported',
+  POWERUP_APPLIED: 'powerup-applied',
+  BALL_BOUNCED: 'ball-bounced',
+  BALL_DESTROYED: 'ball-destroyed',
+  PLAYER_HIT: 'player-hit',
+  PLAYER_DEFEATED: 'player-defeated',
+  LIFE_LOST: 'life-lost',
+  LEVEL_CLEARED: 'level-cleared',
+  TIMER_WARNING: 'timer-warning',
+  SESSION_LOADING: 'session-loading',
+  SESSION_STARTED: 'session-started',
+};
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvent));
+
+/**
+ * Synchronous event bus restricted to the GameEvent types
+ * Listeners run in subscription order, during the emit call
+ */
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(); // Listener arrays, keyed by event type
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} type - A GameEvent value
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} - Unsubscribe function
+   */
+  on(type, listener) {
+    this.checkType(type);
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   */
+  once(type, listener) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Unsubscribe from an event
+   */
+  off(type, listener) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    const index = listeners.indexOf(listener);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Emit an event to all its listeners
+   * @param {string} type - A GameEvent value
+   * @param {object} payload - Event data (see GameEvent)
+   */
+  emit(type, payload = {}) {
+    this.checkType(type);
+
+    const listeners = this.listeners.get(type);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while the event is dispatched
+    for (const listener of [...listeners]) {
+      listener(payload);
+    }
+  }
+
+  /**
+   * Reject event types that are not part of GameEvent (catches typos)
+   */
+  checkType(type) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown game event: ${type}`);
+    }
+  }
+}
@@ -1,17 +1,37 @@
 import { CONFIG } from '../config.js';
 import { InputManager } from './input-manager.js';
 import { Renderer } from './renderer.js';
-import { LevelManager } from './level-manager.js';
-import { Player } from '../entities/player.js';
-import { EntityManager } from './entity-manager.js';
-import { UIManager } from '../ui/ui-manager.js';
+import { Simulation, SessionReason } from './simulation.js';
+import { getLevelTimer } from './level-timer.js';
+import { Scheduler } from './scheduler.js';
+import { InputPlayback } from './input-recorder.js';
+import { SceneManager } from '../ui/scene-manager.js';
+import { MenuScene } from '../ui/scenes/menu-scene.js';
+import { GameplayScene } from '../ui/scenes/gameplay-scene.js';
+import { PauseScene } from '../ui/scenes/pause-scene.js';
+import { LevelCompleteScene } from '../ui/scenes/level-complete-scene.js';
+import { GameOverScene } from '../ui/scenes/game-over-scene.js';
+import { VictoryScene } from '../ui/scenes/victory-scene.js';
+import { LevelErrorScene } from '../ui/scenes/level-error-scene.js';
+import { EditorScene } from '../ui/scenes/editor-scene.js';
+import { LibraryScene } from '../ui/scenes/library-scene.js';
+import { LevelValidationError, validateLevel } from './level-validator.js';
+import { LevelEditor, EDITOR_LEVEL } from './level-editor.js';
+import { CustomLevelLibrary, LIBRARY_LEVEL } from './custom-level-library.js';
+import { generateLevel, GENERATED_LEVEL, LevelGenerationError, MAX_DIFFICULTY } from './level-generator.js';
+import { decodeLevelCode, encodeLevelCode, containsLevelCode, getLevelCodeFromHash, LevelCodeError, SHARED_LEVEL } from './level-code.js';
 import { GameState } from '../ui/game-states.js';
 import { SpriteManager } from './sprite-manager.js';
 import { AudioManager } from './audio-manager.js';
 import { DevConsole } from '../ui/dev-console.js';
 
 /**
- * Main game class that orchestrates the game loop and systems
+ * Seeds tried in endless play before giving up and going back to the title screen
+ */
+const ENDLESS_SEED_ATTEMPTS = 3;
+
+/**
+ * Main game class: browser shell (canvas, input, audio, UI) around the Simulation core
  */
 export class Game {
   constructor(canvas) {
@@ -24,11 +44,89 @@ export class Game {
     this.spriteManager = new SpriteManager();
     this.audioManager = new AudioManager();
     this.inputManager = new InputManager(canvas);
-    this.levelManager = new LevelManager();
-    this.entityManager = new EntityManager();
-    this.uiManager = new UIManager(this);
+    this.simulation = new Simulation({
+      audioManager: this.audioManager,
+      onHudChange: () => this.updateUI(),
+      onLevelComplete: () => this.levelComplete(),
+      onGameOver: () => this.gameOver(),
+      onVictory: () => this.victory(),
+      onLevelError: (error) => this.showLevelError(error),
+    });
+    this.audioManager.subscribe(this.simulation.events);
+
+    // Delayed UI transitions and animations (real time, frozen while the dev console is open)
+    this.uiScheduler = new Scheduler();
+
+    // Screens and overlays
+    this.scenes = new SceneManager(this);
+    this.scenes.register('menu', MenuScene);
+    this.scenes.register('gameplay', GameplayScene);
+    this.scenes.register('pause', PauseScene);
+    this.scenes.register('level-complete', LevelCompleteScene);
+    this.scenes.register('game-over', GameOverScene);
+    this.scenes.register('victory', VictoryScene);
+    this.scenes.register('level-error', LevelErrorScene);
+    this.scenes.register('editor', EditorScene);
+    this.scenes.register('library', LibraryScene);
+
+    // Level in the editor (kept while it is playtested)
+    this.levelEditor = null;
+
+    // Levels imported from JSON files (local storage), and the one being played
+    this.customLevels = new CustomLevelLibrary();
+    this.customLevelId = null;
+
+    // Difficulty of the generated level being played (endless play)
+    this.generatedDifficulty = 1;
+
+    // Dropping level files anywhere on the page imports them
+    window.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault();
+      }
+    });
+    window.addEventListener('drop', (e) => {
+      if (e.dataTransfer?.files.length > 0) {
+        e.preventDefault();
+        this.importLevelFiles(e.dataTransfer.files).catch(error => console.error('Cannot import the level files:', error));
+      }
+    });
+
+    // Shared level from the page URL (#level=<code>), played instead of the campaign from the title screen
+    this.pendingLevelCode = getLevelCodeFromHash(window.location.hash);
+    window.addEventListener('hashchange', () => {
+      const code = getLevelCodeFromHash(window.location.hash);
+      if (code) {
+        this.playLevelCode(code).catch(error => console.error('Cannot play the shared level:', error));
+      }
+    });
+
+    // Pasting a level code (or a link with one) plays it, or opens it in the editor
+    window.addEventListener('paste', (e) => {
+      const text = e.clipboardData?.getData('text') || '';
+      if (this.devConsole?.isOpen) {
+        this.devConsole.handlePaste(text);
+      } else if (containsLevelCode(text)) {
+        e.preventDefault();
+        if (this.scenes.top?.name === 'editor') {
+          this.editLevelCode(text)
+            .then(errors => {
+              if (errors.length > 0 && this.scenes.top?.name === 'editor') {
+                this.scenes.top.showMessage(`CANNOT OPEN: ${errors[0].message}`, 5);
+              }
+            })
+            .catch(error => console.error('Cannot edit the shared level:', error));
+        } else {
+          this.playLevelCode(text).catch(error => console.error('Cannot play the shared level:', error));
+        }
+      }
+    });
+
     this.devConsole = CONFIG.DEV_MODE ? new DevConsole(this) : null;
 
+    // Replay playback (feeds recorded input instead of live input)
+    this.playback = null;
+
     // Load sprites and audio
     this.spriteManager.loadAll();
     this.audioManager.loadAll();
@@ -60,36 +158,11 @@ export class Game {
       });
     }
 
-    // Game state
-    this.state = {
-      score: 0,
-      lives: 3,
-      level: 1,
-      currentState: GameState.MENU,
-      levelReady: false,
-    };
-
-    // Timer state
-    this.timer = {
-      elapsed: 0,
-      filledSegments: 0,
-      totalSegments: 0, // Will be calculated based on canvas size
-      isActive: true, // Timer is active by default
-    };
-
-    // Ready? Go! state
-    this.readyGo = {
-      isActive: false,
-      timer: 0,
-      duration: 1.0, // 1 second
-    };
-
     // Input tracking
     this.pauseKeyPressed = false;
     this.godModeKeyPressed = false;
     this.levelKeyPressed = false;
     this.hideDevInfoKeyPressed = false;
-    this.restartKeyPressed = false;
 
     // Dev mode UI visibility (hidden by default, press H to show)
     this.showDevInfo = false;
@@ -100,8 +173,8 @@ export class Game {
     this.timestep = 1000 / CONFIG.FPS;
     this.animationFrameId = null;
 
-    // Start title screen music
-    this.audioManager.playMusic('title');
+    // Title screen (starts its music)
+    this.scenes.switchTo('menu');
 
     // Start game loop immediately (menu will show first)
     this.start();
@@ -111,120 +184,59 @@ export class Game {
    * Initialize/Reset the game
    */
   async init() {
-    // Remove power-ups from current player before resetting
-    if (this.player && this.player.hasPowerUp) {
-      this.player.removePowerUp(this);
+    if (this.pendingLevelCode) {
+      const code = this.pendingLevelCode;
+      this.pendingLevelCode = null;
+      if ((await this.playLevelCode(code)).length === 0) {
+        return;
+      }
     }
 
-    // Reset state
-    this.state.score = 0;
-    this.state.lives = 3;
-    this.state.level = CONFIG.DEV_MODE ? 0 : 1; // Start at level 0 in dev mode, level 1 otherwise
-    this.state.currentState = GameState.PLAYING;
-    this.state.levelReady = false;
-    this.uiManager.setState(GameState.PLAYING);
-
-    // Clear entities
-    this.entityManager.clear();
-
-    // Load first level (0 = test level, 1 = first real level)
-    await this.levelManager.loadLevel(this.state.level);
-
-    // Create player
-    const startPos = this.levelManager.getStartPosition();
-    this.player = new Player(startPos.x, startPos.y);
-    this.entityManager.add(this.player);
-
-    // Spawn entities from level
-    this.spawnLevelEntities();
-
-    // Mark level as ready
-    this.state.levelReady = true;
-
-    // Initialize timer
-    this.initTimer();
+    this.playback = null;
+    this.scenes.switchTo('gameplay');
 
-    // Start "Ready? Go!" animation
-    this.startReadyGo();
-
-    // Play level music if defined
-    const levelMusic = this.levelManager.currentLevel?.music;
-    if (levelMusic) {
-      this.audioManager.playMusic(levelMusic);
+    // Start at level 0 in dev mode, at the first level of the campaign otherwise
+    try {
+      await this.simulation.start(CONFIG.DEV_MODE ? 0 : this.manifest.firstLevel);
+    } catch (error) {
+      this.showLevelError(error);
     }
-
-    // Update UI
-    this.updateUI();
   }
 
   /**
-   * Initialize timer for the level
+   * Gameplay state lives in the simulation; these shortcuts keep
+   * UI, rendering and the dev console reading it from the game
    */
-  initTimer() {
-    const border = CONFIG.TIMER_BORDER;
-    const width = CONFIG.CANVAS_WIDTH;
-    const height = CONFIG.CANVAS_HEIGHT;
-
-    // Calculate total number of 16px segments in the border
-    // Top (excluding center 64px and corners)
-    const topSegments = Math.floor((width - 64 - (border * 2)) / border);
-    // Right side (excluding corners)
-    const rightSegments = Math.floor((height - (border * 2)) / border);
-    // Bottom (excluding corners)
-    const bottomSegments = Math.floor((width - (border * 2)) / border);
-    // Left side (excluding corners)
-    const leftSegments = Math.floor((height - (border * 2)) / border);
-
-    this.timer.totalSegments = topSegments + rightSegments + bottomSegments + leftSegments;
-    this.timer.elapsed = 0;
-    this.timer.filledSegments = 0;
-    this.timer.isActive = true; // Reactivate timer for new level
+  get state() {
+    return this.simulation.state;
   }
 
-  /**
-   * Start "Ready? Go!" animation
-   */
-  startReadyGo() {
-    this.readyGo.isActive = true;
-    this.readyGo.timer = 0;
-    this.timer.isActive = false; // Pause timer during Ready? Go!
+  get timer() {
+    return this.simulation.timer;
   }
 
-  /**
-   * Update timer - fills one segment per second
-   */
-  updateTimer(dt) {
-    // Don't update if timer is not active
-    if (!this.timer.isActive) {
-      return;
-    }
+  get readyGo() {
+    return this.simulation.readyGo;
+  }
 
-    this.timer.elapsed += dt;
+  get player() {
+    return this.simulation.player;
+  }
 
-    // Fill one segment per second
-    const targetSegments = Math.floor(this.timer.elapsed);
+  get levelManager() {
+    return this.simulation.levelManager;
+  }
 
-    if (targetSegments > this.timer.filledSegments && targetSegments <= this.timer.totalSegments) {
-      this.timer.filledSegments = targetSegments;
-    }
+  get entityManager() {
+    return this.simulation.entityManager;
+  }
 
-    // Check if time is up
-    if (this.timer.filledSegments >= this.timer.totalSegments) {
-      // Time's up - start defeat animation
-      if (this.player && !this.player.isDefeated) {
-        this.player.startDefeatAnimation(this);
-      }
-    }
+  get events() {
+    return this.simulation.events;
   }
 
-  /**
-   * Spawn entities defined in the level
-   */
-  spawnLevelEntities() {
-    const entities = this.levelManager.getEntities();
-    entities.forEach(entityData => {
-      this.entityManager.spawnFromData(entityData, this.levelManager);
-    });
+  get manifest() {
+    return this.simulation.manifest;
   }
 
   /**
@@ -248,11 +260,14 @@ export class Game {
     // Handle input for state changes
     this.handleStateInput();
 
+    // UI timers (clamped so a backgrounded tab does not fast-forward them)
+    if (!(this.devConsole && this.devConsole.isOpen)) {
+      this.uiScheduler.update(Math.min(deltaTime, 250) / 1000);
+    }
+
     // Fixed timestep updates
     while (this.accumulator >= this.timestep) {
-      if (this.state.currentState === GameState.PLAYING) {
-        this.update(this.timestep / 1000);
-      }
+      this.scenes.update(this.timestep / 1000);
       this.accumulator -= this.timestep;
     }
 
@@ -271,84 +286,11 @@ export class Game {
 
     const input = this.inputManager.getState();
 
-    switch (this.state.currentState) {
-      case GameState.MENU:
-        if (input.actionJustPressed || input.pauseJustPressed) {
-          this.init();
-        }
-        break;
-
-      case GameState.GAME_OVER:
-      case GameState.VICTORY:
-        if (input.actionJustPressed || input.pauseJustPressed) {
-          this.init();
-        }
-        break;
-
-      case GameState.LEVEL_COMPLETE:
-        // Only allow continuing when time bonus animation is finished
-        if ((input.actionJustPressed || input.pauseJustPressed) && !this.uiManager.timeBonusAnimation.active) {
-          this.continueToNextLevel();
-        }
-        break;
-
-      case GameState.PLAYING:
-        // Check for pause (P key, Escape, or gamepad Start button)
-        // But don't allow pause during:
-        // - "Ready? Go!" animation
-        // - Snoopy's victory animation
-        // - Snoopy's defeat animation
-        const canPause = this.player &&
-                        !this.readyGo?.isActive &&
-                        !this.player?.isVictorious &&
-                        !this.player?.isDefeated;
-
-        if (canPause) {
-          if (this.inputManager.keys['p'] || this.inputManager.keys['P'] || this.inputManager.keys['Escape'] || input.pause) {
-            if (!this.pauseKeyPressed) {
-              this.togglePause();
-              this.pauseKeyPressed = true;
-            }
-          } else {
-            this.pauseKeyPressed = false;
-          }
-        }
-
-        // Check for restart (R key or L1/LB button) - trigger defeat animation
-        // Allow restart during gameplay (not during animations)
-        const canRestart = this.player &&
-                          !this.readyGo.isActive &&
-                          !this.player.isVictorious &&
-                          !this.player.isDefeated;
-
-        if (canRestart) {
-          if (this.inputManager.keys['r'] || this.inputManager.keys['R'] || input.restart) {
-            if (!this.restartKeyPressed) {
-              // Trigger defeat animation to restart the level
-              this.player.startDefeatAnimation(this);
-              this.restartKeyPressed = true;
-            }
-          } else {
-            this.restartKeyPressed = false;
-          }
-        }
-        break;
-
-      case GameState.PAUSED:
-        // Check for unpause (P key, Escape, or gamepad Start button)
-        if (this.inputManager.keys['p'] || this.inputManager.keys['P'] || this.inputManager.keys['Escape'] || input.pause) {
-          if (!this.pauseKeyPressed) {
-            this.togglePause();
-            this.pauseKeyPressed = true;
-          }
-        } else {
-          this.pauseKeyPressed = false;
-        }
-        break;
-    }
+    // The top scene decides what the input does
+    this.scenes.handleInput(input);
 
     // Dev mode shortcuts for quick level switching
-    if (CONFIG.DEV_MODE && (this.state.currentState === GameState.PLAYING || this.state.currentState === GameState.PAUSED)) {
+    if (CONFIG.DEV_MODE && this.scenes.top?.allowsDevShortcuts) {
       // Check if any level key (0-9) is pressed
       let levelKeyCurrentlyPressed = false;
       for (let i = 0; i <= 9; i++) {
@@ -390,237 +332,73 @@ export class Game {
   }
 
   /**
-   * Update game logic
+   * Check for a pause press (P key, Escape, or gamepad Start button), once per press
    */
-  update(dt) {
-    // Check if player exists
-    if (!this.player) return;
+  isPauseJustPressed(input) {
+    const keys = this.inputManager.keys;
 
-    // Update "Ready? Go!" animation
-    if (this.readyGo.isActive) {
-      this.readyGo.timer += dt;
-
-      if (this.readyGo.timer >= this.readyGo.duration) {
-        // Animation finished, resume game
-        this.readyGo.isActive = false;
-        this.timer.isActive = true;
+    if (keys['p'] || keys['P'] || keys['Escape'] || input.pause) {
+      if (!this.pauseKeyPressed) {
+        this.pauseKeyPressed = true;
+        return true;
       }
-
-      // Block all updates during "Ready? Go!"
-      return;
-    }
-
-    // Update timer
-    this.updateTimer(dt);
-
-    // Update level animations (blocks moving), pass player for toggle block logic
-    this.levelManager.update(dt, this.player, this.entityManager);
-
-    // Get input state
-    const input = this.inputManager.getState();
-
-    // Block all input if dev console is open
-    if (CONFIG.DEV_MODE && this.devConsole && this.devConsole.isOpen) {
-      input.up = false;
-      input.down = false;
-      input.left = false;
-      input.right = false;
-      input.action = false;
-      return; // Skip all game updates
-    }
-
-    // Block player input if blocks are animating
-    if (this.levelManager.isAnimating()) {
-      // Clear input to prevent player from moving
-      input.up = false;
-      input.down = false;
-      input.left = false;
-      input.right = false;
-    }
-
-    // Store previous moving state
-    const wasMoving = this.player.isMoving;
-
-    // Check collectibles BEFORE update if player is not moving
-    // This ensures collectibles on arrow tiles can be collected
-    if (!this.player.isMoving) {
-      this.checkCollectibleCollisions();
-    }
-
-    // Check if player has time freeze power-up
-    const ballsFrozen = this.player.hasPowerUp && this.player.powerUpType === 'time';
-
-    // Freeze/unfreeze balls
-    const balls = this.entityManager.getByType('ball');
-    balls.forEach(ball => {
-      ball.frozen = ballsFrozen;
-    });
-
-    // Update entities
-    this.entityManager.update(dt, input, this.levelManager, this);
-
-    // Check collisions only when player just finished moving
-    const justStoppedMoving = wasMoving && !this.player.isMoving;
-
-    // Always check collision with balls (dangerous)
-    this.checkBallCollisions();
-
-    // Check collectibles again if player just stopped moving
-    if (justStoppedMoving) {
-      this.checkCollectibleCollisions();
+    } else {
+      this.pauseKeyPressed = false;
     }
 
-    // Check win/lose conditions
-    this.checkGameState();
+    return false;
   }
 
   /**
-   * Check collisions with balls (always checked)
+   * Update game logic
    */
-  checkBallCollisions() {
-    const player = this.player;
-
-    // Player is invulnerable during teleportation or defeat animation
-    if (player.isTeleporting || player.isDefeated) {
+  update(dt) {
+    // Block all game updates while the dev console is open
+    if (CONFIG.DEV_MODE && this.devConsole && this.devConsole.isOpen) {
       return;
     }
 
-    const balls = this.entityManager.getByType('ball');
-
-    balls.forEach(ball => {
-      if (this.isColliding(player, ball)) {
-        ball.onCollideWithPlayer(player, this);
-      }
-    });
+    this.simulation.update(dt, this.getTickInput());
   }
 
   /**
-   * Check collisions with collectibles (only when not moving)
+   * Get the input for the next simulation tick (recorded input during a replay)
    */
-  checkCollectibleCollisions() {
-    const player = this.player;
-
-    // Don't collect items if player is defeated
-    if (player.isDefeated) {
-      return;
-    }
-
-    const collectibles = [
-      ...this.entityManager.getByType('woodstock'),
-      ...this.entityManager.getByType('powerup'),
-    ];
-
-    collectibles.forEach(entity => {
-      if (this.isColliding(player, entity)) {
-        entity.onCollideWithPlayer(player, this);
+  getTickInput() {
+    if (this.playback) {
+      const input = this.playback.next();
+      if (input) {
+        return input;
       }
-    });
-  }
-
-  /**
-   * Check if two entities are colliding
-   */
-  isColliding(entity1, entity2) {
-    // Use hitbox offsets for more precise collision
-    const e1 = this.getHitbox(entity1);
-    const e2 = this.getHitbox(entity2);
-
-    return (
-      e1.x < e2.x + e2.width &&
-      e1.x + e1.width > e2.x &&
-      e1.y < e2.y + e2.height &&
-      e1.y + e1.height > e2.y
-    );
-  }
 
-  /**
-   * Get hitbox for entity with offsets
-   */
-  getHitbox(entity) {
-    // Balls have a smaller hitbox (centered)
-    if (entity.type === 'ball') {
-      const offset = 4;
-      return {
-        x: entity.x + offset,
-        y: entity.y + offset,
-        width: entity.width - offset * 2,
-        height: entity.height - offset * 2,
-      };
-    }
-
-    // Woodstock and powerups have smaller hitbox
-    if (entity.type === 'woodstock' || entity.type === 'powerup') {
-      const offset = 3;
-      return {
-        x: entity.x + offset,
-        y: entity.y + offset,
-        width: entity.width - offset * 2,
-        height: entity.height - offset * 2,
-      };
+      console.log(`[REPLAY] Finished (${this.playback.tick} ticks)`);
+      this.playback = null;
     }
 
-    // Default: use full entity size
-    return {
-      x: entity.x,
-      y: entity.y,
-      width: entity.width,
-      height: entity.height,
-    };
+    return this.inputManager.getState();
   }
 
   /**
-   * Check win/lose conditions
+   * Replay a recorded level attempt
+   * @param {object} recording - Recording from the simulation's InputRecorder
    */
-  checkGameState() {
-    // Don't check until level is ready
-    if (!this.state.levelReady) return;
-
-    // Check if player collected all Woodstocks
-    const collectibles = this.entityManager.getByType('woodstock');
-    if (collectibles.length === 0) {
-      const player = this.entityManager.getByType('player')[0];
-
-      // Start victory animation if not already started
-      if (player && !player.isVictorious) {
-        // Stop the timer (we'll animate it during level complete screen)
-        this.timer.isActive = false;
-
-        // Remove any active power-ups (stop their music without restarting level music)
-        if (player.hasPowerUp) {
-          player.removePowerUp(this, false); // false = don't restart level music
-        }
+  async playRecording(recording) {
+    const playback = new InputPlayback(recording);
 
-        // Play level-specific clear music during victory animation
-        const clearMusic = this.levelManager.currentLevel?.clearMusic;
-        if (clearMusic) {
-          this.audioManager.playMusic(clearMusic);
-        }
-
-        player.startVictoryAnimation();
-
-        // Explode all remaining balls
-        this.explodeAllBalls();
+    this.playback = null;
+    this.audioManager.stopMusic();
+    this.scenes.switchTo('gameplay');
 
-        // Complete level after victory animation duration
-        setTimeout(() => {
-          this.levelComplete();
-        }, player.victoryDuration * 1000);
-      }
+    this.simulation.timeScale = recording.timeScale;
+    try {
+      await this.simulation.start(recording.level, { seed: recording.seed });
+    } catch (error) {
+      this.showLevelError(error);
+      return;
     }
-  }
-
-  /**
-   * Explode all balls on the map
-   */
-  explodeAllBalls() {
-    const balls = this.entityManager.getByType('ball');
+    this.playback = playback;
 
-    for (const ball of balls) {
-      // Create explosion particles for each ball
-      ball.createExplosionParticles(this);
-      // Destroy the ball
-      ball.destroy();
-    }
+    console.log(`[REPLAY] Level ${recording.level}, seed ${recording.seed}, ${recording.ticks} ticks`);
   }
 
   /**
@@ -629,97 +407,8 @@ export class Game {
   render() {
     this.renderer.clear();
 
-    // Only render game if not in menu
-    if (this.state.currentState !== GameState.MENU && this.levelManager.currentLevel) {
-      // Draw timer border
-      this.renderer.drawTimerBorder(this.spriteManager, this.timer.filledSegments);
-
-      // Save context and translate for game area
-      this.renderer.ctx.save();
-      this.renderer.ctx.translate(CONFIG.TIMER_BORDER, CONFIG.TIMER_BORDER);
-
-      // Render level (static tiles)
-      this.levelManager.render(this.renderer, this.spriteManager);
-
-      // Render entities
-      this.entityManager.render(this.renderer, this.spriteManager);
-
-      // Render animating blocks on top of entities (so they stay in foreground)
-      this.levelManager.renderAnimatingBlocks(this.renderer, this.spriteManager);
-
-      // Render grid overlay
-      this.renderer.drawGrid();
-
-      // Restore context
-      this.renderer.ctx.restore();
-
-      // Render "Ready? Go!" if active
-      if (this.readyGo.isActive) {
-        const ctx = this.renderer.ctx;
-        const sprite = this.spriteManager.sprites.ready_go;
-
-        if (sprite) {
-          // Calculate center position (2x scale)
-          const spriteWidth = 128;  // 64 * 2
-          const spriteHeight = 16;   // 8 * 2
-          const x = (CONFIG.CANVAS_WIDTH - spriteWidth) / 2;
-          const y = (CONFIG.CANVAS_HEIGHT - spriteHeight) / 2;
-
-          this.spriteManager.drawReadyGo(this.renderer, x, y, spriteWidth, spriteHeight);
-        }
-      }
-
-      // Dev mode: Display level info and god mode
-      if (CONFIG.DEV_MODE && this.showDevInfo) {
-        const ctx = this.renderer.ctx;
-        ctx.save();
-
-        // Level info box
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        ctx.fillRect(10, 10, 180, 112);
-        ctx.fillStyle = CONFIG.COLORS.LIGHT;
-        ctx.font = 'bold 12px "Courier New", monospace';
-        ctx.textAlign = 'left';
-        ctx.fillText(`LEVEL: ${this.state.level}`, 20, 28);
-
-        // Snoopy position
-        if (this.player) {
-          const snoopyX = this.player.getGridX();
-          const snoopyY = this.player.getGridY();
-          ctx.fillText(`SNOOPY: (${snoopyX}, ${snoopyY})`, 20, 42);
-        }
-
-        ctx.fillText(`Press 0-9 to jump`, 20, 56);
-        ctx.fillText(`Press G for God Mode`, 20, 70);
-        ctx.fillText(`Press H to hide`, 20, 84);
-        ctx.fillText(`Press CMD+SHIFT for console`, 20, 98);
-
-        // God mode indicator
-        let yOffset = 118;
-        if (this.player && this.player.godMode) {
-          ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
-          ctx.fillRect(10, yOffset, 100, 24);
-          ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
-          ctx.font = 'bold 14px "Courier New", monospace';
-          ctx.fillText(`GOD MODE`, 20, yOffset + 17);
-          yOffset += 28;
-        }
-
-        // Noclip mode indicator
-        if (this.player && this.player.noclipMode) {
-          ctx.fillStyle = 'rgba(138, 43, 226, 0.9)';
-          ctx.fillRect(10, yOffset, 100, 24);
-          ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-          ctx.font = 'bold 14px "Courier New", monospace';
-          ctx.fillText(`NOCLIP`, 20, yOffset + 17);
-        }
-
-        ctx.restore();
-      }
-    }
-
-    // Render UI overlays
-    this.uiManager.render();
+    // Render the scene stack (gameplay, overlays, menus)
+    this.scenes.render();
 
     // Render dev console (always on top)
     if (CONFIG.DEV_MODE && this.devConsole) {
@@ -733,233 +422,365 @@ export class Game {
   updateUI() {
     document.getElementById('score').textContent = `Score: ${this.state.score}`;
     document.getElementById('lives').textContent = `Lives: ${this.state.lives}`;
-    document.getElementById('level').textContent = `Level: ${this.state.level}`;
+    const zone = this.manifest.getZone(this.state.level);
+    document.getElementById('level').textContent = zone
+      ? `Level: ${this.state.level} (Zone ${zone.id})`
+      : `Level: ${this.state.level}`;
   }
 
   /**
    * Add score
    */
   addScore(points) {
-    this.state.score += points;
-    this.updateUI();
+    this.simulation.addScore(points);
   }
 
   /**
-   * Remove a life
+   * Show the level complete screen (called by the simulation)
    */
-  loseLife() {
-    this.state.lives--;
-    this.updateUI();
-
-    if (this.state.lives > 0) {
-      this.respawnPlayer();
-    } else {
-      this.gameOver();
-    }
+  levelComplete() {
+    this.scenes.push('level-complete');
   }
 
   /**
-   * Respawn the player at the start position
+   * Continue to next level after level complete screen
    */
-  async respawnPlayer() {
-    // Remove power-ups from current player before clearing (safety check)
-    if (this.player && this.player.hasPowerUp) {
-      this.player.removePowerUp(this);
+  async continueToNextLevel() {
+    // Endless play: a cleared generated level is followed by a new one, one difficulty up
+    if (this.state.level === GENERATED_LEVEL) {
+      await this.playEndlessLevel(Math.min(this.generatedDifficulty + 1, MAX_DIFFICULTY));
+      return;
     }
 
-    // Clear all entities
-    this.entityManager.clear();
-
-    // Reload the level to reset all tiles (toggle blocks, etc.)
-    await this.levelManager.loadLevel(this.state.level);
-
-    // Respawn all level entities
-    this.spawnLevelEntities();
-
-    // Recreate player at start position
-    const startPos = this.levelManager.getStartPosition();
-    this.player = new Player(startPos.x, startPos.y);
-    this.entityManager.add(this.player);
-
-    // Reset timer for retry
-    this.initTimer();
+    if (this.leaveCustomLevel()) {
+      return;
+    }
 
-    // Start "Ready? Go!" animation
-    this.startReadyGo();
+    try {
+      await this.simulation.continueToNextLevel();
+    } catch (error) {
+      this.showLevelError(error);
+      return;
+    }
 
-    // Restart level music
-    const levelMusic = this.levelManager.currentLevel?.music;
-    if (levelMusic) {
-      this.audioManager.playMusic(levelMusic);
+    // Back to gameplay (unless the last level was cleared)
+    if (this.state.currentState === GameState.PLAYING) {
+      this.scenes.pop();
     }
   }
 
   /**
-   * Mark level as complete
+   * Game over (called by the simulation)
    */
-  levelComplete() {
-    this.state.currentState = GameState.LEVEL_COMPLETE;
-    this.uiManager.setState(GameState.LEVEL_COMPLETE, {
-      game: this
-    });
+  gameOver() {
+    this.scenes.push('game-over');
   }
 
   /**
-   * Continue to next level after level complete screen
+   * Victory (all levels complete, called by the simulation)
    */
-  async continueToNextLevel() {
-    this.state.level++;
-    this.state.levelReady = false;
+  victory() {
+    // Reached from the level complete screen after the last level
+    if (this.scenes.top?.name === 'level-complete') {
+      this.scenes.replace('victory');
+    } else {
+      this.scenes.push('victory');
+    }
+  }
 
-    // Remove power-ups from current player before clearing
-    if (this.player && this.player.hasPowerUp) {
-      this.player.removePowerUp(this);
+  /**
+   * Save the current game state in a local save slot
+   * @param {string|number} slot - Save slot name
+   * @returns {boolean} - True if saved
+   */
+  saveSnapshot(slot = 1) {
+    if (this.state.currentState !== GameState.PLAYING) {
+      return false;
     }
 
-    try {
-      this.entityManager.clear();
-      await this.levelManager.loadLevel(this.state.level);
+    localStorage.setItem(`snoopy-snapshot-${slot}`, JSON.stringify(this.simulation.snapshot()));
+    return true;
+  }
 
-      const startPos = this.levelManager.getStartPosition();
-      this.player = new Player(startPos.x, startPos.y);
-      this.entityManager.add(this.player);
+  /**
+   * Resume a game saved with saveSnapshot()
+   * @param {string|number} slot - Save slot name
+   * @returns {boolean} - True if restored
+   */
+  loadSnapshot(slot = 1) {
+    const data = localStorage.getItem(`snoopy-snapshot-${slot}`);
+    if (!data) {
+      return false;
+    }
 
-      this.spawnLevelEntities();
+    this.playback = null;
+    this.simulation.restore(JSON.parse(data));
+    this.scenes.switchTo('gameplay');
 
-      // Mark level as ready
-      this.state.levelReady = true;
+    return true;
+  }
 
-      // Initialize timer for new level
-      this.initTimer();
+  /**
+   * Toggle god mode (dev mode only)
+   */
+  toggleGodMode() {
+    if (!CONFIG.DEV_MODE || !this.player) return;
 
-      // Start "Ready? Go!" animation
-      this.startReadyGo();
+    this.player.godMode = !this.player.godMode;
+    console.log(`[DEV] God Mode: ${this.player.godMode ? 'ON' : 'OFF'}`);
+  }
 
-      // Play level music if defined
-      const levelMusic = this.levelManager.currentLevel?.music;
-      if (levelMusic) {
-        this.audioManager.playMusic(levelMusic);
-      }
+  /**
+   * Load a specific level in dev mode
+   * @param {number} levelNumber - Level to load
+   * @param {number|null} seed - Seed for the attempt (null for a new one)
+   */
+  async loadDevLevel(levelNumber, seed = null) {
+    console.log(`[DEV] Loading level ${levelNumber}...`);
 
-      this.updateUI();
+    this.playback = null;
+    this.scenes.switchTo('gameplay');
 
-      this.state.currentState = GameState.PLAYING;
-      this.uiManager.setState(GameState.PLAYING);
+    try {
+      await this.simulation.loadLevelSession(levelNumber, { reason: SessionReason.DEV_JUMP, seed });
+      console.log(`[DEV] Level ${levelNumber} loaded successfully! (seed ${this.state.seed})`);
     } catch (error) {
-      // No more levels, player wins!
-      this.victory();
+      console.error(`[DEV] Failed to load level ${levelNumber}:`, error);
+      if (error instanceof LevelValidationError) {
+        this.showLevelError(error);
+      }
     }
   }
 
   /**
-   * Game over
+   * Leave a cleared or lost custom level: back to the editor, the library or the title screen
+   * @returns {boolean} - False for campaign levels (nothing done)
    */
-  gameOver() {
-    // Play game over music
-    this.audioManager.playMusic('game-over');
+  leaveCustomLevel() {
+    switch (this.state.level) {
+      case EDITOR_LEVEL:
+        this.openEditor();
+        return true;
+      case LIBRARY_LEVEL:
+        this.scenes.switchTo('library', { selectId: this.customLevelId });
+        return true;
+      case SHARED_LEVEL:
+      case GENERATED_LEVEL:
+        this.scenes.switchTo('menu');
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Import level JSON files into the custom level library, then show the library
+   * @param {FileList|Array<File>} files - Files picked or dropped by the player
+   * @returns {Promise<Array<{file: string, entry: object|null, errors: Array}>>} - Result of each file
+   */
+  async importLevelFiles(files) {
+    const results = [];
+    for (const file of files) {
+      let text;
+      try {
+        text = await file.text();
+      } catch (error) {
+        // Unreadable file (removed, revoked or denied): reported like an invalid one
+        console.warn(`Cannot read ${file.name}:`, error);
+        results.push({ file: file.name, entry: null, errors: [{ path: '', message: `cannot read the file (${error.message})` }] });
+        continue;
+      }
 
-    this.state.currentState = GameState.GAME_OVER;
-    this.uiManager.setState(GameState.GAME_OVER);
-    console.log('Game Over! Final Score:', this.state.score);
+      const { entry, errors } = this.customLevels.importJSON(text);
+      if (errors.length > 0) {
+        console.warn(`Cannot import ${file.name}:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}`);
+      }
+      results.push({ file: file.name, entry, errors });
+    }
+
+    const imported = results.filter(result => result.entry);
+    this.audioManager.stopMusic();
+    this.scenes.switchTo('library', { selectId: imported.at(-1)?.entry.id ?? null, results });
+    return results;
   }
 
   /**
-   * Victory (all levels complete)
+   * Play a level of the custom level library
+   * @param {number} id - Library entry id
    */
-  victory() {
-    this.state.currentState = GameState.VICTORY;
-    this.uiManager.setState(GameState.VICTORY);
-    console.log('Victory! Final Score:', this.state.score);
+  async playLibraryLevel(id) {
+    const entry = this.customLevels.get(id);
+    if (!entry) return;
+
+    this.customLevelId = id;
+    await this.playCustomLevel(LIBRARY_LEVEL, entry.level);
   }
 
   /**
-   * Pause/unpause the game
+   * Generate a level and play it (clearing it generates the next one, see continueToNextLevel)
+   * @param {object} [options] - Generator options (see generateLevel), e.g. { difficulty: 3, seed: 42 }
+   * @returns {Promise<object>} - Generation result (level, seed, moves...)
+   * @throws {LevelGenerationError} - If no solvable level was found
    */
-  togglePause() {
-    if (this.state.currentState === GameState.PLAYING) {
-      this.state.currentState = GameState.PAUSED;
-      this.uiManager.setState(GameState.PAUSED);
-      // Play pause sound
-      this.audioManager.playSfx('pause');
-      // Pause music
-      this.audioManager.pauseMusic();
-    } else if (this.state.currentState === GameState.PAUSED) {
-      this.state.currentState = GameState.PLAYING;
-      this.uiManager.setState(GameState.PLAYING);
-      // Resume music (no sound effect on unpause)
-      this.audioManager.resumeMusic();
-    }
+  async playGeneratedLevel(options = {}) {
+    // The solution must fit in the timer (generated levels use the default one)
+    const result = generateLevel({ maxTime: getLevelTimer().duration, ...options });
+    this.generatedDifficulty = options.difficulty ?? 1;
+    await this.playCustomLevel(GENERATED_LEVEL, result.level);
+    return result;
   }
 
   /**
-   * Toggle god mode (dev mode only)
+   * Endless play: play a generated level, with new seeds when the generator gives up.
+   * Back to the title screen if no seed works.
+   * @param {number} [difficulty] - 1 to MAX_DIFFICULTY
+   * @returns {Promise<boolean>} - Whether a level is being played
    */
-  toggleGodMode() {
-    if (!CONFIG.DEV_MODE || !this.player) return;
+  async playEndlessLevel(difficulty = 1) {
+    for (let attempt = 1; attempt <= ENDLESS_SEED_ATTEMPTS; attempt++) {
+      try {
+        await this.playGeneratedLevel({ difficulty });
+        return true;
+      } catch (error) {
+        if (!(error instanceof LevelGenerationError)) throw error;
+        console.error(`Endless play: ${error.message}`);
+      }
+    }
 
-    this.player.godMode = !this.player.godMode;
-    console.log(`[DEV] God Mode: ${this.player.godMode ? 'ON' : 'OFF'}`);
+    this.scenes.switchTo('menu');
+    return false;
   }
 
   /**
-   * Load a specific level in dev mode
+   * Check if the level being played is the one from the editor
    */
-  async loadDevLevel(levelNumber) {
-    console.log(`[DEV] Loading level ${levelNumber}...`);
+  get isPlaytesting() {
+    return this.state.level === EDITOR_LEVEL;
+  }
 
-    // Remove power-ups from current player before clearing
-    if (this.player && this.player.hasPowerUp) {
-      this.player.removePowerUp(this);
+  /**
+   * Open the level editor
+   * @param {object|null} level - Level data to edit (copied), or null to keep editing the current one
+   *                              (a blank level the first time)
+   */
+  openEditor(level = null) {
+    if (level || !this.levelEditor) {
+      this.levelEditor = new LevelEditor(level ?? undefined);
     }
 
-    // Stop any current music
+    this.playback = null;
     this.audioManager.stopMusic();
+    this.scenes.switchTo('editor');
+  }
+
+  /**
+   * Play the level in the editor (back to the editor when it is cleared or lost)
+   * @returns {Promise<Array>} - Validation errors (the level is not started if there are any)
+   */
+  async playtestLevel() {
+    const errors = this.levelEditor.validate();
+    if (errors.length > 0) {
+      return errors;
+    }
 
-    // Clear entities
-    this.entityManager.clear();
+    await this.playCustomLevel(EDITOR_LEVEL, this.levelEditor.toLevelData());
+    return [];
+  }
 
-    // Reset state (important when coming from menu)
-    this.state.score = 0;
-    this.state.lives = 3;
-    this.state.level = levelNumber;
-    this.state.levelReady = false;
-    this.state.currentState = GameState.PLAYING;
-    this.uiManager.setState(GameState.PLAYING);
+  /**
+   * Play a level from a share code
+   * @param {string} text - Level code, or a text containing one (link...)
+   * @returns {Promise<Array>} - Problems with the code or the level (the level is not started if there are any)
+   */
+  async playLevelCode(text) {
+    const { level, errors } = await this.readLevelCode(text);
+    if (errors.length > 0) {
+      return errors;
+    }
 
-    try {
-      // Load the level
-      await this.levelManager.loadLevel(levelNumber);
+    console.log(`Playing shared level "${level.name}"`);
+    await this.playCustomLevel(SHARED_LEVEL, level);
+    return [];
+  }
 
-      // Create player
-      const startPos = this.levelManager.getStartPosition();
-      this.player = new Player(startPos.x, startPos.y);
-      this.entityManager.add(this.player);
+  /**
+   * Open the level of a share code in the editor
+   * @param {string} text - Level code, or a text containing one
+   * @returns {Promise<Array<{path: string, message: string}>>} - Errors (empty if the level was opened)
+   */
+  async editLevelCode(text) {
+    const { level, errors } = await this.readLevelCode(text);
+    if (errors.length > 0) {
+      return errors;
+    }
 
-      // Spawn entities from level
-      this.spawnLevelEntities();
+    this.openEditor(level);
+    return [];
+  }
 
-      // Mark level as ready
-      this.state.levelReady = true;
+  /**
+   * Decode a share code and check its level with the rules of LevelManager
+   * (a code with a valid checksum can still hold any JSON)
+   * @param {string} text - Level code, or a text containing one
+   * @returns {Promise<{level: object|null, errors: Array<{path: string, message: string}>}>}
+   */
+  async readLevelCode(text) {
+    let level;
+    try {
+      level = await decodeLevelCode(text);
+    } catch (error) {
+      if (!(error instanceof LevelCodeError)) throw error;
+      console.warn(`Cannot read level code: ${error.message}`);
+      return { level: null, errors: [{ path: '', message: error.message }] };
+    }
 
-      // Reset timer
-      this.initTimer();
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+      console.warn(`Shared level is invalid:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}`);
+      return { level: null, errors };
+    }
 
-      // Start "Ready? Go!" animation
-      this.startReadyGo();
+    return { level, errors };
+  }
 
-      // Play level music if defined
-      const levelMusic = this.levelManager.currentLevel?.music;
-      if (levelMusic) {
-        this.audioManager.playMusic(levelMusic);
-      }
+  /**
+   * Share code of the level being played
+   * @returns {Promise<string|null>} - Null if no level is loaded
+   */
+  async getLevelCode() {
+    const level = this.levelManager.currentLevel;
+    return level ? encodeLevelCode(level) : null;
+  }
 
-      // Update UI
-      this.updateUI();
+  /**
+   * Start a new game on level data that is not a level file
+   * @param {string} key - Custom level key (see LevelManager.setCustomLevel)
+   * @param {object} level - Level data
+   */
+  async playCustomLevel(key, level) {
+    this.levelManager.setCustomLevel(key, level);
+    this.playback = null;
+    this.scenes.switchTo('gameplay');
 
-      console.log(`[DEV] Level ${levelNumber} loaded successfully!`);
+    try {
+      await this.simulation.start(key);
     } catch (error) {
-      console.error(`[DEV] Failed to load level ${levelNumber}:`, error);
+      this.showLevelError(error);
+    }
+  }
+
+  /**
+   * Show an invalid level in the dev error report (other errors are rethrown)
+   * Invalid levels only reach the game in dev mode, they are replaced by the fallback level otherwise
+   */
+  showLevelError(error) {
+    if (!(error instanceof LevelValidationError)) {
+      throw error;
     }
+
+    console.error(error.message);
+    this.audioManager.stopMusic();
+    this.scenes.switchTo('level-error', { error });
   }
 
   /**
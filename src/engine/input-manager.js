@@ -133,6 +133,8 @@ export class InputManager {
         action: false,
         pause: false,
         restart: false,
+        rewind: false,
+        undo: false,
       };
     }
 
@@ -180,6 +182,8 @@ export class InputManager {
       action: buttons[0]?.pressed || buttons[1]?.pressed || false, // B or A button
       pause: buttons[9]?.pressed || buttons[8]?.pressed || buttons[16]?.pressed || buttons[17]?.pressed || false,  // Start, Select, Share, PS button
       restart: buttons[4]?.pressed || false, // L1/LB button for restart
+      rewind: buttons[5]?.pressed || false, // R1/RB button for rewind
+      undo: buttons[7]?.pressed || false, // R2/RT button for undo push
     };
   }
 
@@ -270,7 +274,9 @@ export class InputManager {
       actionJustPressed: this.isJustPressed('ACTION') || (touchState.action && !this.previousTouchAction) || this.isGamepadButtonJustPressed(0) || this.isGamepadButtonJustPressed(1),
       pause: gamepadState.pause, // Start button on gamepad (held)
       pauseJustPressed: this.isPauseButtonJustPressed(), // Any pause button just pressed
-      restart: gamepadState.restart || false, // L1/LB button on gamepad
+      restart: this.isPressed('RESTART') || gamepadState.restart || false, // R key or L1/LB button on gamepad
+      rewind: this.isPressed('REWIND') || gamepadState.rewind, // Backspace or R1/RB (held)
+      undo: this.isPressed('UNDO') || gamepadState.undo, // U or R2/RT
     };
 
     // Store previous state for next frame
@@ -0,0 +1,150 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Recording format version (bump when the frame encoding changes)
+ */
+export const RECORDING_VERSION = 2;
+
+/**
+ * Recorded input buttons, in bit order
+ */
+const BUTTONS = ['up', 'down', 'left', 'right', 'action', 'pause', 'restart', 'rewind', 'undo'];
+
+/**
+ * Pack an input state into a bitmask
+ */
+function encodeInput(input) {
+  let mask = 0;
+  BUTTONS.forEach((button, bit) => {
+    if (input[button]) {
+      mask |= 1 << bit;
+    }
+  });
+  return mask;
+}
+
+/**
+ * Unpack a bitmask into an input state
+ */
+function decodeInput(mask) {
+  const input = {};
+  BUTTONS.forEach((button, bit) => {
+    input[button] = (mask & (1 << bit)) !== 0;
+  });
+  return input;
+}
+
+/**
+ * Records the per-tick input of a level attempt.
+ * Frames are run-length encoded as [mask, count] pairs to keep recordings small.
+ */
+export class InputRecorder {
+  constructor() {
+    this.recording = null;
+  }
+
+  /**
+   * Start recording a new level attempt
+   */
+  start(level, seed, timeScale = 1) {
+    this.recording = {
+      version: RECORDING_VERSION,
+      fps: CONFIG.FPS,
+      level,
+      seed,
+      timeScale,
+      ticks: 0,
+      frames: [],
+    };
+  }
+
+  /**
+   * Record the input of one simulation tick
+   */
+  record(input) {
+    if (!this.recording) return;
+
+    const mask = encodeInput(input);
+    const frames = this.recording.frames;
+    const last = frames[frames.length - 1];
+
+    if (last && last[0] === mask) {
+      last[1]++;
+    } else {
+      frames.push([mask, 1]);
+    }
+
+    this.recording.ticks++;
+  }
+
+  /**
+   * Stop recording and return the finished recording (or null)
+   */
+  stop() {
+    const recording = this.recording;
+    this.recording = null;
+    return recording;
+  }
+
+  /**
+   * Check if a recording is in progress
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+}
+
+/**
+ * Plays a recording back, one input state per simulation tick
+ */
+export class InputPlayback {
+  constructor(recording) {
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version: ${recording?.version}`);
+    }
+
+    if (recording.fps !== CONFIG.FPS) {
+      console.warn(`Recording made at ${recording.fps} FPS, playing back at ${CONFIG.FPS} FPS`);
+    }
+
+    this.recording = recording;
+    this.frameIndex = 0;
+    this.repeat = 0;
+    this.tick = 0;
+    this.previousInput = decodeInput(0);
+  }
+
+  /**
+   * Get the input state for the next tick (null when the recording is over)
+   */
+  next() {
+    const frames = this.recording.frames;
+    if (this.frameIndex >= frames.length) {
+      return null;
+    }
+
+    const [mask, count] = frames[this.frameIndex];
+    const input = decodeInput(mask);
+
+    // Derive edge-triggered fields like InputManager does
+    input.actionJustPressed = input.action && !this.previousInput.action;
+    input.pauseJustPressed = input.pause && !this.previousInput.pause;
+    this.previousInput = input;
+
+    this.repeat++;
+    this.tick++;
+    if (this.repeat >= count) {
+      this.frameIndex++;
+      this.repeat = 0;
+    }
+
+    return input;
+  }
+
+  /**
+   * Check if every recorded tick was played
+   */
+  isFinished() {
+    return this.frameIndex >= this.recording.frames.length;
+  }
+}
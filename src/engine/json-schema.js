@@ -0,0 +1,134 @@
+/**
+ * Minimal JSON Schema validator (the draft-07 keywords used by src/levels/schema.json):
+ * type, const, enum, required, properties, additionalProperties, patternProperties,
+ * items, minItems, minimum, maximum, minLength, pattern, oneOf
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema
+ * @param {string} path - Path of the value, used in the error messages (e.g. "entities[2].x")
+ * @returns {Array<{path: string, message: string}>} - Errors (empty if valid)
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const error = (message) => errors.push({ path: path || '(root)', message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    error(`must be of type ${schema.type}`);
+    return errors; // Other keywords would only repeat the same problem
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    error(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    error(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      error(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (isObject(value)) {
+    errors.push(...validateObject(value, schema, path));
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(value, option, path).length === 0);
+    if (matches.length !== 1) {
+      error(matches.length === 0 ? 'does not match any allowed shape' : 'matches more than one allowed shape');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Object keywords: required, properties, patternProperties, additionalProperties
+ */
+function validateObject(value, schema, path) {
+  const errors = [];
+  const prefix = path ? `${path}.` : '';
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      errors.push({ path: path || '(root)', message: `missing required property "${key}"` });
+    }
+  }
+
+  for (const [key, propertyValue] of Object.entries(value)) {
+    const propertySchema = schema.properties?.[key];
+    if (propertySchema) {
+      errors.push(...validateSchema(propertyValue, propertySchema, `${prefix}${key}`));
+      continue;
+    }
+
+    const patternSchema = Object.entries(schema.patternProperties || {})
+      .find(([pattern]) => new RegExp(pattern, 'u').test(key));
+    if (patternSchema) {
+      errors.push(...validateSchema(propertyValue, patternSchema[1], `${prefix}${key}`));
+      continue;
+    }
+
+    if (schema.additionalProperties === false) {
+      errors.push({ path: `${prefix}${key}`, message: 'is not an allowed property' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a JSON schema type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Plain object (not an array or null)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
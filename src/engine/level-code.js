@@ -0,0 +1,177 @@
+/**
+ * Share codes: a level as a short text, to paste in the game or put in a URL (#level=<code>).
+ *
+ * Format: "SMS" + version + "-" + base64url(deflate-raw(level JSON) + CRC-32 of the JSON).
+ * The checksum catches codes cut or mistyped while being shared; the level itself is
+ * validated by LevelManager when it is loaded, like a level file.
+ */
+
+export const LEVEL_CODE_VERSION = 1;
+
+/**
+ * Custom level key of a level played from a code (see LevelManager.setCustomLevel)
+ */
+export const SHARED_LEVEL = 'shared';
+
+const CODE_PATTERN = /SMS(\d+)-([A-Za-z0-9_-]+)/;
+const URL_PARAMETER = 'level';
+const CHECKSUM_BYTES = 4;
+
+/**
+ * Largest level JSON a code may inflate to (levels are a few KB; a short code could
+ * otherwise inflate to hundreds of MB and freeze the page)
+ */
+const MAX_LEVEL_BYTES = 256 * 1024;
+
+/**
+ * Thrown when a text is not a readable level code
+ */
+export class LevelCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LevelCodeError';
+  }
+}
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ * @param {number} [maxBytes] - Output size limit
+ * @throws {LevelCodeError} - If the output is larger than maxBytes
+ */
+async function transform(bytes, stream, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      throw new LevelCodeError(`level code is too large (over ${Math.round(maxBytes / 1024)} KB once decompressed)`);
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encode level data as a share code
+ * @param {object} level - Level data (as in a level file)
+ * @returns {Promise<string>}
+ */
+export async function encodeLevelCode(level) {
+  const json = new TextEncoder().encode(JSON.stringify(level));
+  const compressed = await transform(json, new CompressionStream('deflate-raw'));
+
+  const payload = new Uint8Array(compressed.length + CHECKSUM_BYTES);
+  payload.set(compressed);
+  new DataView(payload.buffer).setUint32(compressed.length, crc32(json));
+
+  return `SMS${LEVEL_CODE_VERSION}-${toBase64Url(payload)}`;
+}
+
+/**
+ * Decode a share code (also found inside a URL or a longer text)
+ * @param {string} text - Code, or text containing one
+ * @returns {Promise<object>} - Level data (not validated)
+ * @throws {LevelCodeError} - If there is no code, or it is corrupted or from a newer version
+ */
+export async function decodeLevelCode(text) {
+  const match = String(text).match(CODE_PATTERN);
+  if (!match) {
+    throw new LevelCodeError('no level code found');
+  }
+
+  const version = Number(match[1]);
+  if (version !== LEVEL_CODE_VERSION) {
+    throw new LevelCodeError(`level code version ${version} is not supported (this game reads version ${LEVEL_CODE_VERSION})`);
+  }
+
+  let json;
+  try {
+    const payload = fromBase64Url(match[2]);
+    const compressed = payload.subarray(0, payload.length - CHECKSUM_BYTES);
+    const checksum = new DataView(payload.buffer).getUint32(payload.length - CHECKSUM_BYTES);
+    json = await transform(compressed, new DecompressionStream('deflate-raw'), MAX_LEVEL_BYTES);
+
+    if (crc32(json) !== checksum) {
+      throw new Error('checksum mismatch');
+    }
+  } catch (error) {
+    if (error instanceof LevelCodeError) throw error;
+    throw new LevelCodeError(`level code is corrupted (${error.message})`);
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new LevelCodeError(`level code does not contain a level (${error.message})`);
+  }
+}
+
+/**
+ * Check if a text contains something that looks like a level code
+ */
+export function containsLevelCode(text) {
+  return CODE_PATTERN.test(String(text));
+}
+
+/**
+ * Link that opens the game on a level code
+ * @param {string} code - Level code
+ * @param {string} baseUrl - Game page URL (its fragment is replaced)
+ */
+export function getLevelCodeUrl(code, baseUrl) {
+  return `${baseUrl.split('#')[0]}#${URL_PARAMETER}=${code}`;
+}
+
+/**
+ * Level code of a URL fragment ("#level=<code>"), or null
+ * @param {string} hash - location.hash
+ */
+export function getLevelCodeFromHash(hash) {
+  const code = new URLSearchParams(hash.replace(/^#/, '')).get(URL_PARAMETER);
+  return code && containsLevelCode(code) ? code : null;
+}
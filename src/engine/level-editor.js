@@ -0,0 +1,682 @@
+import { CONFIG } from '../config.js';
+import { TILE_CHARS } from '../tiles/tile-types.js';
+import { validateLevel, HIDING_TILES } from './level-validator.js';
+import { MUSIC_TRACKS } from './audio-manager.js';
+
+/**
+ * Custom level key of the level being edited, when it is playtested (see LevelManager.setCustomLevel)
+ */
+export const EDITOR_LEVEL = 'editor';
+
+/**
+ * Editor tools: paint a tile or place something on the grid
+ */
+export const EditorTool = {
+  TILE: 'tile',
+  WOODSTOCK: 'woodstock',
+  BALL: 'ball',
+  POWERUP: 'powerup',
+  PORTAL: 'portal',
+  TARGET: 'target', // Landing cell of a hidden power-up, per reveal direction
+  LINK: 'link', // Plate or switch driving a gate, teleporter leading to another one
+  START: 'start',
+  ERASE: 'erase',
+};
+
+/**
+ * Tool palette, in selection order. Tile entries use the tile characters of the level format.
+ */
+export const EDITOR_PALETTE = [
+  { tool: EditorTool.TILE, char: '0', label: 'Empty' },
+  { tool: EditorTool.TILE, char: '1', label: 'Wall' },
+  { tool: EditorTool.TILE, char: '3', label: 'Breakable' },
+  { tool: EditorTool.TILE, char: 'A', label: 'Pushable up' },
+  { tool: EditorTool.TILE, char: 'B', label: 'Pushable down' },
+  { tool: EditorTool.TILE, char: 'C', label: 'Pushable left' },
+  { tool: EditorTool.TILE, char: 'D', label: 'Pushable right' },
+  { tool: EditorTool.TILE, char: '4', label: 'Teleport A' },
+  { tool: EditorTool.TILE, char: '5', label: 'Teleport B' },
+  { tool: EditorTool.TILE, char: 'R', label: 'Teleporter (channel)' },
+  { tool: EditorTool.TILE, char: '6', label: 'Arrow up' },
+  { tool: EditorTool.TILE, char: '7', label: 'Arrow right' },
+  { tool: EditorTool.TILE, char: '8', label: 'Arrow down' },
+  { tool: EditorTool.TILE, char: '9', label: 'Arrow left' },
+  { tool: EditorTool.TILE, char: 'E', label: 'Toggle block' },
+  { tool: EditorTool.TILE, char: 'F', label: 'Pressure plate' },
+  { tool: EditorTool.TILE, char: 'I', label: 'Switch' },
+  { tool: EditorTool.TILE, char: 'U', label: 'Gate' },
+  { tool: EditorTool.WOODSTOCK, label: 'Woodstock' },
+  { tool: EditorTool.BALL, label: 'Ball' },
+  { tool: EditorTool.POWERUP, label: 'Power-up' },
+  { tool: EditorTool.PORTAL, label: 'Portal' },
+  { tool: EditorTool.TARGET, label: 'Power-up target' },
+  { tool: EditorTool.LINK, label: 'Link' },
+  { tool: EditorTool.START, label: 'Start' },
+  { tool: EditorTool.ERASE, label: 'Erase' },
+];
+
+/**
+ * Ball directions, clockwise (placing a ball on a ball turns it)
+ */
+const BALL_DIRECTIONS = [
+  { vx: 1, vy: 1 },
+  { vx: -1, vy: 1 },
+  { vx: -1, vy: -1 },
+  { vx: 1, vy: -1 },
+];
+
+const POWER_TYPES = ['invincible', 'time', 'speed'];
+
+/**
+ * Trigger type declared for each trigger tile character
+ */
+const TRIGGER_TYPES = {
+  F: 'plate',
+  I: 'switch',
+  U: 'gate',
+};
+
+/**
+ * Channels the editor cycles through when a teleporter is painted over a teleporter
+ * (levels can use any channel number)
+ */
+const MAX_EDITOR_CHANNEL = 9;
+
+/**
+ * Gate modes, in the order the link tool cycles through them (defaults are left out of the level)
+ */
+const GATE_MODES = [
+  { require: 'all', inverted: false },
+  { require: 'any', inverted: false },
+  { require: 'all', inverted: true },
+  { require: 'any', inverted: true },
+];
+
+/**
+ * Music choices: stage music for `music`, stage clear jingles for `clearMusic`
+ */
+export const LEVEL_MUSIC = {
+  music: MUSIC_TRACKS.map(track => track.name).filter(name => /^stage-bgm-\d+$/.test(name)),
+  clearMusic: MUSIC_TRACKS.map(track => track.name).filter(name => /^stage-clear-\d+$/.test(name)),
+};
+
+/**
+ * Empty level, Snoopy in the top-left corner
+ */
+export function createBlankLevel(width = CONFIG.GRID_WIDTH, height = CONFIG.GRID_HEIGHT) {
+  return {
+    id: 0,
+    name: 'Custom Level',
+    width,
+    height,
+    music: LEVEL_MUSIC.music[0],
+    clearMusic: LEVEL_MUSIC.clearMusic[0],
+    startPosition: { x: 0, y: 0 },
+    tiles: Array.from({ length: height }, () => '0'.repeat(width)),
+    entities: [],
+  };
+}
+
+/**
+ * Reveal direction of a hidden item landing on (toX, toY) from its block
+ */
+function directionTowards(fromX, fromY, toX, toY) {
+  const dx = toX - fromX;
+  const dy = toY - fromY;
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx > 0 ? 'right' : 'left';
+  }
+  return dy > 0 ? 'down' : 'up';
+}
+
+/**
+ * Level being edited: tiles, entities, start position and music, without any rendering.
+ * Tools follow the level format: hidden items sit on their block (x, y = blockX, blockY),
+ * portals are placed in two steps (portal, then destination), plates and switches are linked
+ * to gates in two steps too (plate or switch, then gates).
+ */
+export class LevelEditor {
+  /**
+   * @param {object} [level] - Level data to edit (copied), a blank level if omitted
+   */
+  constructor(level = createBlankLevel()) {
+    this.load(level);
+  }
+
+  /**
+   * Start editing a level (copied, so bundled level data is never modified)
+   */
+  load(level) {
+    const data = structuredClone(level);
+    this.id = data.id ?? 0;
+    this.name = data.name ?? 'Custom Level';
+    this.width = data.width;
+    this.height = data.height;
+    this.music = data.music ?? LEVEL_MUSIC.music[0];
+    this.clearMusic = data.clearMusic ?? LEVEL_MUSIC.clearMusic[0];
+    this.timer = data.timer ?? null; // Kept as is (edited in the JSON)
+    this.startPosition = data.startPosition ?? { x: 0, y: 0 };
+    this.tiles = data.tiles.map(row => [...row]);
+    this.teleporters = data.teleporters ?? [];
+    this.triggers = data.triggers ?? [];
+    this.entities = data.entities ?? [];
+
+    // Two-step tools
+    this.pendingPortal = null; // Portal waiting for its destination
+    this.selectedPowerUp = null; // Hidden power-up whose targets are being set
+    this.selectedTrigger = null; // Plate or switch being linked to gates
+    this.selectedTeleporter = null; // Teleporter whose destination is being set
+  }
+
+  /**
+   * Check if a cell is inside the level
+   */
+  isInBounds(x, y) {
+    return x >= 0 && x < this.width && y >= 0 && y < this.height;
+  }
+
+  /**
+   * Tile character at a cell
+   */
+  getTile(x, y) {
+    return this.isInBounds(x, y) ? this.tiles[y][x] : null;
+  }
+
+  /**
+   * Entities placed on a cell
+   */
+  getEntitiesAt(x, y) {
+    return this.entities.filter(entity => entity.x === x && entity.y === y);
+  }
+
+  /**
+   * Teleporter declared on a cell ("R" tiles)
+   */
+  getTeleporterAt(x, y) {
+    return this.teleporters.find(teleporter => teleporter.x === x && teleporter.y === y) || null;
+  }
+
+  /**
+   * Plate, switch or gate declared on a cell
+   */
+  getTriggerAt(x, y) {
+    return this.triggers.find(trigger => trigger.x === x && trigger.y === y) || null;
+  }
+
+  /**
+   * Check if a cell holds a block that can hide an item
+   */
+  isHidingBlock(x, y) {
+    return HIDING_TILES.has(TILE_CHARS[this.getTile(x, y)]);
+  }
+
+  /**
+   * Use a palette entry on a cell
+   * @param {object} entry - EDITOR_PALETTE entry
+   * @returns {string|null} - Message for the editor status line, or null
+   */
+  apply(entry, x, y) {
+    if (!this.isInBounds(x, y)) return null;
+
+    switch (entry.tool) {
+      case EditorTool.TILE:
+        if (entry.char === 'R' && this.getTeleporterAt(x, y)) {
+          return this.cycleChannel(this.getTeleporterAt(x, y));
+        }
+        this.setTile(x, y, entry.char);
+        return null;
+      case EditorTool.WOODSTOCK:
+        return this.toggleWoodstock(x, y);
+      case EditorTool.BALL:
+        return this.placeBall(x, y);
+      case EditorTool.POWERUP:
+        return this.placePowerUp(x, y);
+      case EditorTool.PORTAL:
+        return this.placePortal(x, y);
+      case EditorTool.TARGET:
+        return this.placeTarget(x, y);
+      case EditorTool.LINK:
+        return this.placeLink(x, y);
+      case EditorTool.START:
+        this.startPosition = { x, y };
+        return null;
+      case EditorTool.ERASE:
+        return this.erase(x, y);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Paint a tile. Items hidden in a block that cannot hide them anymore become visible,
+   * and the teleporter and trigger declarations follow the tile (see syncTeleporter, syncTrigger).
+   */
+  setTile(x, y, char) {
+    this.tiles[y][x] = char;
+
+    if (!this.isHidingBlock(x, y)) {
+      for (const entity of this.getEntitiesAt(x, y)) {
+        this.unhide(entity);
+      }
+    }
+
+    this.syncTeleporter(x, y);
+    this.syncTrigger(x, y);
+  }
+
+  /**
+   * Declare the "R" teleporter painted on a cell, or drop the declaration of one painted over.
+   * A new teleporter joins the first channel left with a single teleporter, so that painting
+   * two of them makes a pair, or else opens a new channel.
+   */
+  syncTeleporter(x, y) {
+    const teleporter = this.getTeleporterAt(x, y);
+    const isTeleporter = this.getTile(x, y) === 'R';
+    if (Boolean(teleporter) === isTeleporter) return;
+
+    if (teleporter) {
+      this.removeTeleporter(teleporter);
+      return;
+    }
+
+    const counts = this.getChannelCounts();
+    let channel = [...counts.keys()].sort((a, b) => a - b).find(other => counts.get(other) === 1);
+    if (channel === undefined) {
+      channel = 1;
+      while (counts.has(channel)) {
+        channel++;
+      }
+    }
+
+    this.teleporters.push({ id: this.nextId(this.teleporters, 'teleporter'), x, y, channel });
+  }
+
+  /**
+   * Number of teleporters of each channel ("4" and "5" tiles are channels 1 and 2)
+   */
+  getChannelCounts() {
+    const counts = new Map();
+    const add = (channel) => counts.set(channel, (counts.get(channel) || 0) + 1);
+
+    for (const row of this.tiles) {
+      for (const char of row) {
+        if (char === '4') add(1);
+        if (char === '5') add(2);
+      }
+    }
+    for (const teleporter of this.teleporters) {
+      add(teleporter.channel);
+    }
+    return counts;
+  }
+
+  /**
+   * Move a teleporter to the next channel
+   */
+  cycleChannel(teleporter) {
+    teleporter.channel = teleporter.channel % MAX_EDITOR_CHANNEL + 1;
+    return `${teleporter.id}: channel ${teleporter.channel}`;
+  }
+
+  /**
+   * Remove a teleporter declaration (and the links leading to it)
+   */
+  removeTeleporter(teleporter) {
+    this.teleporters = this.teleporters.filter(other => other !== teleporter);
+    for (const other of this.teleporters) {
+      if (other.to === teleporter.id) {
+        delete other.to;
+      }
+    }
+    if (this.selectedTeleporter === teleporter) this.selectedTeleporter = null;
+  }
+
+  /**
+   * Declare the plate, switch or gate painted on a cell (with a new id),
+   * or drop the declaration of a trigger tile painted over
+   */
+  syncTrigger(x, y) {
+    const type = TRIGGER_TYPES[this.getTile(x, y)];
+    const trigger = this.getTriggerAt(x, y);
+    if (trigger && trigger.type === type) return;
+
+    if (trigger) {
+      this.removeTrigger(trigger);
+    }
+
+    if (type) {
+      const id = this.nextId(this.triggers, type);
+      this.triggers.push(type === 'gate' ? { id, type, x, y, inputs: [] } : { id, type, x, y });
+    }
+  }
+
+  /**
+   * First id of the form "<prefix>-<n>" not used in a list of declarations
+   */
+  nextId(declarations, prefix) {
+    let n = 1;
+    while (declarations.some(declaration => declaration.id === `${prefix}-${n}`)) {
+      n++;
+    }
+    return `${prefix}-${n}`;
+  }
+
+  /**
+   * Remove a trigger declaration (and unlink it from the gates)
+   */
+  removeTrigger(trigger) {
+    this.triggers = this.triggers.filter(other => other !== trigger);
+    for (const gate of this.triggers) {
+      if (gate.inputs) {
+        gate.inputs = gate.inputs.filter(id => id !== trigger.id);
+      }
+    }
+    if (this.selectedTrigger === trigger) this.selectedTrigger = null;
+  }
+
+  /**
+   * Make a hidden item visible (drops its block and targets)
+   */
+  unhide(entity) {
+    delete entity.hidden;
+    delete entity.blockX;
+    delete entity.blockY;
+    delete entity.targets;
+  }
+
+  /**
+   * Add a Woodstock, or remove the one on the cell
+   */
+  toggleWoodstock(x, y) {
+    const woodstock = this.getEntitiesAt(x, y).find(entity => entity.type === 'woodstock');
+    if (woodstock) {
+      this.removeEntity(woodstock);
+      return 'Woodstock removed';
+    }
+
+    this.entities.push({ type: 'woodstock', x, y });
+    return null;
+  }
+
+  /**
+   * Add a ball, or turn the ball on the cell to the next direction
+   */
+  placeBall(x, y) {
+    const ball = this.getEntitiesAt(x, y).find(entity => entity.type === 'ball');
+    if (ball) {
+      const index = BALL_DIRECTIONS.findIndex(dir => dir.vx === ball.vx && dir.vy === ball.vy);
+      const next = BALL_DIRECTIONS[(index + 1) % BALL_DIRECTIONS.length];
+      ball.vx = next.vx;
+      ball.vy = next.vy;
+      return 'Ball turned';
+    }
+
+    this.entities.push({ type: 'ball', x, y, ...BALL_DIRECTIONS[0] });
+    return null;
+  }
+
+  /**
+   * Add a power-up (hidden if the cell is a pushable or breakable block),
+   * or switch the power-up on the cell to the next type
+   */
+  placePowerUp(x, y) {
+    const powerUp = this.getEntitiesAt(x, y).find(entity => entity.type === 'powerup');
+    if (powerUp) {
+      powerUp.powerType = POWER_TYPES[(POWER_TYPES.indexOf(powerUp.powerType) + 1) % POWER_TYPES.length];
+      return `Power-up: ${powerUp.powerType}`;
+    }
+
+    const data = { type: 'powerup', x, y, powerType: POWER_TYPES[0] };
+    if (this.isHidingBlock(x, y)) {
+      Object.assign(data, { hidden: true, blockX: x, blockY: y });
+    }
+    this.entities.push(data);
+    return data.hidden ? 'Power-up hidden in the block' : null;
+  }
+
+  /**
+   * First use: place a portal (hidden if the cell is a pushable or breakable block)
+   * or pick an existing one. Second use: set its destination.
+   */
+  placePortal(x, y) {
+    if (this.pendingPortal) {
+      this.pendingPortal.destinationX = x;
+      this.pendingPortal.destinationY = y;
+      this.pendingPortal = null;
+      return `Portal destination set to (${x}, ${y})`;
+    }
+
+    let portal = this.getEntitiesAt(x, y).find(entity => entity.type === 'portal');
+    if (!portal) {
+      portal = { type: 'portal', x, y, destinationX: x, destinationY: y };
+      if (this.isHidingBlock(x, y)) {
+        Object.assign(portal, { hidden: true, blockX: x, blockY: y });
+      }
+      this.entities.push(portal);
+    }
+
+    this.pendingPortal = portal;
+    return 'Choose the portal destination';
+  }
+
+  /**
+   * First use: select a hidden power-up. Next uses: set where it lands when revealed
+   * in the direction of the chosen cell. Using it on the power-up again clears its targets.
+   */
+  placeTarget(x, y) {
+    const powerUp = this.getEntitiesAt(x, y).find(entity => entity.type === 'powerup' && entity.hidden);
+
+    if (powerUp && powerUp === this.selectedPowerUp) {
+      delete powerUp.targets;
+      return 'Power-up targets cleared';
+    }
+
+    if (powerUp) {
+      this.selectedPowerUp = powerUp;
+      return 'Choose where the power-up lands';
+    }
+
+    const selected = this.selectedPowerUp;
+    if (!selected || !this.entities.includes(selected)) {
+      this.selectedPowerUp = null;
+      return 'Select a hidden power-up first';
+    }
+
+    const direction = directionTowards(selected.x, selected.y, x, y);
+    selected.targets = { ...selected.targets, [direction]: { x, y } };
+    return `Revealed ${direction}: lands on (${x}, ${y})`;
+  }
+
+  /**
+   * First use: select a plate or switch. Next uses: link it to a gate, or unlink it.
+   * Used on a gate with nothing selected: switch the gate to its next mode (see GATE_MODES).
+   * On teleporters: select one, then choose where it leads (itself: back to its channel).
+   */
+  placeLink(x, y) {
+    const teleporter = this.getTeleporterAt(x, y);
+    if (teleporter) {
+      return this.linkTeleporter(teleporter);
+    }
+
+    const trigger = this.getTriggerAt(x, y);
+
+    if (trigger && trigger.type !== 'gate') {
+      if (trigger === this.selectedTrigger) {
+        this.selectedTrigger = null;
+        return 'Link done';
+      }
+      this.selectedTrigger = trigger;
+      this.selectedTeleporter = null;
+      return `Choose the gates of ${trigger.id}`;
+    }
+
+    if (!trigger) {
+      return 'Select a plate or switch, then a gate';
+    }
+
+    const selected = this.selectedTrigger;
+    if (!selected || !this.triggers.includes(selected)) {
+      this.selectedTrigger = null;
+      return this.cycleGateMode(trigger);
+    }
+
+    if (trigger.inputs.includes(selected.id)) {
+      trigger.inputs = trigger.inputs.filter(id => id !== selected.id);
+      return `${selected.id} unlinked from ${trigger.id}`;
+    }
+
+    trigger.inputs.push(selected.id);
+    return `${selected.id} drives ${trigger.id}`;
+  }
+
+  /**
+   * Select a teleporter, or set the destination of the selected one
+   */
+  linkTeleporter(teleporter) {
+    const selected = this.selectedTeleporter;
+    if (!selected || !this.teleporters.includes(selected)) {
+      this.selectedTeleporter = teleporter;
+      this.selectedTrigger = null;
+      return `Choose where ${teleporter.id} leads`;
+    }
+
+    this.selectedTeleporter = null;
+    if (selected === teleporter) {
+      delete teleporter.to;
+      return `${teleporter.id} leads along channel ${teleporter.channel}`;
+    }
+
+    selected.to = teleporter.id;
+    return `${selected.id} leads to ${teleporter.id}`;
+  }
+
+  /**
+   * Switch a gate to its next mode
+   */
+  cycleGateMode(gate) {
+    const index = GATE_MODES.findIndex(mode =>
+      mode.require === (gate.require ?? 'all') && mode.inverted === (gate.inverted ?? false));
+    const mode = GATE_MODES[(index + 1) % GATE_MODES.length];
+
+    delete gate.require;
+    delete gate.inverted;
+    if (mode.require !== 'all') gate.require = mode.require;
+    if (mode.inverted) gate.inverted = true;
+
+    return `${gate.id}: ${mode.inverted ? 'closes' : 'opens'} when ${mode.require} inputs are on`;
+  }
+
+  /**
+   * Remove the entities of a cell, or clear its tile if there are none
+   */
+  erase(x, y) {
+    const entities = this.getEntitiesAt(x, y);
+    if (entities.length === 0) {
+      this.setTile(x, y, '0');
+      return null;
+    }
+
+    for (const entity of entities) {
+      this.removeEntity(entity);
+    }
+    return `${entities.length} entit${entities.length > 1 ? 'ies' : 'y'} removed`;
+  }
+
+  /**
+   * Remove an entity (and cancel the tools waiting on it)
+   */
+  removeEntity(entity) {
+    this.entities = this.entities.filter(other => other !== entity);
+    if (this.pendingPortal === entity) this.pendingPortal = null;
+    if (this.selectedPowerUp === entity) this.selectedPowerUp = null;
+  }
+
+  /**
+   * Change the level size: new cells are empty, entities, teleporters and triggers outside are removed,
+   * the start position and portal destinations are kept inside the level
+   */
+  resize(width, height) {
+    width = Math.max(1, width);
+    height = Math.max(1, height);
+
+    this.tiles = Array.from({ length: height }, (_, y) =>
+      Array.from({ length: width }, (_, x) => this.tiles[y]?.[x] ?? '0')
+    );
+    this.width = width;
+    this.height = height;
+
+    for (const teleporter of [...this.teleporters]) {
+      if (!this.isInBounds(teleporter.x, teleporter.y)) {
+        this.removeTeleporter(teleporter);
+      }
+    }
+    for (const trigger of [...this.triggers]) {
+      if (!this.isInBounds(trigger.x, trigger.y)) {
+        this.removeTrigger(trigger);
+      }
+    }
+
+    for (const entity of [...this.entities]) {
+      if (!this.isInBounds(entity.x, entity.y)) {
+        this.removeEntity(entity);
+      } else if (entity.destinationX !== undefined) {
+        entity.destinationX = Math.min(entity.destinationX, width - 1);
+        entity.destinationY = Math.min(entity.destinationY, height - 1);
+      }
+    }
+
+    this.startPosition = {
+      x: Math.min(this.startPosition.x, width - 1),
+      y: Math.min(this.startPosition.y, height - 1),
+    };
+  }
+
+  /**
+   * Switch `music` or `clearMusic` to the next (step 1) or previous (step -1) track
+   * @param {'music'|'clearMusic'} field
+   */
+  cycleMusic(field, step = 1) {
+    const tracks = LEVEL_MUSIC[field];
+    const index = tracks.indexOf(this[field]);
+    this[field] = tracks[(index + step + tracks.length) % tracks.length];
+    return this[field];
+  }
+
+  /**
+   * Level data in the level file format
+   */
+  toLevelData() {
+    return {
+      id: this.id,
+      name: this.name,
+      width: this.width,
+      height: this.height,
+      music: this.music,
+      clearMusic: this.clearMusic,
+      ...(this.timer && { timer: structuredClone(this.timer) }),
+      startPosition: { ...this.startPosition },
+      tiles: this.tiles.map(row => row.join('')),
+      ...(this.teleporters.length > 0 && { teleporters: structuredClone(this.teleporters) }),
+      ...(this.triggers.length > 0 && { triggers: structuredClone(this.triggers) }),
+      entities: structuredClone(this.entities),
+    };
+  }
+
+  /**
+   * Check the level with the same rules as LevelManager
+   * @returns {Array<{path: string, message: string}>} - Errors (empty if the level can be played and exported)
+   */
+  validate() {
+    return validateLevel(this.toLevelData());
+  }
+
+  /**
+   * Level file contents, or null if the level is invalid
+   */
+  exportJSON() {
+    if (this.validate().length > 0) {
+      return null;
+    }
+    return JSON.stringify(this.toLevelData(), null, 2);
+  }
+}
@@ -0,0 +1,331 @@
+import { CONFIG } from '../config.js';
+import { validateLevel } from './level-validator.js';
+import { solveLevel } from './level-solver.js';
+import { LEVEL_MUSIC } from './level-editor.js';
+import { Random } from './random.js';
+
+/**
+ * Custom level key of a generated level (see LevelManager.setCustomLevel)
+ */
+export const GENERATED_LEVEL = 'generated';
+
+/**
+ * Highest difficulty of getDifficultyOptions()
+ */
+export const MAX_DIFFICULTY = 10;
+
+/**
+ * Mechanics the generator can place, with the tile characters of each one
+ * (a teleport is placed as a pair)
+ */
+export const MECHANICS = {
+  breakable: ['3'],
+  pushable: ['A', 'B', 'C', 'D'],
+  arrows: ['6', '7', '8', '9'],
+  teleports: ['4', '5'],
+  toggles: ['E'],
+};
+
+const POWER_TYPES = ['invincible', 'time', 'speed'];
+
+/**
+ * Tiles a Woodstock is placed on (see Woodstock.validateSpawn; toggle blocks are
+ * left out, see closeToggleBlocks)
+ */
+const WOODSTOCK_TILES = new Set(['0', '4', '5', '6', '7', '8', '9']);
+
+/**
+ * Tiles that can hide a power-up
+ */
+const HIDING_CHARS = new Set(['3', 'A', 'B', 'C', 'D']);
+
+/**
+ * Tiles moving the player or a block one cell in a direction
+ * (an arrow slides Snoopy, a directional block is pushed)
+ */
+const TILE_DIRECTIONS = {
+  '6': { dx: 0, dy: -1 },
+  '7': { dx: 1, dy: 0 },
+  '8': { dx: 0, dy: 1 },
+  '9': { dx: -1, dy: 0 },
+  'A': { dx: 0, dy: -1 },
+  'B': { dx: 0, dy: 1 },
+  'C': { dx: -1, dy: 0 },
+  'D': { dx: 1, dy: 0 },
+};
+
+/**
+ * Search budget of the solver for each attempt: a layout that needs more is rejected
+ * rather than waited for
+ */
+const SOLVER_MAX_STATES = 3000;
+
+/**
+ * Thrown when no attempt produced a level that passes the checks
+ */
+export class LevelGenerationError extends Error {
+  constructor(message, attempts) {
+    super(message);
+    this.name = 'LevelGenerationError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Generator settings for a difficulty: new mechanics are mixed in the order the
+ * campaign introduces them, with more balls, blocks and a longer solution
+ * @param {number} difficulty - 1 to MAX_DIFFICULTY
+ */
+export function getDifficultyOptions(difficulty) {
+  const d = Math.max(1, Math.min(MAX_DIFFICULTY, Math.round(difficulty)));
+  const mechanics = { breakable: 2 };
+  if (d >= 2) mechanics.arrows = 2;
+  if (d >= 3) mechanics.pushable = 2;
+  if (d >= 4) mechanics.toggles = 1;
+  if (d >= 5) mechanics.teleports = 1;
+
+  return {
+    woodstocks: 4,
+    balls: Math.min(4, Math.ceil(d / 2)),
+    powerUps: d >= 3 ? 1 : 0,
+    walls: 4 + d,
+    mechanics,
+    mechanicTiles: 2 + d,
+    minMoves: 12 + d,
+    maxMoves: 30 + d * 3,
+  };
+}
+
+/**
+ * Generate a valid level that the solver proves can be cleared.
+ *
+ * Layouts are drawn at random from the seed and kept only if they pass validateLevel()
+ * and solveLevel() finds a solution within the path length. The same options always
+ * give the same level. The solution never uses toggle blocks (see closeToggleBlocks),
+ * so the real par can be shorter than `moves`.
+ *
+ * @param {object} [options] - Knobs override the difficulty settings (see getDifficultyOptions)
+ * @param {number} [options.seed] - Random seed (a random one by default)
+ * @param {number} [options.difficulty=1] - Base settings, 1 to MAX_DIFFICULTY
+ * @param {number} [options.woodstocks] - Woodstocks to collect
+ * @param {number} [options.balls] - Balls (ignored by the solver)
+ * @param {number} [options.powerUps] - Power-ups, hidden in blocks when possible
+ * @param {number} [options.walls] - Wall segments (1 to 3 tiles)
+ * @param {Object<string, number>} [options.mechanics] - Weight of each mechanic (see MECHANICS), e.g. { arrows: 2, toggles: 1 }
+ * @param {number} [options.mechanicTiles] - Mechanic tiles to place
+ * @param {number} [options.minMoves] - Shortest accepted solution (moves, see solveLevel)
+ * @param {number} [options.maxMoves] - Longest accepted solution
+ * @param {number} [options.maxTime] - Longest accepted solution time in seconds (e.g. the level timer)
+ * @param {number} [options.maxAttempts=200] - Layouts tried before giving up
+ * @param {number} [options.width] - Grid width (CONFIG.GRID_WIDTH by default)
+ * @param {number} [options.height] - Grid height (CONFIG.GRID_HEIGHT by default)
+ * @param {number} [options.id=0] - Level id
+ * @param {string} [options.name] - Level name ("Generated <seed>" by default)
+ * @returns {{level: object, seed: number, attempts: number, moves: number, time: number, sequence: Array<string>}}
+ * @throws {LevelGenerationError} - If no layout passed in maxAttempts
+ */
+export function generateLevel(options = {}) {
+  const settings = { ...getDifficultyOptions(options.difficulty ?? 1) };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+
+  const seed = (settings.seed ?? Random.randomSeed()) >>> 0;
+  const maxAttempts = settings.maxAttempts ?? 200;
+  const unknown = Object.keys(settings.mechanics).filter(mechanic => !MECHANICS[mechanic]);
+  if (unknown.length > 0) {
+    throw new LevelGenerationError(`unknown mechanic(s): ${unknown.join(', ')}`, 0);
+  }
+
+  const random = new Random(seed);
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const level = createLayout(random, settings);
+    if (!level) continue;
+
+    level.id = settings.id ?? 0;
+    level.name = settings.name ?? `Generated ${seed}`;
+    if (validateLevel(level).length > 0) continue;
+
+    const result = solveLevel(closeToggleBlocks(level), { maxStates: SOLVER_MAX_STATES });
+    const accepted = result.solvable &&
+      result.moves >= settings.minMoves && result.moves <= settings.maxMoves &&
+      (settings.maxTime === undefined || result.time <= settings.maxTime);
+
+    if (accepted) {
+      return { level, seed, attempts: attempt, moves: result.moves, time: result.time, sequence: result.sequence };
+    }
+  }
+
+  throw new LevelGenerationError(`no solvable level found in ${maxAttempts} attempts (seed ${seed})`, maxAttempts);
+}
+
+/**
+ * Draw one layout: start, walls, mechanics, then entities
+ * @returns {object|null} - Level data without id and name (null if the grid is too full or a toggle block is in a path)
+ */
+function createLayout(random, settings) {
+  const width = settings.width ?? CONFIG.GRID_WIDTH;
+  const height = settings.height ?? CONFIG.GRID_HEIGHT;
+  const grid = Array.from({ length: height }, () => new Array(width).fill('0'));
+  const start = { x: random.int(0, width - 1), y: random.int(0, height - 1) };
+  const reserved = new Set([cellKey(start.x, start.y)]); // Cells kept free of tiles and entities
+
+  const freeCells = () => {
+    const cells = [];
+    grid.forEach((row, y) => row.forEach((char, x) => {
+      if (char === '0' && !reserved.has(cellKey(x, y))) cells.push({ x, y });
+    }));
+    return cells;
+  };
+
+  // Walls: short straight segments
+  for (let i = 0; i < settings.walls; i++) {
+    const cell = pick(random, freeCells());
+    if (!cell) break;
+
+    const horizontal = random.next() < 0.5;
+    const length = random.int(1, 3);
+    for (let step = 0; step < length; step++) {
+      const x = cell.x + (horizontal ? step : 0);
+      const y = cell.y + (horizontal ? 0 : step);
+      if (x < width && y < height && grid[y][x] === '0' && !reserved.has(cellKey(x, y))) {
+        grid[y][x] = '1';
+      }
+    }
+  }
+
+  // Mechanics, drawn by weight (each teleport pair is used once)
+  const weights = { ...settings.mechanics };
+  const teleports = [...MECHANICS.teleports];
+  for (let placed = 0; placed < settings.mechanicTiles;) {
+    const mechanic = pickWeighted(random, weights);
+    if (!mechanic) break;
+
+    const cells = freeCells();
+    if (mechanic === 'teleports') {
+      const char = teleports.shift();
+      if (teleports.length === 0) delete weights.teleports;
+      if (cells.length < 2) continue;
+
+      const first = pick(random, cells);
+      const second = pick(random, cells.filter(cell => cell !== first));
+      grid[first.y][first.x] = char;
+      grid[second.y][second.x] = char;
+      placed += 2;
+    } else {
+      const cell = pick(random, cells);
+      if (!cell) break;
+      grid[cell.y][cell.x] = pick(random, MECHANICS[mechanic]);
+      placed++;
+    }
+  }
+
+  if (!areTogglesOffPaths(grid)) return null;
+
+  // Woodstocks: each one the farthest of a few candidates from the start and the others
+  const entities = [];
+  const woodstocks = [start];
+  for (let i = 0; i < settings.woodstocks; i++) {
+    const cells = [];
+    grid.forEach((row, y) => row.forEach((char, x) => {
+      if (WOODSTOCK_TILES.has(char) && !reserved.has(cellKey(x, y))) cells.push({ x, y });
+    }));
+    if (cells.length === 0) return null;
+
+    const candidates = Array.from({ length: 4 }, () => pick(random, cells));
+    const spread = cell => Math.min(...woodstocks.map(other => Math.abs(other.x - cell.x) + Math.abs(other.y - cell.y)));
+    const cell = candidates.reduce((best, candidate) => (spread(candidate) > spread(best) ? candidate : best));
+
+    reserved.add(cellKey(cell.x, cell.y));
+    woodstocks.push(cell);
+    entities.push({ type: 'woodstock', x: cell.x, y: cell.y });
+  }
+
+  // Balls: away from the start, on a diagonal
+  for (let i = 0; i < settings.balls; i++) {
+    const cell = pick(random, freeCells().filter(({ x, y }) => Math.abs(x - start.x) + Math.abs(y - start.y) >= 3));
+    if (!cell) break;
+
+    reserved.add(cellKey(cell.x, cell.y));
+    entities.push({ type: 'ball', x: cell.x, y: cell.y, vx: random.next() < 0.5 ? -1 : 1, vy: random.next() < 0.5 ? -1 : 1 });
+  }
+
+  // Power-ups: hidden in a block when there is one
+  for (let i = 0; i < settings.powerUps; i++) {
+    const powerType = pick(random, POWER_TYPES);
+    const blocks = [];
+    grid.forEach((row, y) => row.forEach((char, x) => {
+      if (HIDING_CHARS.has(char) && !reserved.has(cellKey(x, y))) blocks.push({ x, y });
+    }));
+
+    const block = pick(random, blocks);
+    if (block) {
+      reserved.add(cellKey(block.x, block.y));
+      entities.push({ type: 'powerup', x: block.x, y: block.y, powerType, hidden: true, blockX: block.x, blockY: block.y });
+      continue;
+    }
+
+    const cell = pick(random, freeCells());
+    if (!cell) break;
+    reserved.add(cellKey(cell.x, cell.y));
+    entities.push({ type: 'powerup', x: cell.x, y: cell.y, powerType });
+  }
+
+  return {
+    id: 0,
+    name: '',
+    width,
+    height,
+    music: pick(random, LEVEL_MUSIC.music),
+    clearMusic: pick(random, LEVEL_MUSIC.clearMusic),
+    startPosition: start,
+    tiles: grid.map(row => row.join('')),
+    entities,
+  };
+}
+
+/**
+ * Copy of a level with its toggle blocks turned into walls, for the solver.
+ *
+ * Proving a level with toggle blocks means following their phase step by step, which
+ * is too slow to try many layouts. A solution that never steps on them works in the
+ * real level too, as long as nothing moves onto them on its own: no Woodstock on a
+ * toggle block, and no arrow or directional block pointing at one (areTogglesOffPaths).
+ */
+function closeToggleBlocks(level) {
+  return { ...level, tiles: level.tiles.map(row => row.replaceAll('E', '1')) };
+}
+
+/**
+ * Check that no arrow slides Snoopy onto a toggle block and no block can be pushed onto one
+ */
+function areTogglesOffPaths(grid) {
+  return grid.every((row, y) => row.every((char, x) => {
+    const direction = TILE_DIRECTIONS[char];
+    return !direction || grid[y + direction.dy]?.[x + direction.dx] !== 'E';
+  }));
+}
+
+function cellKey(x, y) {
+  return `${x},${y}`;
+}
+
+/**
+ * Random item of a list (undefined if it is empty)
+ */
+function pick(random, items) {
+  return items[random.int(0, items.length - 1)];
+}
+
+/**
+ * Random key of a weight map (null if no weight is positive)
+ */
+function pickWeighted(random, weights) {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  let roll = random.next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+  for (const [key, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return key;
+  }
+  return null;
+}
@@ -1,11 +1,40 @@
 import { CONFIG } from '../config.js';
-import { TileType } from '../tiles/tile-types.js';
+import { TileType, TILE_CHARS } from '../tiles/tile-types.js';
+import { GameEvent } from './event-bus.js';
+import { validateLevel, LevelValidationError } from './level-validator.js';
+
+/**
+ * Default level loader: bundled level files, imported through Vite
+ * @param {number|string} levelNumber - Level number (or 'default' for the fallback level)
+ */
+function importBundledLevel(levelNumber) {
+  return import(`../levels/level-${levelNumber}.json`);
+}
+
+/**
+ * Marks drawn on "R" teleporters, one per channel: the shapes (outline points around the
+ * tile center, null for a circle) first light then dark, so 12 channels look different
+ * before the marks repeat. "4" and "5" tiles keep their plain sprite.
+ */
+const TELEPORT_CHANNEL_SHAPES = [
+  null, // Circle
+  [[-1, -1], [1, -1], [1, 1], [-1, 1]], // Square
+  [[0, -1.4], [1.4, 0], [0, 1.4], [-1.4, 0]], // Diamond
+  [[0, -1.3], [1.3, 1], [-1.3, 1]], // Triangle
+  [[-0.4, -1.3], [0.4, -1.3], [0.4, -0.4], [1.3, -0.4], [1.3, 0.4], [0.4, 0.4],
+    [0.4, 1.3], [-0.4, 1.3], [-0.4, 0.4], [-1.3, 0.4], [-1.3, -0.4], [-0.4, -0.4]], // Cross
+  [[-1.4, -0.5], [1.4, -0.5], [1.4, 0.5], [-1.4, 0.5]], // Bar
+];
 
 /**
  * Manages levels, tiles, and level data
  */
 export class LevelManager {
-  constructor() {
+  /**
+   * @param {Function} [levelLoader] - Async function returning the level data (or its module) for a level number
+   */
+  constructor(levelLoader = importBundledLevel) {
+    this.levelLoader = levelLoader;
     this.currentLevel = null;
     this.tiles = [];
     this.animatingBlocks = []; // Blocks currently being animated
@@ -13,14 +42,27 @@ export class LevelManager {
     this.toggleCycleDuration = 14; // Total cycle: 7s solid + 7s passable
     this.toggleTimer = -0.1; // Start with -0.5s (0.5 second delay before cycle starts)
     this.toggleTransitionDuration = 0.4; // Transition animation duration (slowed down)
-    this.hiddenPowerUps = new Map(); // Power-ups hidden in blocks, keyed by "x,y"
-    this.hiddenPortals = new Map(); // Portals hidden in blocks, keyed by "x,y"
-    this.teleportCooldowns = new Map(); // Cooldowns for teleport tiles, keyed by tile type
+    this.triggers = []; // Pressure plates, switches and gates of the level "triggers", with their states
+    this.hiddenEntities = new Map(); // Entities hidden in blocks (arrays), keyed by "x,y"
+    this.teleporters = []; // Teleport tiles with their channel and explicit destination, in reading order
+    this.teleportCooldowns = new Map(); // Cooldowns for teleport tiles, keyed by channel
     this.teleportCooldownDuration = 1.0; // 1 second cooldown after each teleportation
+    this.onBeforePush = null; // Called right before a block push changes the level (undo point)
+    this.customLevels = new Map(); // Level data not loaded from files (editor...), keyed by level key
+  }
+
+  /**
+   * Register level data under a key, loaded instead of a file by loadLevel(key)
+   * @param {string} key - Level key (used as the level number of the session)
+   * @param {object} level - Level data (validated when loaded, like level files)
+   */
+  setCustomLevel(key, level) {
+    this.customLevels.set(key, level);
   }
 
   /**
    * Load a level by its number
+   * @throws {LevelValidationError} - In dev mode, if the level data is invalid (reported instead of replaced)
    */
   async loadLevel(levelNumber) {
     try {
@@ -28,18 +70,35 @@ export class LevelManager {
       this.resetLevelState();
 
       // Import level data
-      const levelData = await import(`../levels/level-${levelNumber}.json`);
-      this.currentLevel = levelData.default || levelData;
+      this.currentLevel = await this.importLevel(levelNumber);
 
       // Parse tiles
       this.parseTiles();
     } catch (error) {
+      if (error instanceof LevelValidationError && CONFIG.DEV_MODE) {
+        throw error;
+      }
+
       console.error(`Failed to load level ${levelNumber}:`, error);
       // Load fallback level if level file doesn't exist
       await this.loadFallbackLevel();
     }
   }
 
+  /**
+   * Level width in tiles (the grid of the current level, not the screen)
+   */
+  get width() {
+    return this.currentLevel?.width ?? CONFIG.GRID_WIDTH;
+  }
+
+  /**
+   * Level height in tiles
+   */
+  get height() {
+    return this.currentLevel?.height ?? CONFIG.GRID_HEIGHT;
+  }
+
   /**
    * Reset all temporary level states
    */
@@ -50,19 +109,52 @@ export class LevelManager {
     // Reset toggle timer
     this.toggleTimer = -0.1; // Start with delay
 
-    // Toggle blocks will be cleared and rebuilt by parseTiles
+    // Toggle blocks and triggers will be cleared and rebuilt by parseTiles
     this.toggleBlocks = [];
+    this.triggers = [];
 
-    // Clear hidden power-ups map
-    this.hiddenPowerUps = new Map();
+    // Clear entities hidden in blocks
+    this.hiddenEntities = new Map();
 
-    // Clear hidden portals map
-    this.hiddenPortals = new Map();
-
-    // Clear teleport cooldowns
+    // Clear teleporters and their cooldowns
+    this.teleporters = [];
     this.teleportCooldowns = new Map();
   }
 
+  /**
+   * Capture the level state (tiles, animations, hidden entities, cooldowns) as plain data
+   * Entities hidden in blocks are stored by entity id
+   */
+  snapshot() {
+    return {
+      currentLevel: structuredClone(this.currentLevel),
+      tiles: structuredClone(this.tiles),
+      animatingBlocks: structuredClone(this.animatingBlocks),
+      toggleBlocks: structuredClone(this.toggleBlocks),
+      toggleTimer: this.toggleTimer,
+      triggers: structuredClone(this.triggers),
+      hiddenEntities: [...this.hiddenEntities].map(([key, entities]) => [key, entities.map(entity => entity.id)]),
+      teleportCooldowns: [...this.teleportCooldowns],
+    };
+  }
+
+  /**
+   * Restore the level state from a snapshot
+   * @param {object} data - Data from snapshot()
+   * @param {EntityManager} entityManager - Restored entities (to resolve hidden entity ids)
+   */
+  restore(data, entityManager) {
+    this.currentLevel = structuredClone(data.currentLevel);
+    this.tiles = structuredClone(data.tiles);
+    this.animatingBlocks = structuredClone(data.animatingBlocks);
+    this.toggleBlocks = structuredClone(data.toggleBlocks);
+    this.toggleTimer = data.toggleTimer;
+    this.triggers = structuredClone(data.triggers);
+    this.hiddenEntities = new Map(data.hiddenEntities.map(([key, ids]) => [key, ids.map(id => entityManager.getById(id))]));
+    this.parseTeleporters();
+    this.teleportCooldowns = new Map(data.teleportCooldowns);
+  }
+
   /**
    * Load the fallback level when requested level doesn't exist
    */
@@ -74,8 +166,7 @@ export class LevelManager {
       this.resetLevelState();
 
       // Import fallback level data
-      const levelData = await import(`../levels/level-default.json`);
-      this.currentLevel = levelData.default || levelData;
+      this.currentLevel = await this.importLevel('default');
 
       // Parse tiles
       this.parseTiles();
@@ -86,6 +177,34 @@ export class LevelManager {
     }
   }
 
+  /**
+   * Load level data and check it against the level schema and rules
+   * @throws {LevelValidationError} - If the level data is invalid
+   */
+  async importLevel(levelNumber) {
+    const level = await this.readLevel(levelNumber);
+
+    const errors = validateLevel(level);
+    if (errors.length > 0) {
+      throw new LevelValidationError(levelNumber, errors);
+    }
+
+    return level;
+  }
+
+  /**
+   * Read level data without checking it (custom level or level file)
+   * @param {number|string} levelNumber - Level number or custom level key
+   */
+  async readLevel(levelNumber) {
+    if (this.customLevels.has(levelNumber)) {
+      return this.customLevels.get(levelNumber);
+    }
+
+    const levelData = await this.levelLoader(levelNumber);
+    return levelData.default || levelData;
+  }
+
   /**
    * Create a minimal emergency level if all else fails
    */
@@ -148,31 +267,65 @@ export class LevelManager {
 
       this.tiles.push(row);
     }
+
+    this.parseTriggers();
+    this.parseTeleporters();
+  }
+
+  /**
+   * Register the teleport tiles of the level grid, in reading order: "4" and "5" are
+   * channels 1 and 2, "R" tiles take their channel (and explicit destination) from the
+   * level "teleporters"
+   */
+  parseTeleporters() {
+    const declarations = this.currentLevel.teleporters || [];
+    const channels = { '4': 1, '5': 2 };
+
+    this.teleporters = [];
+    this.currentLevel.tiles.forEach((row, y) => [...row].forEach((char, x) => {
+      const type = this.getTileTypeFromChar(char);
+      if (type !== TileType.TELEPORT_A && type !== TileType.TELEPORT_B && type !== TileType.TELEPORT) return;
+
+      const data = declarations.find(declaration => declaration.x === x && declaration.y === y);
+      this.teleporters.push({
+        x,
+        y,
+        channel: data?.channel ?? channels[char],
+        id: data?.id ?? null,
+        to: data?.to ?? null,
+      });
+    }));
+  }
+
+  /**
+   * Register the pressure plates, switches and gates declared in the level "triggers".
+   * Plates and switches start released, gates start closed (open if inverted).
+   */
+  parseTriggers() {
+    this.triggers = (this.currentLevel.triggers || []).map(data => {
+      const trigger = { id: data.id, type: data.type, x: data.x, y: data.y };
+
+      if (data.type === 'gate') {
+        return {
+          ...trigger,
+          inputs: [...data.inputs],
+          require: data.require ?? 'all',
+          inverted: data.inverted ?? false,
+          isOpen: data.inverted ?? false,
+          isTransitioning: false,
+          transitionProgress: 0,
+        };
+      }
+
+      return { ...trigger, isActive: false };
+    });
   }
 
   /**
    * Convert a character to a tile type
    */
   getTileTypeFromChar(char) {
-    const mapping = {
-      '0': TileType.EMPTY,
-      '1': TileType.WALL,
-      '2': TileType.PUSHABLE,
-      '3': TileType.BREAKABLE,
-      '4': TileType.TELEPORT_A,
-      '5': TileType.TELEPORT_B,
-      '6': TileType.ARROW_UP,
-      '7': TileType.ARROW_RIGHT,
-      '8': TileType.ARROW_DOWN,
-      '9': TileType.ARROW_LEFT,
-      'A': TileType.PUSHABLE_UP,
-      'B': TileType.PUSHABLE_DOWN,
-      'C': TileType.PUSHABLE_LEFT,
-      'D': TileType.PUSHABLE_RIGHT,
-      'E': TileType.TOGGLE_BLOCK,
-    };
-
-    return mapping[char] || TileType.EMPTY;
+    return TILE_CHARS[char] ?? TileType.EMPTY;
   }
 
   /**
@@ -199,8 +352,8 @@ export class LevelManager {
    * Check if tile is solid (blocks movement)
    */
   isSolid(gridX, gridY) {
-    // Check canvas bounds first
-    if (gridX < 0 || gridX >= CONFIG.GRID_WIDTH || gridY < 0 || gridY >= CONFIG.GRID_HEIGHT) {
+    // Check level bounds first
+    if (!this.isInBounds(gridX, gridY)) {
       return true;
     }
 
@@ -222,12 +375,19 @@ export class LevelManager {
       return toggleBlock.isSolid;
     }
 
-    // WALL, PUSHABLE blocks, and BREAKABLE block movement
+    // Gates block movement while closed
+    if (tile === TileType.GATE) {
+      const gate = this.getTriggerAt(gridX, gridY);
+      return !gate || !gate.isOpen;
+    }
+
+    // WALL, PUSHABLE blocks, BREAKABLE and SWITCH block movement
     // BROKEN (10) is traversable
     return (
       tile === TileType.WALL ||
       tile === TileType.PUSHABLE ||
       tile === TileType.BREAKABLE ||
+      tile === TileType.SWITCH ||
       tile === TileType.PUSHABLE_UP ||
       tile === TileType.PUSHABLE_DOWN ||
       tile === TileType.PUSHABLE_LEFT ||
@@ -242,6 +402,45 @@ export class LevelManager {
     return this.toggleBlocks.find(block => block.x === gridX && block.y === gridY);
   }
 
+  /**
+   * Get the plate, switch or gate at a position
+   */
+  getTriggerAt(gridX, gridY) {
+    return this.triggers.find(trigger => trigger.x === gridX && trigger.y === gridY);
+  }
+
+  /**
+   * Check if the inputs of a gate are active ("all" of them, or "any" of them)
+   */
+  areGateInputsActive(gate) {
+    const isActive = (id) => this.triggers.some(trigger => trigger.id === id && trigger.isActive);
+    return gate.require === 'any' ? gate.inputs.some(isActive) : gate.inputs.every(isActive);
+  }
+
+  /**
+   * Check if a pushed block rests on a pressure plate (it settled as a wall over the plate tile)
+   */
+  isBlockOnPlate(plate) {
+    return this.getTileAt(plate.x, plate.y) !== TileType.PRESSURE_PLATE;
+  }
+
+  /**
+   * Press the switch at a position (one-shot: it stays pressed)
+   * @returns {boolean} - True if the switch was pressed now
+   */
+  pressSwitch(gridX, gridY, events = null) {
+    const trigger = this.getTriggerAt(gridX, gridY);
+    if (!trigger || trigger.type !== 'switch' || trigger.isActive) {
+      return false;
+    }
+
+    trigger.isActive = true;
+    if (events) {
+      events.emit(GameEvent.TRIGGER_CHANGED, { trigger, x: gridX, y: gridY, active: true });
+    }
+    return true;
+  }
+
   /**
    * Check if player is trapped on a toggle block
    */
@@ -278,7 +477,7 @@ export class LevelManager {
    * Try to push a block in a direction
    * Returns true if push was successful
    */
-  tryPushBlock(gridX, gridY, direction, entityManager = null, audioManager = null) {
+  tryPushBlock(gridX, gridY, direction, entityManager = null, events = null) {
     const tile = this.getTileAt(gridX, gridY);
 
     // Check if tile is pushable
@@ -316,19 +515,16 @@ export class LevelManager {
       return false; // Can't push into solid tile or out of bounds
     }
 
+    // A block would jam an open gate
+    if (this.getTileAt(destX, destY) === TileType.GATE) {
+      return false;
+    }
+
     // Check if there's a ball at destination
-    let ballAtDestination = false;
-    if (entityManager) {
-      const balls = entityManager.getEntitiesByType('ball');
-      for (const ball of balls) {
-        const ballGridX = ball.getGridX();
-        const ballGridY = ball.getGridY();
-
-        if (ballGridX === destX && ballGridY === destY) {
-          ballAtDestination = true;
-          break;
-        }
-      }
+    const ballAtDestination = entityManager ? entityManager.hasAt(destX, destY, 'ball') : false;
+
+    if (this.onBeforePush) {
+      this.onBeforePush();
     }
 
     // Clear the source position (do this first for all cases to show animation properly)
@@ -354,26 +550,29 @@ export class LevelManager {
         willBounce: true, // Mark as will bounce immediately
       });
 
+      if (events) {
+        events.emit(GameEvent.BLOCK_PUSHED, {
+          tileType: tile,
+          fromX: gridX,
+          fromY: gridY,
+          toX: destX,
+          toY: destY,
+          direction,
+          bounced: true,
+        });
+      }
+
       return true; // Let player move - they will bounce back together
     }
 
-    // Reveal power-up if there was one hidden in this block
-    const powerUp = this.revealPowerUpFromBlock(gridX, gridY);
-    if (powerUp) {
-      powerUp.reveal(gridX, gridY, direction, this, entityManager);
-      // Play power-up reveal sound based on type
-      if (audioManager) {
-        const soundName = powerUp.powerType === 'time' ? 'powerup-time' : 'powerup-god';
-        audioManager.playSfx(soundName);
+    // Reveal the entities hidden in this block (power-ups, portals...)
+    for (const item of this.revealFromBlock(gridX, gridY)) {
+      item.reveal(gridX, gridY, direction, this, entityManager);
+      if (events) {
+        events.emit(GameEvent.ITEM_REVEALED, { item, x: gridX, y: gridY });
       }
     }
 
-    // Reveal portal if there was one hidden in this block
-    const portal = this.revealPortalFromBlock(gridX, gridY);
-    if (portal) {
-      portal.reveal();
-    }
-
     // Create animation for the block
     this.animatingBlocks.push({
       tileType: tile,
@@ -392,6 +591,18 @@ export class LevelManager {
       willBounce: false,
     });
 
+    if (events) {
+      events.emit(GameEvent.BLOCK_PUSHED, {
+        tileType: tile,
+        fromX: gridX,
+        fromY: gridY,
+        toX: destX,
+        toY: destY,
+        direction,
+        bounced: false,
+      });
+    }
+
     return true;
   }
 
@@ -416,16 +627,16 @@ export class LevelManager {
   }
 
   /**
-   * Update block animations and toggle blocks
+   * Update block animations, triggers and toggle blocks
    */
-  update(dt, player = null, entityManager = null) {
+  update(dt, player = null, entityManager = null, events = null) {
     // Update teleport cooldowns
-    for (const [tileType, cooldown] of this.teleportCooldowns.entries()) {
+    for (const [channel, cooldown] of this.teleportCooldowns.entries()) {
       const newCooldown = cooldown - dt;
       if (newCooldown <= 0) {
-        this.teleportCooldowns.delete(tileType);
+        this.teleportCooldowns.delete(channel);
       } else {
-        this.teleportCooldowns.set(tileType, newCooldown);
+        this.teleportCooldowns.set(channel, newCooldown);
       }
     }
 
@@ -455,18 +666,7 @@ export class LevelManager {
         }
         // Check continuously if there's a ball at destination (only after 30% to avoid instant bounce)
         else if (block.progress >= 0.3 && block.progress < 1 && entityManager && !block.bouncingChecked && !block.willBounce) {
-          const balls = entityManager.getEntitiesByType('ball');
-          let ballAtDestination = false;
-
-          for (const ball of balls) {
-            const ballGridX = ball.getGridX();
-            const ballGridY = ball.getGridY();
-
-            if (ballGridX === block.destX && ballGridY === block.destY) {
-              ballAtDestination = true;
-              break;
-            }
-          }
+          const ballAtDestination = entityManager.hasAt(block.destX, block.destY, 'ball');
 
           // If ball detected, start bouncing back
           if (ballAtDestination) {
@@ -511,6 +711,8 @@ export class LevelManager {
       }
     }
 
+    this.updateTriggers(dt, player, entityManager, events);
+
     // Update toggle blocks cycle
     this.toggleTimer += dt;
 
@@ -565,6 +767,63 @@ export class LevelManager {
     }
   }
 
+  /**
+   * Update pressure plates (held by Snoopy, a ball or a pushed block) and the gates they drive.
+   * A gate never closes on Snoopy or a ball: it waits until the cell is free.
+   */
+  updateTriggers(dt, player, entityManager, events) {
+    if (this.triggers.length === 0) return;
+
+    const balls = entityManager ? entityManager.getByType('ball') : [];
+    const entities = player ? [player, ...balls] : balls;
+
+    // Entity standing on a cell (its center is in it)
+    const isOnCell = (entity, x, y) =>
+      Math.round(entity.x / CONFIG.TILE_SIZE) === x && Math.round(entity.y / CONFIG.TILE_SIZE) === y;
+
+    // Entity overlapping a cell, or walking into it
+    const isInCell = (entity, x, y) =>
+      (Math.abs(entity.x - x * CONFIG.TILE_SIZE) < CONFIG.TILE_SIZE &&
+        Math.abs(entity.y - y * CONFIG.TILE_SIZE) < CONFIG.TILE_SIZE) ||
+      (entity.isMoving && entity.targetX === x * CONFIG.TILE_SIZE && entity.targetY === y * CONFIG.TILE_SIZE);
+
+    for (const plate of this.triggers) {
+      if (plate.type !== 'plate') continue;
+
+      const pressed = this.isBlockOnPlate(plate) || entities.some(entity => isOnCell(entity, plate.x, plate.y));
+      if (pressed !== plate.isActive) {
+        plate.isActive = pressed;
+        if (events) {
+          events.emit(GameEvent.TRIGGER_CHANGED, { trigger: plate, x: plate.x, y: plate.y, active: pressed });
+        }
+      }
+    }
+
+    for (const gate of this.triggers) {
+      if (gate.type !== 'gate') continue;
+
+      const shouldBeOpen = this.areGateInputsActive(gate) !== gate.inverted;
+      const isBlocked = !shouldBeOpen && gate.isOpen && entities.some(entity => isInCell(entity, gate.x, gate.y));
+
+      if (shouldBeOpen !== gate.isOpen && !isBlocked) {
+        gate.isOpen = shouldBeOpen;
+        gate.isTransitioning = true;
+        gate.transitionProgress = 0;
+        if (events) {
+          events.emit(GameEvent.GATE_CHANGED, { gate, x: gate.x, y: gate.y, open: shouldBeOpen });
+        }
+      }
+
+      if (gate.isTransitioning) {
+        gate.transitionProgress += dt / this.toggleTransitionDuration;
+        if (gate.transitionProgress >= 1) {
+          gate.isTransitioning = false;
+          gate.transitionProgress = 0;
+        }
+      }
+    }
+  }
+
   /**
    * Check if any blocks are currently animating
    */
@@ -578,9 +837,9 @@ export class LevelManager {
   isInBounds(gridX, gridY) {
     return (
       gridX >= 0 &&
-      gridX < CONFIG.GRID_WIDTH &&
+      gridX < this.width &&
       gridY >= 0 &&
-      gridY < CONFIG.GRID_HEIGHT
+      gridY < this.height
     );
   }
 
@@ -644,46 +903,63 @@ export class LevelManager {
   }
 
   /**
-   * Register a power-up as hidden in a block
+   * Register an entity as hidden in a block
    */
-  hidePowerUpInBlock(gridX, gridY, powerUp) {
+  hideInBlock(gridX, gridY, entity) {
     const key = `${gridX},${gridY}`;
-    this.hiddenPowerUps.set(key, powerUp);
+    if (!this.hiddenEntities.has(key)) {
+      this.hiddenEntities.set(key, []);
+    }
+    this.hiddenEntities.get(key).push(entity);
   }
 
   /**
-   * Reveal power-up from a block (if any)
+   * Take the entities hidden in a block (empty array if none)
    */
-  revealPowerUpFromBlock(gridX, gridY) {
+  revealFromBlock(gridX, gridY) {
     const key = `${gridX},${gridY}`;
-    const powerUp = this.hiddenPowerUps.get(key);
-
-    if (powerUp) {
-      this.hiddenPowerUps.delete(key);
-      return powerUp;
-    }
+    const entities = this.hiddenEntities.get(key) || [];
+    this.hiddenEntities.delete(key);
+    return entities;
+  }
 
-    return null;
+  /**
+   * Check if a tile is a teleporter (still there: a pushed block covers it for good)
+   */
+  isTeleporter(gridX, gridY) {
+    const tile = this.getTileAt(gridX, gridY);
+    return tile === TileType.TELEPORT_A || tile === TileType.TELEPORT_B || tile === TileType.TELEPORT;
   }
 
   /**
-   * Register a portal as hidden in a block
+   * Get the teleporter registered at a position
    */
-  hidePortalInBlock(gridX, gridY, portal) {
-    const key = `${gridX},${gridY}`;
-    this.hiddenPortals.set(key, portal);
+  getTeleporterAt(gridX, gridY) {
+    return this.teleporters.find(teleporter => teleporter.x === gridX && teleporter.y === gridY);
   }
 
   /**
-   * Reveal portal from a block (if any)
+   * Teleporter reached from a teleporter, without cooldowns: its explicit destination ("to"),
+   * or else the next teleporter of its channel in reading order (the last one leads back to
+   * the first). Teleporters covered by a block are skipped.
+   * @returns {object|null} - Destination teleporter, or null if there is none
    */
-  revealPortalFromBlock(gridX, gridY) {
-    const key = `${gridX},${gridY}`;
-    const portal = this.hiddenPortals.get(key);
+  getLinkedTeleporter(gridX, gridY) {
+    const teleporter = this.getTeleporterAt(gridX, gridY);
+    if (!teleporter) return null;
 
-    if (portal) {
-      this.hiddenPortals.delete(key);
-      return portal;
+    const isUncovered = (other) => this.isTeleporter(other.x, other.y);
+
+    if (teleporter.to !== null) {
+      const destination = this.teleporters.find(other => other.id === teleporter.to);
+      return destination && isUncovered(destination) ? destination : null;
+    }
+
+    const channel = this.teleporters.filter(other => other.channel === teleporter.channel);
+    const index = channel.indexOf(teleporter);
+    for (let step = 1; step < channel.length; step++) {
+      const destination = channel[(index + step) % channel.length];
+      if (isUncovered(destination)) return destination;
     }
 
     return null;
@@ -692,29 +968,22 @@ export class LevelManager {
   /**
    * Find the destination for a teleport tile
    */
-  findTeleportDestination(fromX, fromY, tileType) {
-    // Check if this teleport type is in cooldown
-    const cooldown = this.teleportCooldowns.get(tileType) || 0;
-    if (cooldown > 0) {
+  findTeleportDestination(fromX, fromY) {
+    // Check if the channel of this teleporter is in cooldown
+    const teleporter = this.getTeleporterAt(fromX, fromY);
+    if (!teleporter || (this.teleportCooldowns.get(teleporter.channel) || 0) > 0) {
       return null; // Block teleportation if in cooldown
     }
 
-    // Find the other teleport of the same type
-    for (let y = 0; y < this.tiles.length; y++) {
-      for (let x = 0; x < this.tiles[y].length; x++) {
-        // Skip the current position
-        if (x === fromX && y === fromY) continue;
-
-        // Found the matching teleport
-        if (this.tiles[y][x] === tileType) {
-          // Activate cooldown for this teleport type
-          this.teleportCooldowns.set(tileType, this.teleportCooldownDuration);
-          return { x, y };
-        }
-      }
+    const destination = this.getLinkedTeleporter(fromX, fromY);
+    if (!destination) {
+      return null;
     }
 
-    return null;
+    // Activate the cooldown of both channels, so the entity is not sent on at once
+    this.teleportCooldowns.set(teleporter.channel, this.teleportCooldownDuration);
+    this.teleportCooldowns.set(destination.channel, this.teleportCooldownDuration);
+    return { x: destination.x, y: destination.y };
   }
 
   /**
@@ -808,6 +1077,12 @@ export class LevelManager {
       return;
     }
 
+    // Plates, switches and gates have no sprites
+    if (tile === TileType.PRESSURE_PLATE || tile === TileType.SWITCH || tile === TileType.GATE) {
+      this.drawTrigger(renderer, tile, this.getTriggerAt(gridX, gridY), x, y, size);
+      return;
+    }
+
     // Use sprites if loaded
     if (spriteManager && spriteManager.isLoaded()) {
       spriteManager.drawBlock(renderer, tile, x, y, size, size);
@@ -830,6 +1105,7 @@ export class LevelManager {
 
         case TileType.TELEPORT_A:
         case TileType.TELEPORT_B:
+        case TileType.TELEPORT:
           renderer.drawCircle(x + size / 2, y + size / 2, size / 3, CONFIG.COLORS.MID_DARK);
           break;
 
@@ -841,6 +1117,90 @@ export class LevelManager {
           break;
       }
     }
+
+    // Channel mark, so that each channel looks different
+    const teleporter = tile === TileType.TELEPORT ? this.getTeleporterAt(gridX, gridY) : null;
+    if (teleporter) {
+      this.drawTeleportChannel(renderer, teleporter.channel, x, y, size);
+    }
+  }
+
+  /**
+   * Draw the mark of a teleporter channel (see TELEPORT_CHANNEL_SHAPES) in the middle of its tile
+   */
+  drawTeleportChannel(renderer, channel, x, y, size) {
+    const ctx = renderer.ctx;
+    const index = (channel - 1) % (TELEPORT_CHANNEL_SHAPES.length * 2);
+    const points = TELEPORT_CHANNEL_SHAPES[index % TELEPORT_CHANNEL_SHAPES.length];
+    const isDark = index >= TELEPORT_CHANNEL_SHAPES.length;
+    const centerX = x + size / 2;
+    const centerY = y + size / 2;
+    const unit = size / 7;
+
+    ctx.save();
+    ctx.beginPath();
+    if (points) {
+      points.forEach(([pointX, pointY], i) => {
+        ctx[i === 0 ? 'moveTo' : 'lineTo'](centerX + pointX * unit, centerY + pointY * unit);
+      });
+      ctx.closePath();
+    } else {
+      ctx.arc(centerX, centerY, unit * 1.2, 0, Math.PI * 2);
+    }
+
+    ctx.fillStyle = isDark ? CONFIG.COLORS.DARK : CONFIG.COLORS.LIGHT;
+    ctx.fill();
+    ctx.strokeStyle = isDark ? CONFIG.COLORS.LIGHT : CONFIG.COLORS.DARK;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Draw a pressure plate (sunk when pressed), a switch (lever left, right once pressed)
+   * or a gate (bars when closed, posts when open, flickering while it moves)
+   * @param {object} [trigger] - Trigger state (missing while a level is being edited)
+   */
+  drawTrigger(renderer, tile, trigger, x, y, size) {
+    const { DARK, MID_DARK, MID_LIGHT } = CONFIG.COLORS;
+
+    if (tile === TileType.PRESSURE_PLATE) {
+      const inset = trigger?.isActive ? size / 4 : size / 6;
+      renderer.drawRect(x + inset, y + inset, size - inset * 2, size - inset * 2, trigger?.isActive ? MID_DARK : MID_LIGHT);
+      renderer.drawRectOutline(x + inset, y + inset, size - inset * 2, size - inset * 2, DARK, 2);
+      return;
+    }
+
+    if (tile === TileType.SWITCH) {
+      const ctx = renderer.ctx;
+      renderer.drawRect(x + 2, y + size / 2, size - 4, size / 2 - 2, DARK);
+      ctx.save();
+      ctx.strokeStyle = MID_DARK;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(x + size / 2, y + size / 2);
+      ctx.lineTo(x + size / 2 + (trigger?.isActive ? size / 4 : -size / 4), y + size / 6);
+      ctx.stroke();
+      ctx.restore();
+      renderer.drawCircle(x + size / 2 + (trigger?.isActive ? size / 4 : -size / 4), y + size / 6, size / 10, DARK);
+      return;
+    }
+
+    // Gate: alternate between open and closed during the transition, like toggle blocks
+    let isOpen = trigger?.isOpen ?? false;
+    if (trigger?.isTransitioning && Math.floor(trigger.transitionProgress * 6) % 2 === 0) {
+      isOpen = !isOpen;
+    }
+
+    renderer.drawRect(x, y, 4, size, MID_DARK);
+    renderer.drawRect(x + size - 4, y, 4, size, MID_DARK);
+    if (!isOpen) {
+      renderer.drawRect(x, y + 2, size, 4, DARK);
+      renderer.drawRect(x, y + size - 6, size, 4, DARK);
+      for (let barX = x + 6; barX < x + size - 4; barX += 7) {
+        renderer.drawRect(barX, y + 2, 3, size - 4, DARK);
+      }
+    }
   }
 
   /**
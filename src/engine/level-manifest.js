@@ -0,0 +1,159 @@
+import manifestData from '../levels/manifest.json' with { type: 'json' };
+
+/**
+ * Campaign structure: zones, level order, level names and unlock rules.
+ *
+ * The campaign is the levels of every zone, in zone order. A zone is open from
+ * the start unless it has an `unlock` rule ({ "zone": id }: every level of that
+ * zone is cleared); inside an open zone, levels unlock one after the other.
+ * Dev levels (`devLevels`) exist on disk but are not part of the campaign.
+ */
+export class LevelManifest {
+  /**
+   * @param {object} data - Manifest data (see src/levels/manifest.json)
+   */
+  constructor(data) {
+    this.data = data;
+    this.zones = data.zones || [];
+    this.devLevels = data.devLevels || [];
+
+    // Campaign order, with the zone of each level
+    this.levels = [];
+    this.levelsById = new Map();
+    for (const zone of this.zones) {
+      for (const level of zone.levels || []) {
+        const entry = { id: level.id, name: level.name, zone };
+        this.levels.push(entry);
+        if (!this.levelsById.has(level.id)) {
+          this.levelsById.set(level.id, entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Number of levels in the campaign
+   */
+  get levelCount() {
+    return this.levels.length;
+  }
+
+  /**
+   * First level of the campaign (null if the campaign is empty)
+   */
+  get firstLevel() {
+    return this.levels[0]?.id ?? null;
+  }
+
+  /**
+   * Check if a level is part of the campaign
+   */
+  has(levelId) {
+    return this.levelsById.has(levelId);
+  }
+
+  /**
+   * Campaign entry of a level ({id, name, zone}), or null
+   */
+  getLevel(levelId) {
+    return this.levelsById.get(levelId) || null;
+  }
+
+  /**
+   * Zone of a level, or null (dev levels have none)
+   */
+  getZone(levelId) {
+    return this.getLevel(levelId)?.zone || null;
+  }
+
+  /**
+   * Level played after this one, or null when the campaign is finished.
+   * Levels outside the campaign (dev levels) continue to the first level.
+   */
+  getNextLevel(levelId) {
+    if (!this.has(levelId)) {
+      return this.firstLevel;
+    }
+
+    const index = this.levels.findIndex(level => level.id === levelId);
+    return this.levels[index + 1]?.id ?? null;
+  }
+
+  /**
+   * Check if clearing this level finishes the campaign
+   */
+  isLastLevel(levelId) {
+    return this.has(levelId) && this.getNextLevel(levelId) === null;
+  }
+
+  /**
+   * Check if a level can be played
+   * @param {number} levelId - Level to check
+   * @param {Set<number>} clearedLevels - Levels already cleared
+   */
+  isUnlocked(levelId, clearedLevels) {
+    const zone = this.getZone(levelId);
+    if (!zone) return false;
+
+    if (zone.unlock) {
+      const requiredZone = this.zones.find(other => other.id === zone.unlock.zone);
+      if (requiredZone && !requiredZone.levels.every(level => clearedLevels.has(level.id))) {
+        return false;
+      }
+    }
+
+    const index = zone.levels.findIndex(level => level.id === levelId);
+    return index === 0 || clearedLevels.has(zone.levels[index - 1].id);
+  }
+
+  /**
+   * Check the manifest structure: unique zone and level ids, unlock rules pointing to earlier zones
+   * (level files are checked by scripts/lint-levels.js)
+   * @returns {Array<{path: string, message: string}>} - Errors (empty if the manifest is valid)
+   */
+  validate() {
+    const errors = [];
+    const zoneIds = new Set();
+    const levelIds = new Set(this.devLevels);
+
+    this.zones.forEach((zone, zoneIndex) => {
+      const path = `zones[${zoneIndex}]`;
+
+      if (!Number.isInteger(zone.id) || zoneIds.has(zone.id)) {
+        errors.push({ path: `${path}.id`, message: `zone id ${zone.id} must be a unique integer` });
+      }
+
+      if (typeof zone.name !== 'string' || zone.name === '') {
+        errors.push({ path: `${path}.name`, message: 'zone name is required' });
+      }
+
+      if (zone.unlock && !zoneIds.has(zone.unlock.zone)) {
+        errors.push({ path: `${path}.unlock`, message: `unlock rule must point to an earlier zone (got ${zone.unlock.zone})` });
+      }
+      zoneIds.add(zone.id);
+
+      if (!Array.isArray(zone.levels)) {
+        errors.push({ path: `${path}.levels`, message: 'levels must be an array' });
+        return;
+      }
+
+      zone.levels.forEach((level, levelIndex) => {
+        if (!Number.isInteger(level.id) || levelIds.has(level.id)) {
+          errors.push({ path: `${path}.levels[${levelIndex}].id`, message: `level id ${level.id} must be a unique integer (dev levels included)` });
+        }
+        levelIds.add(level.id);
+
+        if (typeof level.name !== 'string' || level.name === '') {
+          errors.push({ path: `${path}.levels[${levelIndex}].name`, message: 'level name is required' });
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+/**
+ * Campaign of the bundled levels (src/levels/manifest.json)
+ */
+export const BUNDLED_MANIFEST = new LevelManifest(manifestData);
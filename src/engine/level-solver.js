@@ -0,0 +1,596 @@
+import { CONFIG } from '../config.js';
+import { TileType } from '../tiles/tile-types.js';
+import { LevelManager } from './level-manager.js';
+import { Player } from '../entities/player.js';
+
+/**
+ * Player moves: grid offset and the input that is blocked on an arrow tile
+ */
+const DIRECTIONS = {
+  up: { dx: 0, dy: -1, opposite: 'down' },
+  down: { dx: 0, dy: 1, opposite: 'up' },
+  left: { dx: -1, dy: 0, opposite: 'right' },
+  right: { dx: 1, dy: 0, opposite: 'left' },
+};
+
+/**
+ * Direction forced by each arrow tile
+ */
+const ARROW_DIRECTIONS = {
+  [TileType.ARROW_UP]: 'up',
+  [TileType.ARROW_DOWN]: 'down',
+  [TileType.ARROW_LEFT]: 'left',
+  [TileType.ARROW_RIGHT]: 'right',
+};
+
+/**
+ * Default search budget (distinct states) before giving up
+ */
+const DEFAULT_MAX_STATES = 500000;
+
+/**
+ * Search the shortest solution of a level: the fewest player inputs that collect every Woodstock.
+ *
+ * The search runs on a real LevelManager (isSolid, tryPushBlock, findTeleportDestination)
+ * over player position, tile grid (pushed blocks become walls, broken blocks), collected
+ * Woodstocks, revealed portals, pressed switches and toggle-block phase. Pressure plates
+ * are held by the player or a pushed block and gates follow them. Balls are ignored: the
+ * level timer is the only pressure, compare the returned `time` with it.
+ *
+ * Moves are the inputs that count: step, push, break, press. Arrow slides, teleports and
+ * waiting for a toggle block are free (they still take time).
+ *
+ * @param {object} level - Level data (valid, see validateLevel)
+ * @param {object} [options]
+ * @param {number} [options.maxStates] - Search budget (distinct states)
+ * @returns {{solvable: boolean, complete: boolean, moves: number|null, time: number|null,
+ *   sequence: Array<string>, unreachable: Array<{x: number, y: number}>, states: number}}
+ *   - `complete` is false when the budget ran out (solvable/unreachable are then unknown)
+ *   - `sequence` lists the inputs: a direction ("up"), "push <dir>", "break <dir>", "press <dir>" or "wait"
+ *   - `time` is the estimated duration of the solution in seconds
+ */
+export function solveLevel(level, options = {}) {
+  const context = createContext(level);
+  const maxStates = options.maxStates ?? DEFAULT_MAX_STATES;
+
+  const start = settle(context, {
+    x: level.startPosition.x,
+    y: level.startPosition.y,
+    tiles: context.levelManager.tiles.map(row => [...row]),
+    phase: 0,
+    time: 0,
+    collected: 0,
+    revealed: context.initiallyRevealed,
+    switches: 0,
+  }, false);
+
+  // A* over the states reached right after an event (push, break, pickup, portal reveal);
+  // walking between events is searched by expandEvents()
+  const closed = new Set();
+  const queued = new Map(); // Best moves/time queued for each state key
+  const open = new SearchQueue();
+  let collectedUnion = 0;
+  let goal = null;
+  let outOfBudget = false;
+
+  if (start) {
+    open.push({ state: start, parent: null, actions: [], moves: 0, cost: estimate(context, start) });
+  }
+
+  while (open.size > 0) {
+    const node = open.pop();
+    const key = stateKey(context, node.state);
+    if (closed.has(key)) continue;
+    closed.add(key);
+
+    collectedUnion |= node.state.collected;
+    if (node.state.collected === context.allCollected) {
+      goal = node;
+      break;
+    }
+
+    if (closed.size >= maxStates) {
+      outOfBudget = true;
+      break;
+    }
+
+    for (const event of expandEvents(context, node.state)) {
+      const eventKey = stateKey(context, event.state);
+      if (closed.has(eventKey)) continue;
+
+      const moves = node.moves + event.moves;
+      // States that cannot win (estimate Infinity) are still explored last, to list the reachable Woodstocks
+      const child = { state: event.state, parent: node, actions: event.actions, moves, cost: moves + estimate(context, event.state) };
+      const best = queued.get(eventKey);
+      if (best && compareNodes(best, child) <= 0) continue;
+
+      queued.set(eventKey, child);
+      open.push(child);
+    }
+  }
+
+  const chain = [];
+  for (let node = goal; node; node = node.parent) {
+    chain.push(node.actions);
+  }
+  const complete = goal !== null || !outOfBudget;
+
+  return {
+    solvable: goal !== null,
+    complete,
+    moves: goal ? goal.moves : null,
+    time: goal ? goal.state.time * context.stepDuration : null,
+    sequence: chain.reverse().flat(),
+    unreachable: goal || !complete
+      ? []
+      : context.woodstocks.filter((_, i) => !(collectedUnion & (1 << i))),
+    states: closed.size,
+  };
+}
+
+/**
+ * Order search nodes: lowest cost first (moves, plus the estimate for A*), then shortest time
+ */
+function compareNodes(a, b) {
+  return a.cost - b.cost || a.state.time - b.state.time;
+}
+
+/**
+ * Lower bound of the moves left: the farthest Woodstock still to collect on the
+ * relaxed grid (Infinity if one can never be reached)
+ */
+function estimate(context, state) {
+  const cell = state.y * context.width + state.x;
+  let farthest = 0;
+  context.woodstockDistances.forEach((distances, i) => {
+    if (!(state.collected & (1 << i))) {
+      farthest = Math.max(farthest, distances[cell]);
+    }
+  });
+  return farthest;
+}
+
+/**
+ * Moves needed from every cell to reach a target on a relaxed grid: walls are the only
+ * obstacles (blocks are walkable, pushed blocks never turn into walls), arrow slides,
+ * teleport tiles and every portal are free. Never more than the real number of moves.
+ * @returns {Array<number>} - Distance by cell index (Infinity if unreachable)
+ */
+function relaxedDistances(context, level, targetX, targetY) {
+  const width = context.width;
+  const height = level.tiles.length;
+  const tiles = context.levelManager.tiles;
+  const isOpen = (x, y) => x >= 0 && x < width && y >= 0 && y < height && tiles[y][x] !== TileType.WALL;
+
+  // Edges of every cell: [target cell, cost]
+  const edges = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cellEdges = [];
+      for (const { dx, dy } of Object.values(DIRECTIONS)) {
+        if (isOpen(x + dx, y + dy)) {
+          cellEdges.push([(y + dy) * width + x + dx, 1]);
+        }
+      }
+
+      const tile = tiles[y][x];
+      const arrow = DIRECTIONS[ARROW_DIRECTIONS[tile]];
+      if (arrow && isOpen(x + arrow.dx, y + arrow.dy)) {
+        cellEdges.push([(y + arrow.dy) * width + x + arrow.dx, 0]);
+      }
+      // Any teleporter of the channel (a block covering the next one sends further along the cycle)
+      const teleporter = context.levelManager.getTeleporterAt(x, y);
+      if (teleporter) {
+        for (const other of context.levelManager.teleporters) {
+          const isLinked = teleporter.to !== null ? other.id === teleporter.to : other.channel === teleporter.channel;
+          if (isLinked && other !== teleporter) {
+            cellEdges.push([other.y * width + other.x, 0]);
+          }
+        }
+      }
+      for (const portal of context.portals) {
+        if (portal.x === x && portal.y === y && isOpen(portal.destinationX, portal.destinationY)) {
+          cellEdges.push([portal.destinationY * width + portal.destinationX, 0]);
+        }
+      }
+      edges.push(cellEdges);
+    }
+  }
+
+  // Relax until stable (the grid is small)
+  const distances = new Array(width * height).fill(Infinity);
+  distances[targetY * width + targetX] = 0;
+  for (let changed = true; changed;) {
+    changed = false;
+    edges.forEach((cellEdges, cell) => {
+      for (const [next, cost] of cellEdges) {
+        if (distances[next] + cost < distances[cell]) {
+          distances[cell] = distances[next] + cost;
+          changed = true;
+        }
+      }
+    });
+  }
+  return distances;
+}
+
+/**
+ * Binary heap of search nodes (see compareNodes)
+ */
+class SearchQueue {
+  constructor() {
+    this.nodes = [];
+  }
+
+  get size() {
+    return this.nodes.length;
+  }
+
+  push(node) {
+    const nodes = this.nodes;
+    let i = nodes.push(node) - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (compareNodes(nodes[parent], node) <= 0) break;
+      nodes[i] = nodes[parent];
+      i = parent;
+    }
+    nodes[i] = node;
+  }
+
+  pop() {
+    const nodes = this.nodes;
+    const top = nodes[0];
+    const last = nodes.pop();
+    if (nodes.length > 0) {
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        if (left >= nodes.length) break;
+        const right = left + 1;
+        const child = right < nodes.length && compareNodes(nodes[right], nodes[left]) < 0 ? right : left;
+        if (compareNodes(last, nodes[child]) <= 0) break;
+        nodes[i] = nodes[child];
+        i = child;
+      }
+      nodes[i] = last;
+    }
+    return top;
+  }
+}
+
+/**
+ * Walk from a state without changing the level (same tiles, pickups and portals)
+ * and list the first events reachable: each push, break, pickup or reveal,
+ * with the inputs that lead to it
+ */
+function expandEvents(context, origin) {
+  const events = [];
+  const closed = new Set();
+  const open = new SearchQueue();
+  open.push({ state: origin, parent: null, action: null, moves: 0, cost: 0 });
+
+  const actionsTo = (node, action) => {
+    const actions = [action];
+    for (; node.action; node = node.parent) {
+      actions.push(node.action);
+    }
+    return actions.reverse();
+  };
+
+  while (open.size > 0) {
+    const node = open.pop();
+    const key = `${node.state.x},${node.state.y},${node.state.phase}`;
+    if (closed.has(key)) continue;
+    closed.add(key);
+
+    for (const { action, state, cost } of expand(context, node.state)) {
+      const changed = state.tiles !== node.state.tiles ||
+        state.collected !== origin.collected ||
+        state.revealed !== origin.revealed ||
+        state.switches !== origin.switches;
+
+      if (changed) {
+        events.push({ state, actions: actionsTo(node, action), moves: node.moves + cost });
+        continue;
+      }
+
+      if (closed.has(`${state.x},${state.y},${state.phase}`)) continue;
+      open.push({ state, parent: node, action, moves: node.moves + cost, cost: node.moves + cost });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Prepare the level manager and the static level facts used by the search
+ */
+function createContext(level) {
+  const levelManager = new LevelManager();
+  levelManager.currentLevel = level;
+  levelManager.parseTiles();
+
+  const width = level.tiles[0].length;
+  const woodstocks = [];
+  const woodstockBits = new Map(); // Cell index -> bits of the Woodstocks on it
+  const portals = [];
+  const portalsAt = new Map(); // Cell index -> bits of the portals on it
+  let initiallyRevealed = 0;
+
+  for (const data of level.entities) {
+    if (data.type === 'woodstock') {
+      const cell = data.y * width + data.x;
+      woodstockBits.set(cell, (woodstockBits.get(cell) || 0) | (1 << woodstocks.length));
+      woodstocks.push({ x: data.x, y: data.y });
+    } else if (data.type === 'portal') {
+      const bit = 1 << portals.length;
+      const cell = data.y * width + data.x;
+      portalsAt.set(cell, (portalsAt.get(cell) || 0) | bit);
+      if (!data.hidden) {
+        initiallyRevealed |= bit;
+      }
+      portals.push(data);
+    }
+  }
+
+  // Time is counted in player steps (one tile); the toggle cycle is quantized on them
+  const stepDuration = CONFIG.TILE_SIZE / CONFIG.PLAYER_SPEED;
+  const cycle = levelManager.toggleCycleDuration;
+  const togglePhases = levelManager.toggleBlocks.length > 0 ? Math.round(cycle / stepDuration) : 1;
+
+  // Toggle block state at each phase (same timeline as LevelManager.update)
+  const toggleSolid = [];
+  for (let phase = 0; phase < togglePhases; phase++) {
+    const timer = levelManager.toggleTimer + phase * (cycle / togglePhases);
+    toggleSolid.push(togglePhases > 1 && timer >= 0 && timer % cycle < cycle / 2);
+  }
+
+  // Steps to wait from each phase until the toggle blocks switch
+  const stepsToToggle = toggleSolid.map((solid, phase) => {
+    let steps = 1;
+    while (steps < togglePhases && toggleSolid[(phase + steps) % togglePhases] === solid) {
+      steps++;
+    }
+    return steps;
+  });
+
+  // Triggers of the level manager, set by loadState (switch bits in the order of `switches`)
+  const triggersOfType = (type) => levelManager.triggers.filter(trigger => trigger.type === type);
+
+  const context = {
+    levelManager,
+    width,
+    plates: triggersOfType('plate'),
+    switches: triggersOfType('switch'),
+    gates: triggersOfType('gate'),
+    woodstocks,
+    woodstockBits,
+    portals,
+    portalsAt,
+    initiallyRevealed,
+    allCollected: (1 << woodstocks.length) - 1,
+    stepDuration,
+    teleportSteps: Math.round(new Player(0, 0).teleportDuration / stepDuration),
+    togglePhases,
+    toggleSolid,
+    stepsToToggle,
+    tileKeys: new WeakMap(),
+    maxChain: level.tiles.length * width,
+  };
+  context.woodstockDistances = woodstocks.map(({ x, y }) => relaxedDistances(context, level, x, y));
+
+  return context;
+}
+
+/**
+ * Unique key of a search state (time is not part of it)
+ */
+function stateKey(context, state) {
+  let tiles = context.tileKeys.get(state.tiles);
+  if (tiles === undefined) {
+    tiles = state.tiles.map(row => String.fromCharCode(...row.map(tile => 65 + tile))).join('');
+    context.tileKeys.set(state.tiles, tiles);
+  }
+  return `${state.x},${state.y},${state.phase},${state.collected},${state.revealed},${state.switches},${tiles}`;
+}
+
+/**
+ * Copy a state before changing it (the tiles are shared unless copyTiles is set)
+ */
+function cloneState(state, copyTiles = false) {
+  return { ...state, tiles: copyTiles ? state.tiles.map(row => [...row]) : state.tiles };
+}
+
+/**
+ * Load a state into the level manager (tiles, toggle blocks, triggers, no animations or cooldowns)
+ */
+function loadState(context, state) {
+  const levelManager = context.levelManager;
+  levelManager.tiles = state.tiles;
+  if (levelManager.animatingBlocks.length > 0) {
+    levelManager.animatingBlocks = [];
+  }
+  if (levelManager.teleportCooldowns.size > 0) {
+    levelManager.teleportCooldowns.clear();
+  }
+
+  const solid = context.toggleSolid[state.phase];
+  for (const toggleBlock of levelManager.toggleBlocks) {
+    toggleBlock.isSolid = solid;
+  }
+
+  // Plates held by the player or a block, gates kept open while the player is in them
+  context.switches.forEach((trigger, i) => {
+    trigger.isActive = (state.switches & (1 << i)) !== 0;
+  });
+  for (const plate of context.plates) {
+    plate.isActive = levelManager.isBlockOnPlate(plate) || (plate.x === state.x && plate.y === state.y);
+  }
+  for (const gate of context.gates) {
+    gate.isOpen = levelManager.areGateInputsActive(gate) !== gate.inverted || (gate.x === state.x && gate.y === state.y);
+  }
+}
+
+/**
+ * Advance the clock by a number of steps
+ */
+function advance(context, state, steps) {
+  state.time += steps;
+  state.phase = (state.phase + steps) % context.togglePhases;
+}
+
+/**
+ * Reveal the portals hidden in a block that was pushed or broken
+ */
+function revealPortals(context, state, blockX, blockY) {
+  context.portals.forEach((portal, i) => {
+    if (portal.hidden && portal.blockX === blockX && portal.blockY === blockY) {
+      state.revealed |= 1 << i;
+    }
+  });
+}
+
+/**
+ * Apply everything that happens once the player stands on a tile:
+ * pickups, teleport tiles (after a move), portals, toggle traps and arrow slides
+ * @param {boolean} moved - The player just walked onto the tile (teleport tiles only react then)
+ * @returns {object|null} - Settled state, or null if the player can never stop (arrow loop)
+ */
+function settle(context, state, moved) {
+  const levelManager = context.levelManager;
+
+  for (let chain = 0; chain <= context.maxChain; chain++) {
+    loadState(context, state);
+
+    const cell = state.y * context.width + state.x;
+    state.collected |= context.woodstockBits.get(cell) || 0;
+    if (state.collected === context.allCollected) {
+      return state;
+    }
+
+    const tile = levelManager.getTileAt(state.x, state.y);
+
+    if (moved && levelManager.isTeleporter(state.x, state.y)) {
+      const destination = levelManager.findTeleportDestination(state.x, state.y);
+      if (destination) {
+        state.x = destination.x;
+        state.y = destination.y;
+        advance(context, state, context.teleportSteps);
+        moved = false;
+        continue;
+      }
+    }
+
+    const portalBits = (context.portalsAt.get(cell) || 0) & state.revealed;
+    if (portalBits) {
+      const portal = context.portals[Math.log2(portalBits & -portalBits)];
+      state.x = portal.destinationX;
+      state.y = portal.destinationY;
+      advance(context, state, context.teleportSteps);
+      moved = false;
+      continue;
+    }
+
+    // A toggle block that turned solid during the step traps the player until it opens
+    if (moved && tile === TileType.TOGGLE_BLOCK) {
+      while (context.toggleSolid[state.phase]) {
+        advance(context, state, 1);
+      }
+    }
+
+    const arrow = ARROW_DIRECTIONS[tile];
+    if (arrow) {
+      const { dx, dy } = DIRECTIONS[arrow];
+      if (!levelManager.isSolid(state.x + dx, state.y + dy)) {
+        state.x += dx;
+        state.y += dy;
+        advance(context, state, 1);
+        moved = true;
+        continue;
+      }
+    }
+
+    return state;
+  }
+
+  return null;
+}
+
+/**
+ * List the states reachable with one input (or one free wait) from a settled state
+ */
+function expand(context, state) {
+  const levelManager = context.levelManager;
+  const results = [];
+
+  // A buried Woodstock can never be collected
+  const buried = context.woodstocks.some((woodstock, i) =>
+    !(state.collected & (1 << i)) && state.tiles[woodstock.y][woodstock.x] === TileType.WALL);
+  if (buried) {
+    return results;
+  }
+
+  const blocked = DIRECTIONS[ARROW_DIRECTIONS[state.tiles[state.y][state.x]]]?.opposite;
+
+  for (const [direction, { dx, dy }] of Object.entries(DIRECTIONS)) {
+    if (direction === blocked) continue;
+
+    const targetX = state.x + dx;
+    const targetY = state.y + dy;
+
+    loadState(context, state);
+    if (levelManager.isPushable(targetX, targetY)) {
+      const next = cloneState(state, true);
+      loadState(context, next);
+      if (levelManager.tryPushBlock(targetX, targetY, direction)) {
+        // The pushed block settles as a wall
+        for (const block of levelManager.animatingBlocks) {
+          levelManager.setTileAt(block.destX, block.destY, TileType.WALL);
+        }
+        revealPortals(context, next, targetX, targetY);
+        next.x = targetX;
+        next.y = targetY;
+        advance(context, next, 1);
+        addResult(context, results, `push ${direction}`, next, 1);
+      }
+    } else if (!levelManager.isSolid(targetX, targetY)) {
+      const next = cloneState(state);
+      next.x = targetX;
+      next.y = targetY;
+      advance(context, next, 1);
+      addResult(context, results, direction, next, 1);
+    } else if (levelManager.getTileAt(targetX, targetY) === TileType.BREAKABLE) {
+      const next = cloneState(state, true);
+      next.tiles[targetY][targetX] = TileType.BROKEN;
+      revealPortals(context, next, targetX, targetY);
+      addResult(context, results, `break ${direction}`, next, 1, false);
+    } else if (levelManager.getTileAt(targetX, targetY) === TileType.SWITCH) {
+      const bit = 1 << context.switches.indexOf(levelManager.getTriggerAt(targetX, targetY));
+      if (!(state.switches & bit)) {
+        const next = cloneState(state);
+        next.switches |= bit;
+        addResult(context, results, `press ${direction}`, next, 1, false);
+      }
+    }
+  }
+
+  // Waiting only matters for the toggle blocks: wait until they switch
+  if (context.togglePhases > 1) {
+    const next = cloneState(state);
+    advance(context, next, context.stepsToToggle[state.phase]);
+    addResult(context, results, 'wait', next, 0, false);
+  }
+
+  return results;
+}
+
+/**
+ * Settle a successor state and add it to the results
+ */
+function addResult(context, results, action, state, cost, moved = true) {
+  const settled = settle(context, state, moved);
+  if (settled) {
+    results.push({ action, state: settled, cost });
+  }
+}
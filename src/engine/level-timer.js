@@ -0,0 +1,50 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Number of 16px segments in the timer border
+ */
+export function getTimerSegments() {
+  const border = CONFIG.TIMER_BORDER;
+  const width = CONFIG.CANVAS_WIDTH;
+  const height = CONFIG.CANVAS_HEIGHT;
+
+  // Top (excluding center 64px and corners)
+  const topSegments = Math.floor((width - 64 - (border * 2)) / border);
+  // Right side (excluding corners)
+  const rightSegments = Math.floor((height - (border * 2)) / border);
+  // Bottom (excluding corners)
+  const bottomSegments = Math.floor((width - (border * 2)) / border);
+  // Left side (excluding corners)
+  const leftSegments = Math.floor((height - (border * 2)) / border);
+
+  return topSegments + rightSegments + bottomSegments + leftSegments;
+}
+
+/**
+ * Timer settings of a level (its optional `timer` field), with the defaults filled in.
+ *
+ * Without settings the whole border fills at one segment per second. With only a
+ * duration, the whole border fills in that time; with a fill rate too, the border
+ * starts partly filled so that the segments left last the duration.
+ *
+ * @param {object|null} [level] - Level data
+ * @returns {{enabled: boolean, duration: number, fillRate: number, startSegments: number, warning: number|null}}
+ *   - `duration`: seconds before time is up
+ *   - `fillRate`: border segments filled per second
+ *   - `startSegments`: segments already filled when the level starts
+ *   - `warning`: seconds left when the timer starts warning (null: no warning)
+ */
+export function getLevelTimer(level = null) {
+  const segments = getTimerSegments();
+  const settings = level?.timer ?? {};
+  const fillRate = settings.fillRate ?? (settings.duration ? segments / settings.duration : 1);
+  const duration = settings.duration ?? segments / fillRate;
+
+  return {
+    enabled: settings.enabled ?? true,
+    duration,
+    fillRate,
+    startSegments: Math.max(0, segments - duration * fillRate),
+    warning: settings.warning ?? null,
+  };
+}
@@ -0,0 +1,405 @@
+import { TileType, TILE_CHARS } from '../tiles/tile-types.js';
+import { getEntityClass } from '../entities/entity-registry.js';
+import { validateSchema } from './json-schema.js';
+import { getLevelTimer, getTimerSegments } from './level-timer.js';
+import levelSchema from '../levels/schema.json' with { type: 'json' };
+
+/**
+ * Level format without the entity shapes: entities are checked against
+ * the schema of their registered class (clearer errors than a oneOf)
+ */
+const LEVEL_SCHEMA = {
+  ...levelSchema,
+  properties: {
+    ...levelSchema.properties,
+    entities: { type: 'array' },
+  },
+};
+
+/**
+ * Tiles Snoopy cannot stand on
+ */
+const SOLID_TILES = new Set([
+  TileType.WALL,
+  TileType.PUSHABLE,
+  TileType.BREAKABLE,
+  TileType.PUSHABLE_UP,
+  TileType.PUSHABLE_DOWN,
+  TileType.PUSHABLE_LEFT,
+  TileType.PUSHABLE_RIGHT,
+  TileType.SWITCH,
+]);
+
+/**
+ * Tile of each trigger type
+ */
+const TRIGGER_TILES = {
+  plate: TileType.PRESSURE_PLATE,
+  switch: TileType.SWITCH,
+  gate: TileType.GATE,
+};
+
+/**
+ * Blocks that can hide an entity (revealed when pushed or broken)
+ */
+export const HIDING_TILES = new Set([
+  TileType.PUSHABLE,
+  TileType.BREAKABLE,
+  TileType.PUSHABLE_UP,
+  TileType.PUSHABLE_DOWN,
+  TileType.PUSHABLE_LEFT,
+  TileType.PUSHABLE_RIGHT,
+]);
+
+/**
+ * Thrown when a level does not pass validateLevel()
+ */
+export class LevelValidationError extends Error {
+  /**
+   * @param {number|string} level - Level number
+   * @param {Array<{path: string, message: string}>} errors - Problems found
+   */
+  constructor(level, errors) {
+    super(`Level ${level} is invalid:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}`);
+    this.name = 'LevelValidationError';
+    this.level = level;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check level data against schema.json and the gameplay rules
+ * (grid size, start position, teleporters, entity placement, hidden items, timer, triggers)
+ * @param {object} level - Level data (parsed JSON)
+ * @returns {Array<{path: string, message: string}>} - Errors (empty if the level is valid)
+ */
+export function validateLevel(level) {
+  const errors = validateSchema(level, LEVEL_SCHEMA);
+
+  if (errors.length === 0) {
+    checkTimer(level, errors);
+  }
+
+  // The rules below need a readable grid
+  if (!isGridReadable(level)) {
+    return errors;
+  }
+
+  const grid = parseGrid(level, errors);
+  if (!grid) {
+    return errors;
+  }
+
+  checkStartPosition(level, grid, errors);
+  if (!errors.some(error => error.path.startsWith('teleporters'))) {
+    checkTeleporters(level, grid, errors);
+  }
+  checkEntities(level, grid, errors);
+  if (!errors.some(error => error.path.startsWith('triggers'))) {
+    checkTriggers(level, grid, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Check that width, height and tiles have the right types
+ */
+function isGridReadable(level) {
+  return (
+    typeof level === 'object' && level !== null &&
+    Number.isInteger(level.width) && Number.isInteger(level.height) &&
+    Array.isArray(level.tiles) && level.tiles.every(row => typeof row === 'string')
+  );
+}
+
+/**
+ * Check the grid size and tile characters, and parse the tiles
+ * @returns {Array<Array<number>>|null} - Tile types, or null if the grid does not match its size
+ */
+function parseGrid(level, errors) {
+  if (level.tiles.length !== level.height) {
+    errors.push({ path: 'tiles', message: `has ${level.tiles.length} rows, height is ${level.height}` });
+  }
+
+  let sizeMatches = level.tiles.length === level.height;
+  level.tiles.forEach((row, y) => {
+    if (row.length !== level.width) {
+      errors.push({ path: `tiles[${y}]`, message: `has ${row.length} tiles, width is ${level.width}` });
+      sizeMatches = false;
+    }
+
+    [...row].forEach((char, x) => {
+      if (TILE_CHARS[char] === undefined) {
+        errors.push({ path: `tiles[${y}]`, message: `unknown tile "${char}" at column ${x}` });
+      }
+    });
+  });
+
+  if (!sizeMatches) {
+    return null;
+  }
+
+  return level.tiles.map(row => [...row].map(char => TILE_CHARS[char] ?? TileType.EMPTY));
+}
+
+/**
+ * Snoopy must start inside the grid, on a free tile
+ */
+function checkStartPosition(level, grid, errors) {
+  const start = level.startPosition;
+  if (!start || !Number.isInteger(start.x) || !Number.isInteger(start.y)) return;
+
+  if (!isInGrid(grid, start.x, start.y)) {
+    errors.push({ path: 'startPosition', message: `(${start.x}, ${start.y}) is outside the grid` });
+  } else if (SOLID_TILES.has(grid[start.y][start.x])) {
+    errors.push({ path: 'startPosition', message: `(${start.x}, ${start.y}) is on a solid tile` });
+  }
+}
+
+/**
+ * Each "R" teleport tile is declared once in "teleporters" (channel, optional id and "to"),
+ * and every teleporter leads somewhere: its "to", or another teleporter of its channel
+ * ("4" and "5" tiles are channels 1 and 2)
+ */
+function checkTeleporters(level, grid, errors) {
+  const declarations = level.teleporters || [];
+  const ids = new Set();
+  const cells = new Set();
+
+  declarations.forEach((data, index) => {
+    const path = `teleporters[${index}]`;
+
+    if (data.id !== undefined) {
+      if (ids.has(data.id)) {
+        errors.push({ path, message: `id "${data.id}" is already used` });
+      }
+      ids.add(data.id);
+    }
+
+    const cell = `${data.x},${data.y}`;
+    if (cells.has(cell)) {
+      errors.push({ path, message: `(${data.x}, ${data.y}) is already declared` });
+    }
+    cells.add(cell);
+
+    if (!isInGrid(grid, data.x, data.y)) {
+      errors.push({ path, message: `teleporter at (${data.x}, ${data.y}) is outside the grid` });
+    } else if (grid[data.y][data.x] !== TileType.TELEPORT) {
+      errors.push({ path, message: `(${data.x}, ${data.y}) is not an "R" teleport tile` });
+    }
+  });
+
+  // Channel of every teleport tile
+  const channels = new Map(); // Channel -> number of teleporters
+  const teleporters = [];
+  grid.forEach((row, y) => row.forEach((tile, x) => {
+    let channel;
+    if (tile === TileType.TELEPORT_A) {
+      channel = 1;
+    } else if (tile === TileType.TELEPORT_B) {
+      channel = 2;
+    } else if (tile === TileType.TELEPORT) {
+      const data = declarations.find(declaration => declaration.x === x && declaration.y === y);
+      if (!data) {
+        errors.push({ path: 'teleporters', message: `teleporter at (${x}, ${y}) is not declared` });
+        return;
+      }
+      channel = data.channel;
+      teleporters.push(data);
+    } else {
+      return;
+    }
+    channels.set(channel, (channels.get(channel) || 0) + 1);
+  }));
+
+  declarations.forEach((data, index) => {
+    const path = `teleporters[${index}]`;
+    if (data.to !== undefined) {
+      if (data.to === data.id) {
+        errors.push({ path, message: 'teleporter leads to itself' });
+      } else if (!ids.has(data.to)) {
+        errors.push({ path, message: `unknown teleporter "${data.to}"` });
+      }
+    }
+  });
+
+  for (const data of teleporters) {
+    if (data.to === undefined && channels.get(data.channel) === 1) {
+      errors.push({ path: 'teleporters', message: `teleporter at (${data.x}, ${data.y}) is alone in channel ${data.channel} and has no "to"` });
+    }
+  }
+
+  for (const [char, channel] of [['4', 1], ['5', 2]]) {
+    if (channels.get(channel) === 1 && grid.flat().includes(TILE_CHARS[char])) {
+      errors.push({ path: 'tiles', message: `teleport "${char}" is alone in channel ${channel}` });
+    }
+  }
+}
+
+/**
+ * The timer must fit in the border, and warn before time is up
+ */
+function checkTimer(level, errors) {
+  if (!level.timer) return;
+
+  const timer = getLevelTimer(level);
+  const segments = timer.duration * timer.fillRate;
+  if (segments > getTimerSegments() + 1e-9) {
+    errors.push({ path: 'timer', message: `duration x fillRate is ${segments} segments, the border has ${getTimerSegments()}` });
+  }
+  if (timer.warning !== null && timer.warning >= timer.duration) {
+    errors.push({ path: 'timer.warning', message: `is ${timer.warning} s, the timer lasts ${timer.duration} s` });
+  }
+}
+
+/**
+ * Each plate, switch and gate tile is declared once in "triggers", and the gate inputs
+ * are the ids of plates and switches
+ */
+function checkTriggers(level, grid, errors) {
+  const triggers = level.triggers || [];
+  const ids = new Map(); // Trigger by id
+  const cells = new Set();
+
+  triggers.forEach((trigger, index) => {
+    const path = `triggers[${index}]`;
+
+    if (ids.has(trigger.id)) {
+      errors.push({ path, message: `id "${trigger.id}" is already used` });
+    }
+    ids.set(trigger.id, trigger);
+
+    const cell = `${trigger.x},${trigger.y}`;
+    if (cells.has(cell)) {
+      errors.push({ path, message: `(${trigger.x}, ${trigger.y}) is already declared` });
+    }
+    cells.add(cell);
+
+    if (!isInGrid(grid, trigger.x, trigger.y)) {
+      errors.push({ path, message: `${trigger.type} at (${trigger.x}, ${trigger.y}) is outside the grid` });
+    } else if (grid[trigger.y][trigger.x] !== TRIGGER_TILES[trigger.type]) {
+      errors.push({ path, message: `${trigger.type} at (${trigger.x}, ${trigger.y}) is not on a ${trigger.type} tile` });
+    }
+
+    if (trigger.type !== 'gate' && ['inputs', 'require', 'inverted'].some(key => key in trigger)) {
+      errors.push({ path, message: 'only gates have inputs, require and inverted' });
+    }
+  });
+
+  triggers.forEach((trigger, index) => {
+    if (trigger.type !== 'gate') return;
+
+    const path = `triggers[${index}].inputs`;
+    if (!trigger.inputs || trigger.inputs.length === 0) {
+      errors.push({ path, message: `gate "${trigger.id}" has no plate or switch` });
+      return;
+    }
+
+    for (const id of trigger.inputs) {
+      const input = ids.get(id);
+      if (!input) {
+        errors.push({ path, message: `unknown trigger "${id}"` });
+      } else if (input.type === 'gate') {
+        errors.push({ path, message: `"${id}" is a gate, inputs are plates and switches` });
+      }
+    }
+  });
+
+  // Every trigger tile needs its declaration
+  grid.forEach((row, y) => row.forEach((tile, x) => {
+    const type = Object.keys(TRIGGER_TILES).find(key => TRIGGER_TILES[key] === tile);
+    if (type && !triggers.some(trigger => trigger.x === x && trigger.y === y)) {
+      errors.push({ path: 'triggers', message: `${type} at (${x}, ${y}) is not declared` });
+    }
+  }));
+}
+
+/**
+ * Check every entity against its registered class: shape, position, hidden block
+ */
+function checkEntities(level, grid, errors) {
+  if (!Array.isArray(level.entities)) return;
+
+  let woodstocks = 0;
+
+  level.entities.forEach((data, index) => {
+    const path = `entities[${index}]`;
+    const EntityClass = getEntityClass(data?.type);
+
+    if (!EntityClass || typeof EntityClass.fromLevelData !== 'function') {
+      errors.push({ path, message: `unknown entity type ${JSON.stringify(data?.type)}` });
+      return;
+    }
+
+    const shapeErrors = validateSchema(data, EntityClass.schema, path);
+    if (shapeErrors.length > 0) {
+      errors.push(...shapeErrors);
+      return;
+    }
+
+    if (!isInGrid(grid, data.x, data.y)) {
+      errors.push({ path, message: `${data.type} at (${data.x}, ${data.y}) is outside the grid` });
+      return;
+    }
+
+    if (data.type === 'woodstock') {
+      woodstocks++;
+    }
+
+    // Placement rules of the entity class (e.g. Woodstock not on a solid block)
+    const problem = EntityClass.validateSpawn ? EntityClass.validateSpawn(data, gridTiles(grid)) : null;
+    if (problem) {
+      errors.push({ path, message: problem });
+    }
+
+    if (data.hidden) {
+      checkHiddenBlock(data, EntityClass, grid, path, errors);
+    }
+
+    if (data.destinationX !== undefined && !isInGrid(grid, data.destinationX, data.destinationY)) {
+      errors.push({ path, message: `destination (${data.destinationX}, ${data.destinationY}) is outside the grid` });
+    }
+  });
+
+  if (woodstocks === 0) {
+    errors.push({ path: 'entities', message: 'level has no Woodstock to collect' });
+  }
+}
+
+/**
+ * A hidden entity must point at a block that can hide it
+ */
+function checkHiddenBlock(data, EntityClass, grid, path, errors) {
+  if (!EntityClass.canHideInBlock) {
+    errors.push({ path, message: `${data.type} cannot be hidden in a block` });
+    return;
+  }
+
+  if (data.blockX === undefined || data.blockY === undefined) {
+    errors.push({ path, message: 'hidden entity needs blockX and blockY' });
+    return;
+  }
+
+  if (!isInGrid(grid, data.blockX, data.blockY)) {
+    errors.push({ path, message: `block (${data.blockX}, ${data.blockY}) is outside the grid` });
+  } else if (!HIDING_TILES.has(grid[data.blockY][data.blockX])) {
+    errors.push({ path, message: `block (${data.blockX}, ${data.blockY}) is not a pushable or breakable block` });
+  }
+}
+
+/**
+ * Minimal tile reader for the validateSpawn rules of entity classes
+ */
+function gridTiles(grid) {
+  return {
+    getTileAt: (x, y) => (isInGrid(grid, x, y) ? grid[y][x] : TileType.WALL),
+  };
+}
+
+/**
+ * Check if a cell is inside the grid
+ */
+function isInGrid(grid, x, y) {
+  return y >= 0 && y < grid.length && x >= 0 && x < grid[y].length;
+}
@@ -0,0 +1,21 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Bundled levels directory (src/levels)
+ */
+export const LEVELS_DIR = fileURLToPath(new URL('../levels/', import.meta.url));
+
+/**
+ * Create a level loader that reads level JSON files from disk.
+ * Node only: use it with the Simulation for headless runs and tools.
+ * @param {string} levelsDir - Directory containing the level-*.json files
+ * @returns {Function} - Async loader for LevelManager
+ */
+export function createNodeLevelLoader(levelsDir = LEVELS_DIR) {
+  return async (levelNumber) => {
+    const content = await readFile(join(levelsDir, `level-${levelNumber}.json`), 'utf8');
+    return JSON.parse(content);
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so gameplay runs can be reproduced
+ */
+export class Random {
+  constructor(seed = Random.randomSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reset the generator to the start of the sequence for a seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Capture the generator position
+   */
+  snapshot() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Resume from a captured position
+   */
+  restore(data) {
+    this.seed = data.seed >>> 0;
+    this.state = data.state >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Next 32-bit seed (used to derive seeds for level attempts)
+   */
+  nextSeed() {
+    return Math.floor(this.next() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Non-deterministic seed for a new session
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
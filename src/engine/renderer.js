@@ -76,27 +76,29 @@ export class Renderer {
 
   /**
    * Draw a grid overlay to show tile boundaries
-   * Note: This assumes the context is already translated by TIMER_BORDER
+   * Note: This assumes the context is already translated to the level origin
+   * @param {number} width - Level width in tiles
+   * @param {number} height - Level height in tiles
    */
-  drawGrid() {
+  drawGrid(width = CONFIG.GRID_WIDTH, height = CONFIG.GRID_HEIGHT) {
     this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.2)'; // Semi-transparent black
     this.ctx.lineWidth = 1;
 
     // Draw vertical lines
-    for (let x = 0; x <= CONFIG.GRID_WIDTH; x++) {
+    for (let x = 0; x <= width; x++) {
       const xPos = x * CONFIG.TILE_SIZE;
       this.ctx.beginPath();
       this.ctx.moveTo(xPos, 0);
-      this.ctx.lineTo(xPos, CONFIG.GAME_AREA_HEIGHT);
+      this.ctx.lineTo(xPos, height * CONFIG.TILE_SIZE);
       this.ctx.stroke();
     }
 
     // Draw horizontal lines
-    for (let y = 0; y <= CONFIG.GRID_HEIGHT; y++) {
+    for (let y = 0; y <= height; y++) {
       const yPos = y * CONFIG.TILE_SIZE;
       this.ctx.beginPath();
       this.ctx.moveTo(0, yPos);
-      this.ctx.lineTo(CONFIG.GAME_AREA_WIDTH, yPos);
+      this.ctx.lineTo(width * CONFIG.TILE_SIZE, yPos);
       this.ctx.stroke();
     }
   }
@@ -104,13 +106,19 @@ export class Renderer {
   /**
    * Draw timer border around the game area
    * @param {SpriteManager} spriteManager - The sprite manager
-   * @param {number} filledSegments - Number of segments filled (starts from top-right)
+   * @param {object} [timer] - Timer state (Simulation.timer): filledSegments (filled from top-right),
+   *   enabled (empty border on levels without a timer), isWarning and elapsed (the border flashes full)
    */
-  drawTimerBorder(spriteManager, filledSegments = 0) {
+  drawTimerBorder(spriteManager, timer = null) {
     const border = CONFIG.TIMER_BORDER;
     const width = CONFIG.CANVAS_WIDTH;
     const height = CONFIG.CANVAS_HEIGHT;
 
+    let filledSegments = timer?.enabled === false ? 0 : (timer?.filledSegments ?? 0);
+    if (timer?.isWarning && Math.floor(timer.elapsed * 4) % 2 === 1) {
+      filledSegments = timer.totalSegments;
+    }
+
     // Draw corners
     spriteManager.drawTimerCorner(this, 'top-left', 0, 0);
     spriteManager.drawTimerCorner(this, 'top-right', width - border, 0);
@@ -0,0 +1,230 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Fixed-size ring buffer: pushing into a full buffer drops the oldest item
+ */
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Add an item (drops the oldest one when full)
+   */
+  push(item) {
+    const index = (this.start + this.length) % this.capacity;
+    this.items[index] = item;
+
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Remove and return the newest item (or null)
+   */
+  pop() {
+    if (this.length === 0) return null;
+
+    this.length--;
+    const index = (this.start + this.length) % this.capacity;
+    const item = this.items[index];
+    this.items[index] = undefined;
+    return item;
+  }
+
+  /**
+   * Newest item without removing it (or null)
+   */
+  peek() {
+    if (this.length === 0) return null;
+    return this.items[(this.start + this.length - 1) % this.capacity];
+  }
+
+  /**
+   * Remove all items
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+}
+
+/**
+ * Rewind and undo for a Simulation.
+ * Keeps a ring buffer of recent snapshots (one every CONFIG.REWIND.INTERVAL seconds)
+ * and a ring buffer of snapshots taken right before each block push.
+ */
+export class Rewind {
+  /**
+   * @param {Simulation} simulation - Simulation to snapshot and restore
+   * @param {boolean} enabled - Disable for scored/competitive modes
+   */
+  constructor(simulation, enabled = CONFIG.REWIND.ENABLED) {
+    this.simulation = simulation;
+    this.enabled = enabled;
+
+    this.history = new RingBuffer(Math.ceil(CONFIG.REWIND.DURATION / CONFIG.REWIND.INTERVAL));
+    this.pushHistory = new RingBuffer(CONFIG.REWIND.MAX_UNDO);
+
+    this.tick = 0; // Ticks played in the current attempt (rewinds go back in ticks too)
+    this.captureTimer = 0;
+    this.stepTimer = 0;
+
+    // Input tracking
+    this.rewindKeyPressed = false;
+    this.undoKeyPressed = false;
+  }
+
+  /**
+   * Forget all saved states (new attempt or restored game)
+   */
+  reset() {
+    this.history.clear();
+    this.pushHistory.clear();
+    this.tick = 0;
+    this.captureTimer = 0;
+    this.stepTimer = 0;
+  }
+
+  /**
+   * Handle rewind/undo input for one tick
+   * @returns {boolean} - True if the tick was spent rewinding (skip the normal update)
+   */
+  handleInput(input, dt) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    // Undo the last push (on press)
+    if (input.undo) {
+      if (!this.undoKeyPressed) {
+        this.undoKeyPressed = true;
+        if (this.undoPush()) {
+          return true;
+        }
+      }
+    } else {
+      this.undoKeyPressed = false;
+    }
+
+    // Step back in time while the rewind button is held
+    if (input.rewind) {
+      if (!this.rewindKeyPressed) {
+        this.rewindKeyPressed = true;
+        this.stepTimer = 0;
+        this.stepBack();
+      } else {
+        this.stepTimer += dt;
+        if (this.stepTimer >= CONFIG.REWIND.STEP_TIME) {
+          this.stepTimer = 0;
+          this.stepBack();
+        }
+      }
+      return true;
+    }
+
+    this.rewindKeyPressed = false;
+    return false;
+  }
+
+  /**
+   * Save a state every CONFIG.REWIND.INTERVAL seconds (call once per played tick)
+   */
+  update(dt) {
+    this.tick++;
+
+    if (!this.enabled) return;
+
+    this.captureTimer += dt;
+    if (this.captureTimer >= CONFIG.REWIND.INTERVAL) {
+      this.captureTimer = 0;
+      this.history.push({ tick: this.tick, snapshot: this.simulation.snapshot() });
+    }
+  }
+
+  /**
+   * Save an undo point (called right before a block push)
+   */
+  recordPush() {
+    if (!this.enabled) return;
+
+    this.pushHistory.push({ tick: this.tick, snapshot: this.simulation.snapshot() });
+  }
+
+  /**
+   * Go back to the previous saved state
+   * @returns {boolean} - True if a state was restored
+   */
+  stepBack() {
+    if (!this.canRewind()) return false;
+
+    const entry = this.history.pop();
+    if (!entry) return false;
+
+    this.apply(entry);
+    return true;
+  }
+
+  /**
+   * Go back to right before the last block push
+   * @returns {boolean} - True if a push was undone
+   */
+  undoPush() {
+    if (!this.canRewind()) return false;
+
+    const entry = this.pushHistory.pop();
+    if (!entry) return false;
+
+    this.apply(entry);
+    return true;
+  }
+
+  /**
+   * Rewinding is not allowed once the level is won
+   */
+  canRewind() {
+    const player = this.simulation.player;
+    return player !== null && !player.isVictorious;
+  }
+
+  /**
+   * Restore a saved state and drop the states saved after it
+   */
+  apply(entry) {
+    const musicBefore = this.getMusicKey();
+
+    this.simulation.applySnapshot(entry.snapshot);
+    this.tick = entry.tick;
+    this.captureTimer = 0;
+
+    while (this.history.length > 0 && this.history.peek().tick > entry.tick) {
+      this.history.pop();
+    }
+    while (this.pushHistory.length > 0 && this.pushHistory.peek().tick >= entry.tick) {
+      this.pushHistory.pop();
+    }
+
+    // Only switch music when rewinding changes what should play (e.g. out of a defeat)
+    if (this.getMusicKey() !== musicBefore) {
+      this.simulation.resumeMusic();
+    }
+    this.simulation.notifyHudChange();
+  }
+
+  /**
+   * Which music the current state plays
+   */
+  getMusicKey() {
+    const player = this.simulation.player;
+    if (!player) return null;
+    if (player.isDefeated) return 'miss';
+    return player.hasPowerUp ? player.powerUpType : 'level';
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Delayed actions on a game clock (replaces setTimeout for gameplay and UI transitions).
+ * The clock only moves when update() is called, so tasks wait while the game is
+ * paused, the dev console is open, or the level was switched.
+ *
+ * Actions are either functions or names registered with register(). Only tasks
+ * using named actions survive snapshot()/restore().
+ */
+export class Scheduler {
+  constructor() {
+    this.time = 0; // Clock, in seconds
+    this.tasks = [];
+    this.nextId = 1;
+    this.actions = new Map(); // Named actions, keyed by name
+  }
+
+  /**
+   * Register a named action (serializable in snapshots)
+   * @param {string} name - Action name
+   * @param {Function} callback - Called with the task data
+   */
+  register(name, callback) {
+    this.actions.set(name, callback);
+  }
+
+  /**
+   * Run an action once after a delay
+   * @param {number} delay - Delay in seconds
+   * @param {string|Function} action - Registered action name or callback
+   * @param {*} data - Passed to the action
+   * @returns {number} - Task id (for cancel)
+   */
+  after(delay, action, data = null) {
+    return this.addTask({ time: this.time + delay, action, data, interval: 0, steps: [] });
+  }
+
+  /**
+   * Run an action repeatedly
+   * @param {number} interval - Seconds between runs (first run after one interval)
+   * @param {string|Function} action - Registered action name or callback
+   * @param {*} data - Passed to the action
+   * @returns {number} - Task id (for cancel)
+   */
+  every(interval, action, data = null) {
+    if (interval <= 0) {
+      throw new Error('Scheduler interval must be positive');
+    }
+    return this.addTask({ time: this.time + interval, action, data, interval, steps: [] });
+  }
+
+  /**
+   * Run actions one after another
+   * @param {Array<{delay: number, action: string|Function, data: *}>} steps - Each delay is relative to the previous step
+   * @returns {number} - Task id (cancels the remaining steps)
+   */
+  sequence(steps) {
+    if (steps.length === 0) return 0;
+
+    const [first, ...rest] = steps;
+    return this.addTask({
+      time: this.time + first.delay,
+      action: first.action,
+      data: first.data ?? null,
+      interval: 0,
+      steps: rest.map(step => ({ delay: step.delay, action: step.action, data: step.data ?? null })),
+    });
+  }
+
+  /**
+   * Cancel a task
+   */
+  cancel(id) {
+    const index = this.tasks.findIndex(task => task.id === id);
+    if (index > -1) {
+      this.tasks.splice(index, 1);
+    }
+  }
+
+  /**
+   * Check if a task is still pending
+   */
+  has(id) {
+    return this.tasks.some(task => task.id === id);
+  }
+
+  /**
+   * Cancel all tasks
+   */
+  clear() {
+    this.tasks = [];
+  }
+
+  /**
+   * Advance the clock and run the tasks that are due (in time order)
+   */
+  update(dt) {
+    this.time += dt;
+
+    let task = this.nextDueTask();
+    while (task) {
+      this.runTask(task);
+      task = this.nextDueTask();
+    }
+  }
+
+  /**
+   * Earliest due task (ties run in scheduling order)
+   */
+  nextDueTask() {
+    let next = null;
+    for (const task of this.tasks) {
+      if (task.time > this.time) continue;
+      if (!next || task.time < next.time || (task.time === next.time && task.id < next.id)) {
+        next = task;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Run a task and reschedule it if it repeats or has more steps
+   */
+  runTask(task) {
+    const action = task.action;
+    const data = task.data;
+
+    if (task.interval > 0) {
+      task.time += task.interval;
+    } else if (task.steps.length > 0) {
+      const step = task.steps.shift();
+      task.time += step.delay;
+      task.action = step.action;
+      task.data = step.data;
+    } else {
+      this.cancel(task.id);
+    }
+
+    const callback = typeof action === 'function' ? action : this.actions.get(action);
+    if (!callback) {
+      throw new Error(`Unknown scheduled action: ${action}`);
+    }
+    callback(data);
+  }
+
+  /**
+   * Add a task and return its id
+   */
+  addTask(task) {
+    task.id = this.nextId++;
+    this.tasks.push(task);
+    return task.id;
+  }
+
+  /**
+   * Capture the clock and the named tasks as plain data
+   */
+  snapshot() {
+    const isNamed = (task) => typeof task.action === 'string' && task.steps.every(step => typeof step.action === 'string');
+
+    return {
+      time: this.time,
+      nextId: this.nextId,
+      tasks: structuredClone(this.tasks.filter(isNamed)),
+    };
+  }
+
+  /**
+   * Restore the clock and tasks from snapshot()
+   */
+  restore(data) {
+    this.time = data.time;
+    this.nextId = data.nextId;
+    this.tasks = structuredClone(data.tasks);
+  }
+}
@@ -0,0 +1,793 @@
+import { CONFIG } from '../config.js';
+import { LevelManager } from './level-manager.js';
+import { EntityManager } from './entity-manager.js';
+import { Player } from '../entities/player.js';
+import { Random } from './random.js';
+import { InputRecorder, InputPlayback } from './input-recorder.js';
+import { Rewind } from './rewind.js';
+import { EventBus, GameEvent } from './event-bus.js';
+import { Scheduler } from './scheduler.js';
+import { getLevelTimer, getTimerSegments } from './level-timer.js';
+import { CollisionSystem, CollisionPhase } from './collisions.js';
+import { BUNDLED_MANIFEST } from './level-manifest.js';
+import { GameState } from '../ui/game-states.js';
+
+/**
+ * Snapshot format version (bump when the snapshot layout changes)
+ */
+export const SNAPSHOT_VERSION = 7;
+
+/**
+ * Why a level session starts (passed to the session events)
+ */
+export const SessionReason = {
+  START: 'start', // New game (or replay)
+  RESPAWN: 'respawn', // Retry after losing a life
+  NEXT_LEVEL: 'next-level', // After the level complete screen
+  DEV_JUMP: 'dev-jump', // Dev shortcut or console
+};
+
+/**
+ * Input state with nothing pressed (used to fill in partial scripted inputs)
+ */
+const EMPTY_INPUT = {
+  up: false,
+  down: false,
+  left: false,
+  right: false,
+  action: false,
+  actionJustPressed: false,
+  pause: false,
+  pauseJustPressed: false,
+  restart: false,
+  rewind: false,
+  undo: false,
+};
+
+/**
+ * Headless gameplay core: level, entities, timer and win/lose rules.
+ * Has no dependency on the canvas or the DOM, so it can run in Node
+ * with scripted inputs. The browser Game is a shell around it.
+ */
+export class Simulation {
+  /**
+   * @param {object} options
+   * @param {Function} [options.levelLoader] - Async function returning level data for a level number
+   * @param {LevelManifest} [options.manifest] - Campaign zones and level order (defaults to the bundled manifest)
+   * @param {AudioManager} [options.audioManager] - Audio output (omit when headless)
+   * @param {number} [options.seed] - Session seed (random if omitted)
+   * @param {boolean} [options.rewind] - Allow rewind/undo (defaults to CONFIG.REWIND.ENABLED)
+   * @param {number} [options.timeScale] - Game speed (defaults to CONFIG.GAME_SPEED, 0.5 = slow motion)
+   * @param {Array<object>} [options.collisionRules] - Collision matrix (defaults to DEFAULT_COLLISION_RULES)
+   * @param {Function} [options.onHudChange] - Called when score, lives or level change
+   * @param {Function} [options.onLevelComplete] - Called when the victory animation is over
+   * @param {Function} [options.onGameOver] - Called when the last life is lost
+   * @param {Function} [options.onVictory] - Called when there are no more levels
+   * @param {Function} [options.onLevelError] - Called with the error when the level cannot be reloaded
+   *                                            for a respawn (logged when omitted)
+   */
+  constructor(options = {}) {
+    this.levelManager = new LevelManager(options.levelLoader);
+    this.manifest = options.manifest || BUNDLED_MANIFEST;
+    this.entityManager = new EntityManager();
+    this.audioManager = options.audioManager || null;
+    this.player = null;
+
+    // Game speed: scales the time of every step (all motion is integrated with dt)
+    this.timeScale = options.timeScale ?? CONFIG.GAME_SPEED;
+
+    // Which entity layers collide, and what happens
+    this.collisions = new CollisionSystem(options.collisionRules);
+
+    // Gameplay events (entities emit, rules/audio/stats subscribe)
+    this.events = new EventBus();
+    this.subscribeRules();
+
+    // Randomness: the session RNG derives one seed per level attempt,
+    // and the gameplay RNG (reseeded on each attempt) drives every gameplay random call
+    this.sessionRandom = new Random(options.seed);
+    this.random = new Random(0);
+
+    // Input recording: every level attempt is recorded so it can be replayed
+    this.recorder = new InputRecorder();
+    this.lastRecording = null; // Last finished attempt
+
+    // True while a level is being (re)loaded: updates are skipped
+    this.isLoading = false;
+
+    // Restart input tracking
+    this.restartKeyPressed = false;
+
+    // Rewind / undo push
+    this.rewind = new Rewind(this, options.rewind ?? CONFIG.REWIND.ENABLED);
+    this.levelManager.onBeforePush = () => this.rewind.recordPush();
+
+    // Delayed gameplay actions, on the simulation clock (paused with the game, rewound with it)
+    this.scheduler = new Scheduler();
+    this.scheduler.register('levelComplete', () => this.levelComplete());
+
+    // Shell callbacks
+    this.onHudChange = options.onHudChange || null;
+    this.onLevelComplete = options.onLevelComplete || null;
+    this.onGameOver = options.onGameOver || null;
+    this.onVictory = options.onVictory || null;
+    this.onLevelError = options.onLevelError || null;
+
+    // Game state
+    this.state = {
+      score: 0,
+      lives: CONFIG.STARTING_LIVES,
+      level: 1,
+      currentState: GameState.MENU,
+      levelReady: false,
+      seed: null, // Seed of the current level attempt
+    };
+
+    // Timer state (settings from the level, see getLevelTimer)
+    this.timer = {
+      elapsed: 0,
+      filledSegments: 0,
+      totalSegments: 0, // Will be calculated based on canvas size
+      isActive: true, // Timer is active by default
+      enabled: true, // False on levels without a timer
+      duration: 0, // Seconds before time is up
+      fillRate: 1, // Segments filled per second
+      startSegments: 0, // Segments already filled at the start
+      warning: null, // Seconds left when the warning starts
+      isWarning: false,
+    };
+
+    // Ready? Go! state
+    this.readyGo = {
+      isActive: false,
+      timer: 0,
+      duration: 1.0, // 1 second
+    };
+  }
+
+  /**
+   * Start a new game at the given level (resets score and lives)
+   * @param {number} levelNumber - Level to start at
+   * @param {object} [options]
+   * @param {number} [options.seed] - Seed for this attempt (to reproduce a run)
+   */
+  async start(levelNumber = 1, options = {}) {
+    await this.loadLevelSession(levelNumber, {
+      reason: SessionReason.START,
+      seed: options.seed ?? null,
+    });
+  }
+
+  /**
+   * Start a level session: reload a level and put a new player at its start.
+   * Every entry path (new game, respawn, next level, dev jump) goes through here.
+   * Emits SESSION_LOADING before the level loads and SESSION_STARTED once it is playable.
+   * @param {number} levelNumber - Level to load
+   * @param {object} [options]
+   * @param {boolean} [options.keepScore] - Keep the current score (reset to 0 otherwise)
+   * @param {boolean} [options.keepLives] - Keep the current lives (reset to CONFIG.STARTING_LIVES otherwise)
+   * @param {string} [options.reason] - A SessionReason value
+   * @param {number|null} [options.seed] - Seed for this attempt (null for the next session seed)
+   * @throws {Error} - If the level cannot be loaded (no player is created)
+   */
+  async loadLevelSession(levelNumber, options = {}) {
+    const {
+      keepScore = false,
+      keepLives = false,
+      reason = SessionReason.START,
+      seed = null,
+    } = options;
+
+    // Remove power-ups from the current player (no level music restart, all music stops below)
+    if (this.player && this.player.hasPowerUp) {
+      this.player.removePowerUp(this, false);
+    }
+    if (this.audioManager) {
+      this.audioManager.stopMusic();
+    }
+
+    // Reset state
+    if (!keepScore) {
+      this.state.score = 0;
+    }
+    if (!keepLives) {
+      this.state.lives = CONFIG.STARTING_LIVES;
+    }
+    this.state.level = levelNumber;
+    this.state.currentState = GameState.PLAYING;
+    this.state.levelReady = false;
+    this.beginAttempt(seed);
+
+    // Clear entities (no player until the level is loaded)
+    this.entityManager.clear();
+    this.player = null;
+
+    this.events.emit(GameEvent.SESSION_LOADING, { level: levelNumber, reason });
+
+    // Load level (also resets all tiles: toggle blocks, hidden items...)
+    this.isLoading = true;
+    try {
+      await this.levelManager.loadLevel(levelNumber);
+    } finally {
+      this.isLoading = false;
+    }
+
+    // Create player (before the level entities, so the update order is always the same and replays match)
+    const startPos = this.levelManager.getStartPosition();
+    this.player = new Player(startPos.x, startPos.y);
+    this.entityManager.add(this.player);
+
+    // Spawn entities from level
+    this.spawnLevelEntities();
+
+    // Mark level as ready
+    this.state.levelReady = true;
+
+    // Initialize timer
+    this.initTimer();
+
+    // Start "Ready? Go!" animation
+    this.startReadyGo();
+
+    // Play level music if defined
+    this.playLevelMusic();
+
+    this.notifyHudChange();
+
+    this.events.emit(GameEvent.SESSION_STARTED, { level: levelNumber, reason, seed: this.state.seed });
+  }
+
+  /**
+   * Gameplay rules driven by events: scoring and defeat on ball hit
+   */
+  subscribeRules() {
+    this.events.on(GameEvent.WOODSTOCK_COLLECTED, ({ points }) => this.addScore(points));
+    this.events.on(GameEvent.BALL_DESTROYED, ({ points }) => this.addScore(points));
+
+    this.events.on(GameEvent.PLAYER_HIT, ({ player }) => {
+      if (!player.isDefeated) {
+        player.startDefeatAnimation(this);
+      }
+    });
+  }
+
+  /**
+   * Seed the gameplay RNG for a new level attempt
+   * @param {number|null} seed - Seed to reproduce an attempt, or null to draw the next one from the session
+   */
+  beginAttempt(seed = null) {
+    this.state.seed = seed === null ? this.sessionRandom.nextSeed() : seed >>> 0;
+    this.random.setSeed(this.state.seed);
+
+    // Drop actions scheduled by the previous attempt
+    this.scheduler.clear();
+
+    this.finishRecording();
+    this.recorder.start(this.state.level, this.state.seed, this.timeScale);
+    this.rewind.reset();
+  }
+
+  /**
+   * Stop recording the current attempt and keep it as the last recording
+   */
+  finishRecording() {
+    const recording = this.recorder.stop();
+    if (recording && recording.ticks > 0) {
+      this.lastRecording = recording;
+    }
+  }
+
+  /**
+   * Replay a recorded attempt headlessly and return the resulting state
+   * @param {object} recording - Recording from InputRecorder
+   */
+  async runRecording(recording) {
+    const playback = new InputPlayback(recording);
+
+    this.timeScale = recording.timeScale;
+    await this.start(recording.level, { seed: recording.seed });
+
+    let input = playback.next();
+    while (input) {
+      this.step(input, 1 / recording.fps);
+      input = playback.next();
+    }
+
+    return this.getState();
+  }
+
+  /**
+   * Advance the simulation by one fixed step with the given input
+   * Missing input fields default to "not pressed"
+   */
+  step(input = {}, dt = 1 / CONFIG.FPS) {
+    if (this.state.currentState !== GameState.PLAYING) {
+      return;
+    }
+
+    this.update(dt, { ...EMPTY_INPUT, ...input });
+  }
+
+  /**
+   * Capture the full game state (level, entities, timers, RNG) as plain JSON-safe data
+   */
+  snapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      state: { ...this.state },
+      timer: { ...this.timer },
+      readyGo: { ...this.readyGo },
+      random: this.random.snapshot(),
+      sessionRandom: this.sessionRandom.snapshot(),
+      restartKeyPressed: this.restartKeyPressed,
+      scheduler: this.scheduler.snapshot(),
+      playerId: this.player ? this.player.id : null,
+      entities: this.entityManager.snapshot(),
+      level: this.levelManager.snapshot(),
+    };
+  }
+
+  /**
+   * Resume from a snapshot taken with snapshot()
+   * Ends the current input recording (replays start from a level start)
+   * @param {object} snapshot - Snapshot data
+   */
+  restore(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot?.version}`);
+    }
+
+    this.finishRecording();
+    this.isLoading = false;
+
+    this.applySnapshot(snapshot);
+    this.rewind.reset();
+
+    this.resumeMusic();
+    this.notifyHudChange();
+  }
+
+  /**
+   * Load the state of a snapshot (shared by restore and rewind)
+   */
+  applySnapshot(snapshot) {
+    Object.assign(this.state, snapshot.state);
+    Object.assign(this.timer, snapshot.timer);
+    Object.assign(this.readyGo, snapshot.readyGo);
+    this.random.restore(snapshot.random);
+    this.sessionRandom.restore(snapshot.sessionRandom);
+    this.restartKeyPressed = snapshot.restartKeyPressed;
+
+    this.entityManager.restore(snapshot.entities);
+    this.levelManager.restore(snapshot.level, this.entityManager);
+    this.player = snapshot.playerId !== null ? this.entityManager.getById(snapshot.playerId) : null;
+    this.scheduler.restore(snapshot.scheduler);
+  }
+
+  /**
+   * Play the music matching the current state (power-up music or level music)
+   */
+  resumeMusic() {
+    if (!this.audioManager) return;
+
+    const powerUpType = this.player?.hasPowerUp ? this.player.powerUpType : null;
+
+    if (powerUpType === 'invincible') {
+      this.audioManager.playMusic('invincible');
+    } else if (powerUpType === 'time') {
+      this.audioManager.playMusic('frozen-time');
+    } else {
+      this.playLevelMusic();
+      if (powerUpType === 'speed') {
+        this.audioManager.setMusicSpeed(1.5);
+      } else {
+        this.audioManager.resetMusicSpeed();
+      }
+    }
+  }
+
+  /**
+   * Get a plain description of the current game state
+   */
+  getState() {
+    const player = this.player;
+
+    return {
+      currentState: this.state.currentState,
+      score: this.state.score,
+      lives: this.state.lives,
+      level: this.state.level,
+      levelReady: this.state.levelReady,
+      seed: this.state.seed,
+      readyGo: this.readyGo.isActive,
+      timer: {
+        enabled: this.timer.enabled,
+        elapsed: this.timer.elapsed,
+        duration: this.timer.duration,
+        filledSegments: this.timer.filledSegments,
+        totalSegments: this.timer.totalSegments,
+        isWarning: this.timer.isWarning,
+      },
+      player: player ? {
+        x: player.x,
+        y: player.y,
+        gridX: player.getGridX(),
+        gridY: player.getGridY(),
+        direction: player.direction,
+        isMoving: player.isMoving,
+        isTeleporting: player.isTeleporting,
+        isVictorious: player.isVictorious,
+        isDefeated: player.isDefeated,
+        powerUpType: player.powerUpType,
+      } : null,
+      balls: this.entityManager.getByType('ball').map(ball => ({
+        x: ball.x,
+        y: ball.y,
+        vx: ball.vx,
+        vy: ball.vy,
+        gridX: ball.getGridX(),
+        gridY: ball.getGridY(),
+        frozen: ball.frozen,
+      })),
+      woodstocks: this.entityManager.getByType('woodstock').map(woodstock => ({
+        gridX: woodstock.gridX,
+        gridY: woodstock.gridY,
+      })),
+    };
+  }
+
+  /**
+   * Initialize timer for the level
+   */
+  initTimer() {
+    Object.assign(this.timer, getLevelTimer(this.levelManager.currentLevel));
+    this.timer.totalSegments = getTimerSegments();
+    this.timer.elapsed = 0;
+    this.timer.filledSegments = Math.floor(this.timer.startSegments);
+    this.timer.isWarning = false;
+    this.timer.isActive = true; // Reactivate timer for new level
+  }
+
+  /**
+   * Start "Ready? Go!" animation
+   */
+  startReadyGo() {
+    this.readyGo.isActive = true;
+    this.readyGo.timer = 0;
+    this.timer.isActive = false; // Pause timer during Ready? Go!
+  }
+
+  /**
+   * Update timer - fills the border at the level fill rate
+   */
+  updateTimer(dt) {
+    const timer = this.timer;
+
+    // Don't update if timer is not active (or the level has none)
+    if (!timer.isActive || !timer.enabled) {
+      return;
+    }
+
+    timer.elapsed += dt;
+
+    const targetSegments = Math.floor(timer.startSegments + timer.elapsed * timer.fillRate);
+    if (targetSegments > timer.filledSegments) {
+      timer.filledSegments = Math.min(targetSegments, timer.totalSegments);
+    }
+
+    // Warn once when the time left drops to the level threshold
+    const timeLeft = timer.duration - timer.elapsed;
+    if (timer.warning !== null && !timer.isWarning && timeLeft <= timer.warning) {
+      timer.isWarning = true;
+      this.events.emit(GameEvent.TIMER_WARNING, { timeLeft });
+    }
+
+    // Check if time is up
+    if (timeLeft <= 0) {
+      timer.filledSegments = timer.totalSegments;
+      // Time's up - start defeat animation
+      if (this.player && !this.player.isDefeated) {
+        this.player.startDefeatAnimation(this);
+      }
+    }
+  }
+
+  /**
+   * Spawn entities defined in the level
+   */
+  spawnLevelEntities() {
+    const entities = this.levelManager.getEntities();
+    entities.forEach(entityData => {
+      this.entityManager.spawnFromData(entityData, this.levelManager);
+    });
+  }
+
+  /**
+   * Play the current level's music (if defined)
+   */
+  playLevelMusic() {
+    const levelMusic = this.levelManager.currentLevel?.music;
+    if (levelMusic && this.audioManager) {
+      this.audioManager.playMusic(levelMusic);
+    }
+  }
+
+  /**
+   * Update game logic
+   */
+  update(dt, input) {
+    // Check if player exists and the level is not being reloaded
+    if (!this.player || this.isLoading) return;
+
+    // Apply game speed
+    dt *= this.timeScale;
+
+    // Record the raw input of this tick (before it gets blocked below)
+    this.recorder.record(input);
+
+    // Update "Ready? Go!" animation
+    if (this.readyGo.isActive) {
+      this.readyGo.timer += dt;
+
+      if (this.readyGo.timer >= this.readyGo.duration) {
+        // Animation finished, resume game
+        this.readyGo.isActive = false;
+        this.timer.isActive = true;
+      }
+
+      // Block all updates during "Ready? Go!"
+      return;
+    }
+
+    // Check for restart (R key or L1/LB button)
+    this.handleRestartInput(input);
+
+    // Rewind / undo push (the whole tick is spent rewinding)
+    if (this.rewind.handleInput(input, dt)) {
+      return;
+    }
+
+    // Run delayed actions that are due (may end the level)
+    this.scheduler.update(dt);
+    if (this.state.currentState !== GameState.PLAYING) {
+      return;
+    }
+
+    // Update timer
+    this.updateTimer(dt);
+
+    // Update level animations (blocks moving), pass player for toggle block and trigger logic
+    this.levelManager.update(dt, this.player, this.entityManager, this.events);
+
+    // Block player input if blocks are animating
+    if (this.levelManager.isAnimating()) {
+      // Clear input to prevent player from moving
+      input.up = false;
+      input.down = false;
+      input.left = false;
+      input.right = false;
+    }
+
+    // Store previous moving state
+    const wasMoving = this.player.isMoving;
+
+    // Check collectibles BEFORE update if player is not moving
+    // This ensures collectibles on arrow tiles can be collected
+    if (!this.player.isMoving) {
+      this.collisions.check(CollisionPhase.SETTLED, this.entityManager, this);
+    }
+
+    // Check if player has time freeze power-up
+    const ballsFrozen = this.player.hasPowerUp && this.player.powerUpType === 'time';
+
+    // Freeze/unfreeze balls
+    const balls = this.entityManager.getByType('ball');
+    balls.forEach(ball => {
+      ball.frozen = ballsFrozen;
+    });
+
+    // Update entities
+    this.entityManager.update(dt, input, this.levelManager, this);
+
+    // A new level session started during the update (respawn): the rest of the tick is over
+    if (this.isLoading) {
+      return;
+    }
+
+    // Check collisions only when player just finished moving
+    const justStoppedMoving = wasMoving && !this.player.isMoving;
+
+    // Always check collision with balls (dangerous)
+    this.collisions.check(CollisionPhase.CONTINUOUS, this.entityManager, this);
+
+    // Check collectibles again if player just stopped moving
+    if (justStoppedMoving) {
+      this.collisions.check(CollisionPhase.SETTLED, this.entityManager, this);
+    }
+
+    // Check win/lose conditions
+    this.checkGameState();
+
+    // Save a rewind point
+    this.rewind.update(dt);
+  }
+
+  /**
+   * Trigger the defeat animation to restart the level
+   * Not allowed during victory or defeat animations
+   */
+  handleRestartInput(input) {
+    if (this.player.isVictorious || this.player.isDefeated) {
+      return;
+    }
+
+    if (input.restart) {
+      if (!this.restartKeyPressed) {
+        this.player.startDefeatAnimation(this);
+        this.restartKeyPressed = true;
+      }
+    } else {
+      this.restartKeyPressed = false;
+    }
+  }
+
+  /**
+   * Check win/lose conditions
+   */
+  checkGameState() {
+    // Don't check until level is ready
+    if (!this.state.levelReady) return;
+
+    // Check if player collected all Woodstocks
+    const collectibles = this.entityManager.getByType('woodstock');
+    if (collectibles.length === 0) {
+      const player = this.entityManager.getByType('player')[0];
+
+      // Start victory animation if not already started
+      if (player && !player.isVictorious) {
+        // Stop the timer (we'll animate it during level complete screen)
+        this.timer.isActive = false;
+        this.timer.isWarning = false;
+
+        // Remove any active power-ups (stop their music without restarting level music)
+        if (player.hasPowerUp) {
+          player.removePowerUp(this, false); // false = don't restart level music
+        }
+
+        // Play level-specific clear music during victory animation
+        const clearMusic = this.levelManager.currentLevel?.clearMusic;
+        if (clearMusic && this.audioManager) {
+          this.audioManager.playMusic(clearMusic);
+        }
+
+        player.startVictoryAnimation();
+        this.events.emit(GameEvent.LEVEL_CLEARED, { level: this.state.level });
+
+        // Explode all remaining balls
+        this.explodeAllBalls();
+
+        // Complete level after victory animation duration
+        this.scheduler.after(player.victoryDuration, 'levelComplete');
+      }
+    }
+  }
+
+  /**
+   * Explode all balls on the map
+   */
+  explodeAllBalls() {
+    const balls = this.entityManager.getByType('ball');
+
+    for (const ball of balls) {
+      // Create explosion particles for each ball
+      ball.createExplosionParticles(this);
+      // Destroy the ball
+      ball.destroy();
+    }
+  }
+
+  /**
+   * Notify the shell that score, lives or level changed
+   */
+  notifyHudChange() {
+    if (this.onHudChange) {
+      this.onHudChange();
+    }
+  }
+
+  /**
+   * Add score
+   */
+  addScore(points) {
+    this.state.score += points;
+    this.notifyHudChange();
+  }
+
+  /**
+   * Remove a life
+   */
+  loseLife() {
+    this.state.lives--;
+    this.notifyHudChange();
+    this.events.emit(GameEvent.LIFE_LOST, { lives: this.state.lives });
+
+    if (this.state.lives > 0) {
+      // Not awaited (called from the tick): a reload failure goes to the shell
+      this.respawnPlayer().catch(error => {
+        if (this.onLevelError) {
+          this.onLevelError(error);
+        } else {
+          console.error('Cannot reload the level:', error);
+        }
+      });
+    } else {
+      this.gameOver();
+    }
+  }
+
+  /**
+   * Respawn the player at the start position
+   * Each retry is a new attempt with its own seed, and reloads the level to reset all tiles
+   */
+  async respawnPlayer() {
+    await this.loadLevelSession(this.state.level, {
+      keepScore: true,
+      keepLives: true,
+      reason: SessionReason.RESPAWN,
+    });
+  }
+
+  /**
+   * Mark level as complete
+   */
+  levelComplete() {
+    this.state.currentState = GameState.LEVEL_COMPLETE;
+    this.finishRecording();
+
+    if (this.onLevelComplete) {
+      this.onLevelComplete();
+    }
+  }
+
+  /**
+   * Continue to next level after level complete screen
+   * The manifest gives the next level; after the last one the campaign is won
+   * @throws {LevelValidationError} - In dev mode, if the next level is invalid
+   */
+  async continueToNextLevel() {
+    const nextLevel = this.manifest.getNextLevel(this.state.level);
+    if (nextLevel === null) {
+      this.victory();
+      return;
+    }
+
+    await this.loadLevelSession(nextLevel, {
+      keepScore: true,
+      keepLives: true,
+      reason: SessionReason.NEXT_LEVEL,
+    });
+  }
+
+  /**
+   * Game over
+   */
+  gameOver() {
+    this.state.currentState = GameState.GAME_OVER;
+    this.finishRecording();
+
+    if (this.onGameOver) {
+      this.onGameOver();
+    }
+  }
+
+  /**
+   * Victory (all levels complete)
+   */
+  victory() {
+    this.state.currentState = GameState.VICTORY;
+
+    if (this.onVictory) {
+      this.onVictory();
+    }
+  }
+}
@@ -296,7 +296,7 @@ export class SpriteManager {
    * Draw block sprite
    * Type: 0=empty, 1=wall, 2=pushable, 3=breakable, 4=teleportA, 5=teleportB
    *       6=arrowUp, 7=arrowRight, 8=arrowDown, 9=arrowLeft, 10=broken
-   *       11=pushableUp, 12=pushableDown, 13=pushableLeft, 14=pushableRight
+   *       11=pushableUp, 12=pushableDown, 13=pushableLeft, 14=pushableRight, 19=teleport
    */
   drawBlock(renderer, type, x, y, width, height) {
     const sprite = this.sprites.blocks;
@@ -323,6 +323,7 @@ export class SpriteManager {
       12: { x: 6 * 16, y: 0 },   // Pushable Down (same sprite as wall for now)
       13: { x: 6 * 16, y: 0 },   // Pushable Left (same sprite as wall for now)
       14: { x: 6 * 16, y: 0 },   // Pushable Right (same sprite as wall for now)
+      19: { x: 5 * 16, y: 16 },  // Teleport with a declared channel (same sprite, channel mark drawn by LevelManager)
     };
 
     const pos = positions[type];
@@ -6,6 +6,15 @@ import { CONFIG } from '../config.js';
  * Created when ball is destroyed by invincible player
  */
 export class BallParticle extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'ball-particle';
+
+  /**
+   * @param {number} vx - Horizontal velocity (pixels per second)
+   * @param {number} vy - Vertical velocity (pixels per second)
+   */
   constructor(x, y, vx, vy) {
     super(0, 0, CONFIG.BALL_DISPLAY_SIZE, CONFIG.BALL_DISPLAY_SIZE);
 
@@ -13,7 +22,7 @@ export class BallParticle extends Entity {
     this.x = x;
     this.y = y;
 
-    this.type = 'ball-particle';
+    this.type = BallParticle.type;
     this.vx = vx;
     this.vy = vy;
 
@@ -25,9 +34,8 @@ export class BallParticle extends Entity {
    * Update particle movement
    */
   update(dt, input = null, levelManager = null, game = null) {
-    // Move the particle (4x faster)
-    this.x += this.vx * dt * 240; // Scale by 240 for frame-independent movement (4x speed)
-    this.y += this.vy * dt * 240;
+    // Move the particle
+    this.setPosition(this.x + this.vx * dt, this.y + this.vy * dt);
 
     // Update lifetime
     this.lifetime -= dt;
@@ -1,13 +1,77 @@
 import { Entity } from './entity.js';
 import { CONFIG } from '../config.js';
 import { BallParticle } from './ball-particle.js';
-import { TileType } from '../tiles/tile-types.js';
+import { GameEvent } from '../engine/event-bus.js';
+import { CollisionLayer } from '../engine/collisions.js';
 
 /**
  * Bouncing ball enemy
  * Sprite: L1C1, 8x8 pixels
  */
 export class Ball extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'ball';
+
+  /**
+   * Collision layer
+   */
+  static collisionLayer = CollisionLayer.ENEMY;
+
+  /**
+   * Smaller hitbox (centered)
+   */
+  static hitbox = { inset: 4 };
+
+  /**
+   * Level data schema
+   */
+  static schema = {
+    type: 'object',
+    description: 'Ball entity (enemy/obstacle)',
+    required: ['type', 'x', 'y', 'vx', 'vy'],
+    properties: {
+      type: {
+        type: 'string',
+        const: 'ball',
+      },
+      x: {
+        type: 'integer',
+        description: 'X coordinate on the grid',
+        minimum: 0,
+      },
+      y: {
+        type: 'integer',
+        description: 'Y coordinate on the grid',
+        minimum: 0,
+      },
+      vx: {
+        type: 'integer',
+        description: 'Horizontal velocity (-1, 0, or 1)',
+        minimum: -1,
+        maximum: 1,
+      },
+      vy: {
+        type: 'integer',
+        description: 'Vertical velocity (-1, 0, or 1)',
+        minimum: -1,
+        maximum: 1,
+      },
+    },
+  };
+
+  /**
+   * Create a ball from level data
+   */
+  static fromLevelData(data) {
+    return new Ball(data.x, data.y, data.vx || 1, data.vy || 1);
+  }
+
+  /**
+   * @param {number} vx - Horizontal direction from the level data (scaled by CONFIG.BALL_SPEED)
+   * @param {number} vy - Vertical direction from the level data (scaled by CONFIG.BALL_SPEED)
+   */
   constructor(gridX, gridY, vx = 1, vy = 1) {
     super(gridX, gridY, CONFIG.BALL_SIZE, CONFIG.BALL_SIZE);
 
@@ -16,7 +80,7 @@ export class Ball extends Entity {
     this.x += offset;
     this.y += offset;
 
-    this.type = 'ball';
+    this.type = Ball.type;
     this.vx = vx * CONFIG.BALL_SPEED;
     this.vy = vy * CONFIG.BALL_SPEED;
     this.frozen = false; // For time power-up
@@ -43,9 +107,10 @@ export class Ball extends Entity {
    * @param {number} blockCenter - Center position of block on collision axis
    * @param {number} blockSize - Size of the block (tile size)
    * @param {boolean} isHorizontal - True for horizontal collision, false for vertical
+   * @param {Random} [random] - Gameplay RNG (no random variation without it)
    * @returns {object} - New velocity { vx, vy }
    */
-  calculateBounceAngle(ballCenter, blockCenter, blockSize, isHorizontal) {
+  calculateBounceAngle(ballCenter, blockCenter, blockSize, isHorizontal, random = null) {
     // Calculate offset from center (-1 to 1, where 0 is center)
     const offset = (ballCenter - blockCenter) / (blockSize / 2);
     const clampedOffset = Math.max(-0.9, Math.min(0.9, offset)); // Limit to avoid extreme angles
@@ -121,7 +186,8 @@ export class Ball extends Entity {
 
     // Add random variation to make trajectories less predictable
     // Random value between -BALL_ANGLE_RANDOMNESS and +BALL_ANGLE_RANDOMNESS
-    const randomVariation = (Math.random() - 0.5) * 2 * CONFIG.BALL_ANGLE_RANDOMNESS;
+    const randomValue = random ? random.next() : 0.5;
+    const randomVariation = (randomValue - 0.5) * 2 * CONFIG.BALL_ANGLE_RANDOMNESS;
     angle += randomVariation;
 
     // Calculate new velocity maintaining constant speed
@@ -153,8 +219,10 @@ export class Ball extends Entity {
         if (this.teleportDestination) {
           // Center the ball in the destination tile
           const offset = (CONFIG.TILE_SIZE - CONFIG.BALL_SIZE) / 2;
-          this.x = this.teleportDestination.x * CONFIG.TILE_SIZE + offset;
-          this.y = this.teleportDestination.y * CONFIG.TILE_SIZE + offset;
+          this.setPosition(
+            this.teleportDestination.x * CONFIG.TILE_SIZE + offset,
+            this.teleportDestination.y * CONFIG.TILE_SIZE + offset
+          );
         }
         this.teleportPhase = 1; // Switch to appearing phase
       }
@@ -178,13 +246,15 @@ export class Ball extends Entity {
     // Don't move if frozen
     if (this.frozen) return;
 
+    // Gameplay RNG for bounce variation (owned by the simulation)
+    const random = game ? game.random : null;
+
     // Store old position
     const oldX = this.x;
     const oldY = this.y;
 
     // Move the ball
-    this.x += this.vx;
-    this.y += this.vy;
+    this.setPosition(this.x + this.vx * dt, this.y + this.vy * dt);
 
     // Get current grid position
     const gridX = this.getGridX();
@@ -198,9 +268,10 @@ export class Ball extends Entity {
     let horizontalCollision = false;
 
     if (this.vx > 0) {
-      // Check canvas right boundary
-      if (ballRight >= CONFIG.GAME_AREA_WIDTH) {
-        this.x = CONFIG.GAME_AREA_WIDTH - this.width;
+      // Check level right boundary
+      const levelRight = levelManager.width * CONFIG.TILE_SIZE;
+      if (ballRight >= levelRight) {
+        this.setPosition(levelRight - this.width, this.y);
         // Simple reflection at boundary
         this.vx = -Math.abs(this.vx);
         horizontalCollision = true;
@@ -210,26 +281,26 @@ export class Ball extends Entity {
         const checkGridY = Math.floor(ballCenterY / CONFIG.TILE_SIZE);
         if (levelManager.isSolid(nextGridX, checkGridY) || levelManager.isBlockedByAnimatingBlock(nextGridX, checkGridY)) {
           // Snap to left edge of the wall
-          this.x = nextGridX * CONFIG.TILE_SIZE - this.width - 1;
+          this.setPosition(nextGridX * CONFIG.TILE_SIZE - this.width - 1, this.y);
 
           // Calculate bounce angle based on impact position
           const ballCenterYPos = this.y + this.height / 2;
           const blockCenterY = (checkGridY * CONFIG.TILE_SIZE) + (CONFIG.TILE_SIZE / 2);
-          const newVelocity = this.calculateBounceAngle(ballCenterYPos, blockCenterY, CONFIG.TILE_SIZE, true);
+          const newVelocity = this.calculateBounceAngle(ballCenterYPos, blockCenterY, CONFIG.TILE_SIZE, true, random);
           this.vx = newVelocity.vx;
           this.vy = newVelocity.vy;
           horizontalCollision = true;
 
-          // Play collision sound (only for block collisions, not canvas boundaries)
-          if (game && game.audioManager) {
-            game.audioManager.playSfx('ball-collision');
+          // Bounce on a block (not on level boundaries)
+          if (game) {
+            game.events.emit(GameEvent.BALL_BOUNCED, { ball: this });
           }
         }
       }
     } else if (this.vx < 0) {
-      // Check canvas left boundary
+      // Check level left boundary
       if (ballLeft <= 0) {
-        this.x = 0;
+        this.setPosition(0, this.y);
         // Simple reflection at boundary
         this.vx = Math.abs(this.vx);
         horizontalCollision = true;
@@ -239,19 +310,19 @@ export class Ball extends Entity {
         const checkGridY = Math.floor(ballCenterY / CONFIG.TILE_SIZE);
         if (levelManager.isSolid(nextGridX, checkGridY) || levelManager.isBlockedByAnimatingBlock(nextGridX, checkGridY)) {
           // Snap to right edge of the wall
-          this.x = (nextGridX + 1) * CONFIG.TILE_SIZE + 1;
+          this.setPosition((nextGridX + 1) * CONFIG.TILE_SIZE + 1, this.y);
 
           // Calculate bounce angle based on impact position
           const ballCenterYPos = this.y + this.height / 2;
           const blockCenterY = (checkGridY * CONFIG.TILE_SIZE) + (CONFIG.TILE_SIZE / 2);
-          const newVelocity = this.calculateBounceAngle(ballCenterYPos, blockCenterY, CONFIG.TILE_SIZE, true);
+          const newVelocity = this.calculateBounceAngle(ballCenterYPos, blockCenterY, CONFIG.TILE_SIZE, true, random);
           this.vx = newVelocity.vx;
           this.vy = newVelocity.vy;
           horizontalCollision = true;
 
-          // Play collision sound (only for block collisions, not canvas boundaries)
-          if (game && game.audioManager) {
-            game.audioManager.playSfx('ball-collision');
+          // Bounce on a block (not on level boundaries)
+          if (game) {
+            game.events.emit(GameEvent.BALL_BOUNCED, { ball: this });
           }
         }
       }
@@ -265,9 +336,10 @@ export class Ball extends Entity {
     let verticalCollision = false;
 
     if (this.vy > 0) {
-      // Check canvas bottom boundary
-      if (ballBottom >= CONFIG.GAME_AREA_HEIGHT) {
-        this.y = CONFIG.GAME_AREA_HEIGHT - this.height;
+      // Check level bottom boundary
+      const levelBottom = levelManager.height * CONFIG.TILE_SIZE;
+      if (ballBottom >= levelBottom) {
+        this.setPosition(this.x, levelBottom - this.height);
         // Simple reflection at boundary
         this.vy = -Math.abs(this.vy);
         verticalCollision = true;
@@ -277,26 +349,26 @@ export class Ball extends Entity {
         const checkGridX = Math.floor(ballCenterX / CONFIG.TILE_SIZE);
         if (levelManager.isSolid(checkGridX, nextGridY) || levelManager.isBlockedByAnimatingBlock(checkGridX, nextGridY)) {
           // Snap to top edge of the wall
-          this.y = nextGridY * CONFIG.TILE_SIZE - this.height - 1;
+          this.setPosition(this.x, nextGridY * CONFIG.TILE_SIZE - this.height - 1);
 
           // Calculate bounce angle based on impact position
           const ballCenterXPos = this.x + this.width / 2;
           const blockCenterX = (checkGridX * CONFIG.TILE_SIZE) + (CONFIG.TILE_SIZE / 2);
-          const newVelocity = this.calculateBounceAngle(ballCenterXPos, blockCenterX, CONFIG.TILE_SIZE, false);
+          const newVelocity = this.calculateBounceAngle(ballCenterXPos, blockCenterX, CONFIG.TILE_SIZE, false, random);
           this.vx = newVelocity.vx;
           this.vy = newVelocity.vy;
           verticalCollision = true;
 
-          // Play collision sound (only for block collisions, not canvas boundaries)
-          if (game && game.audioManager) {
-            game.audioManager.playSfx('ball-collision');
+          // Bounce on a block (not on level boundaries)
+          if (game) {
+            game.events.emit(GameEvent.BALL_BOUNCED, { ball: this });
           }
         }
       }
     } else if (this.vy < 0) {
-      // Check canvas top boundary
+      // Check level top boundary
       if (ballTop <= 0) {
-        this.y = 0;
+        this.setPosition(this.x, 0);
         // Simple reflection at boundary
         this.vy = Math.abs(this.vy);
         verticalCollision = true;
@@ -306,19 +378,19 @@ export class Ball extends Entity {
         const checkGridX = Math.floor(ballCenterX / CONFIG.TILE_SIZE);
         if (levelManager.isSolid(checkGridX, nextGridY) || levelManager.isBlockedByAnimatingBlock(checkGridX, nextGridY)) {
           // Snap to bottom edge of the wall
-          this.y = (nextGridY + 1) * CONFIG.TILE_SIZE + 1;
+          this.setPosition(this.x, (nextGridY + 1) * CONFIG.TILE_SIZE + 1);
 
           // Calculate bounce angle based on impact position
           const ballCenterXPos = this.x + this.width / 2;
           const blockCenterX = (checkGridX * CONFIG.TILE_SIZE) + (CONFIG.TILE_SIZE / 2);
-          const newVelocity = this.calculateBounceAngle(ballCenterXPos, blockCenterX, CONFIG.TILE_SIZE, false);
+          const newVelocity = this.calculateBounceAngle(ballCenterXPos, blockCenterX, CONFIG.TILE_SIZE, false, random);
           this.vx = newVelocity.vx;
           this.vy = newVelocity.vy;
           verticalCollision = true;
 
-          // Play collision sound (only for block collisions, not canvas boundaries)
-          if (game && game.audioManager) {
-            game.audioManager.playSfx('ball-collision');
+          // Bounce on a block (not on level boundaries)
+          if (game) {
+            game.events.emit(GameEvent.BALL_BOUNCED, { ball: this });
           }
         }
       }
@@ -337,11 +409,10 @@ export class Ball extends Entity {
 
     const gridX = this.getGridX();
     const gridY = this.getGridY();
-    const tile = levelManager.getTileAt(gridX, gridY);
 
     // Check if on a teleport tile
-    if (tile === TileType.TELEPORT_A || tile === TileType.TELEPORT_B) {
-      const teleportDest = levelManager.findTeleportDestination(gridX, gridY, tile);
+    if (levelManager.isTeleporter(gridX, gridY)) {
+      const teleportDest = levelManager.findTeleportDestination(gridX, gridY);
       if (teleportDest) {
         // Start teleportation animation
         this.isTeleporting = true;
@@ -349,9 +420,15 @@ export class Ball extends Entity {
         this.teleportDestination = teleportDest;
         this.teleportPhase = 0; // Start at disappearing phase
 
-        // Play teleportation sound
-        if (game && game.audioManager) {
-          game.audioManager.playSfx('teleport');
+        if (game) {
+          game.events.emit(GameEvent.TELEPORTED, {
+            entity: this,
+            fromX: gridX,
+            fromY: gridY,
+            toX: teleportDest.x,
+            toY: teleportDest.y,
+            via: 'tile',
+          });
         }
       }
     }
@@ -368,12 +445,10 @@ export class Ball extends Entity {
 
       // Destroy the ball
       this.destroy();
-      game.addScore(100);
+      game.events.emit(GameEvent.BALL_DESTROYED, { ball: this, points: 100 });
     } else {
-      // Player is defeated - start defeat animation
-      if (!player.isDefeated) {
-        player.startDefeatAnimation(game);
-      }
+      // Player is hit (the simulation starts the defeat animation)
+      game.events.emit(GameEvent.PLAYER_HIT, { player, ball: this });
     }
   }
 
@@ -386,7 +461,7 @@ export class Ball extends Entity {
     const centerY = this.getCenterY();
 
     // Particle speed
-    const speed = 3;
+    const speed = CONFIG.PARTICLE_SPEED;
 
     // Create 4 particles going in diagonal directions
     const directions = [
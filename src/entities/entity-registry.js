@@ -0,0 +1,57 @@
+import { Player } from './player.js';
+import { Ball } from './ball.js';
+import { BallParticle } from './ball-particle.js';
+import { Woodstock } from './woodstock.js';
+import { PowerUp } from './power-up.js';
+import { Portal } from './portal.js';
+import { ScorePopup } from './score-popup.js';
+
+/**
+ * Entity classes by type (entity.type and the "type" field of level data)
+ *
+ * Every class declares `static type`. Classes that can be placed in a level also declare:
+ * - static schema: JSON schema of their level data (one entry of the level "entities" array)
+ * - static validateSpawn(data, levelManager): reason not to spawn (spawn skipped with a warning), or null
+ * - static fromLevelData(data): create the entity
+ * - static canHideInBlock: true if `hidden` with blockX/blockY is supported
+ *   (hidden entities implement reveal(blockX, blockY, direction, levelManager, entityManager))
+ */
+const entityClasses = new Map();
+
+/**
+ * Register an entity class under its static type
+ */
+export function registerEntityType(EntityClass) {
+  const type = EntityClass.type;
+  if (!type) {
+    throw new Error(`Entity class ${EntityClass.name} has no static type`);
+  }
+  if (entityClasses.has(type)) {
+    throw new Error(`Entity type already registered: ${type}`);
+  }
+
+  entityClasses.set(type, EntityClass);
+}
+
+/**
+ * Get the class of an entity type (or null)
+ */
+export function getEntityClass(type) {
+  return entityClasses.get(type) || null;
+}
+
+/**
+ * Get the classes that can be placed in a level
+ */
+export function getLevelEntityClasses() {
+  return [...entityClasses.values()].filter(EntityClass => typeof EntityClass.fromLevelData === 'function');
+}
+
+// Built-in entities
+registerEntityType(Player);
+registerEntityType(Ball);
+registerEntityType(BallParticle);
+registerEntityType(Woodstock);
+registerEntityType(PowerUp);
+registerEntityType(Portal);
+registerEntityType(ScorePopup);
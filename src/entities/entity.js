@@ -4,6 +4,16 @@ import { CONFIG } from '../config.js';
  * Base entity class
  */
 export class Entity {
+  /**
+   * Collision layer (see collisions.js), null if the entity never collides
+   */
+  static collisionLayer = null;
+
+  /**
+   * Hitbox inside the entity bounds: { inset } shrinks every side, null uses the full bounds
+   */
+  static hitbox = null;
+
   constructor(x, y, width = CONFIG.TILE_SIZE, height = CONFIG.TILE_SIZE) {
     this.x = x * CONFIG.TILE_SIZE;
     this.y = y * CONFIG.TILE_SIZE;
@@ -14,6 +24,16 @@ export class Entity {
     this.isDead = false;
   }
 
+  /**
+   * Move to a position in pixels. Positions change only through here once the entity is
+   * added, so the cell index of its entity manager follows every move.
+   */
+  setPosition(x, y) {
+    this.x = x;
+    this.y = y;
+    this.entityManager?.updateCell(this);
+  }
+
   /**
    * Get grid position
    */
@@ -36,6 +56,20 @@ export class Entity {
     return this.y + this.height / 2;
   }
 
+  /**
+   * Get the collision box in pixels (from the static hitbox of the class)
+   */
+  getHitbox() {
+    const inset = this.constructor.hitbox?.inset ?? 0;
+
+    return {
+      x: this.x + inset,
+      y: this.y + inset,
+      width: this.width - inset * 2,
+      height: this.height - inset * 2,
+    };
+  }
+
   /**
    * Update entity (to be overridden)
    */
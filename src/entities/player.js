@@ -1,15 +1,27 @@
 import { Entity } from './entity.js';
 import { CONFIG } from '../config.js';
 import { TileType } from '../tiles/tile-types.js';
+import { GameEvent } from '../engine/event-bus.js';
+import { CollisionLayer } from '../engine/collisions.js';
 
 /**
  * Player entity (Snoopy)
  */
 export class Player extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'player';
+
+  /**
+   * Collision layer
+   */
+  static collisionLayer = CollisionLayer.PLAYER;
+
   constructor(x, y) {
     super(x / CONFIG.TILE_SIZE, y / CONFIG.TILE_SIZE);
 
-    this.type = 'player';
+    this.type = Player.type;
     this.speed = CONFIG.PLAYER_SPEED;
 
     // Movement
@@ -150,8 +162,10 @@ export class Player extends Entity {
       // At 50% of animation, teleport to destination and start appearing phase
       if (this.teleportPhase === 0 && this.teleportTimer >= halfDuration) {
         if (this.teleportDestination) {
-          this.x = this.teleportDestination.x * CONFIG.TILE_SIZE;
-          this.y = this.teleportDestination.y * CONFIG.TILE_SIZE;
+          this.setPosition(
+            this.teleportDestination.x * CONFIG.TILE_SIZE,
+            this.teleportDestination.y * CONFIG.TILE_SIZE
+          );
           this.targetX = this.x;
           this.targetY = this.y;
         }
@@ -195,7 +209,7 @@ export class Player extends Entity {
         this.handleInput(input, levelManager, game);
       }
     } else {
-      this.updateMovement(dt, levelManager);
+      this.updateMovement(dt, levelManager, game);
     }
 
     // Break blocks only when player is not moving and action button is held
@@ -298,8 +312,8 @@ export class Player extends Entity {
       else if (levelManager.isPushable(newGridX, newGridY)) {
         // Try to push the block in the direction we're moving
         const entityManager = game ? game.entityManager : null;
-        const audioManager = game ? game.audioManager : null;
-        if (levelManager.tryPushBlock(newGridX, newGridY, this.direction, entityManager, audioManager)) {
+        const events = game ? game.events : null;
+        if (levelManager.tryPushBlock(newGridX, newGridY, this.direction, entityManager, events)) {
           // Block was pushed successfully, player moves into the block's position
           this.startMovement(newGridX, newGridY);
         }
@@ -354,16 +368,15 @@ export class Player extends Entity {
   /**
    * Update movement towards target
    */
-  updateMovement(dt, levelManager) {
-    const moveAmount = this.speed;
+  updateMovement(dt, levelManager, game = null) {
+    const moveAmount = this.speed * dt;
     const dx = this.targetX - this.x;
     const dy = this.targetY - this.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
 
       if (distance <= moveAmount) {
       // Snap to target
-      this.x = this.targetX;
-      this.y = this.targetY;
+      this.setPosition(this.targetX, this.targetY);
       this.isMoving = false;
       this.vx = 0;
       this.vy = 0;
@@ -375,8 +388,7 @@ export class Player extends Entity {
       this.checkTeleportTile(levelManager, game);
     } else {
       // Move towards target
-      this.x += this.vx;
-      this.y += this.vy;
+      this.setPosition(this.x + this.vx * dt, this.y + this.vy * dt);
     }
   }
 
@@ -386,11 +398,10 @@ export class Player extends Entity {
   checkTeleportTile(levelManager, game = null) {
     const gridX = this.getGridX();
     const gridY = this.getGridY();
-    const tile = levelManager.getTileAt(gridX, gridY);
 
     // Check if on a teleport tile
-    if (tile === TileType.TELEPORT_A || tile === TileType.TELEPORT_B) {
-      const teleportDest = levelManager.findTeleportDestination(gridX, gridY, tile);
+    if (levelManager.isTeleporter(gridX, gridY)) {
+      const teleportDest = levelManager.findTeleportDestination(gridX, gridY);
       if (teleportDest) {
         // Start teleportation animation
         this.isTeleporting = true;
@@ -398,9 +409,15 @@ export class Player extends Entity {
         this.teleportDestination = teleportDest;
         this.teleportPhase = 0; // Start at disappearing phase
 
-        // Play teleportation sound
-        if (game && game.audioManager) {
-          game.audioManager.playSfx('teleport');
+        if (game) {
+          game.events.emit(GameEvent.TELEPORTED, {
+            entity: this,
+            fromX: gridX,
+            fromY: gridY,
+            toX: teleportDest.x,
+            toY: teleportDest.y,
+            via: 'tile',
+          });
         }
       }
     }
@@ -485,7 +502,7 @@ export class Player extends Entity {
   }
 
   /**
-   * Perform action (break blocks, etc.)
+   * Perform action (break blocks, press switches)
    */
   performAction(levelManager, game = null) {
     // Get the tile in front of the player based on direction
@@ -513,24 +530,20 @@ export class Player extends Entity {
     if (tile === 3) { // BREAKABLE
       levelManager.setTileAt(targetX, targetY, 10); // Set to BROKEN (type 10)
 
-      // Reveal power-up if there was one hidden in this block
-      const powerUp = game ? levelManager.revealPowerUpFromBlock(targetX, targetY) : null;
+      // Reveal the entities hidden in this block
+      const items = game ? levelManager.revealFromBlock(targetX, targetY) : [];
 
-      // Play appropriate block break sound
-      if (game && game.audioManager) {
-        const soundName = powerUp ? 'block-break-item' : 'block-break';
-        game.audioManager.playSfx(soundName);
+      if (game) {
+        game.events.emit(GameEvent.BLOCK_BROKEN, { x: targetX, y: targetY, items });
       }
 
-      // Reveal and animate the power-up
-      if (powerUp) {
-        powerUp.reveal(targetX, targetY, this.direction, game.levelManager, game.entityManager);
-        // Play power-up reveal sound based on type
-        if (game.audioManager) {
-          const soundName = powerUp.powerType === 'time' ? 'powerup-time' : 'powerup-god';
-          game.audioManager.playSfx(soundName);
-        }
+      // Reveal and animate them (power-ups fly out of the block)
+      for (const item of items) {
+        item.reveal(targetX, targetY, this.direction, game.levelManager, game.entityManager);
+        game.events.emit(GameEvent.ITEM_REVEALED, { item, x: targetX, y: targetY });
       }
+    } else if (tile === TileType.SWITCH) {
+      levelManager.pressSwitch(targetX, targetY, game ? game.events : null);
     }
   }
 
@@ -565,6 +578,10 @@ export class Player extends Entity {
     this.powerUpId++; // Increment ID to mark this as a new power-up instance
     this.blinkTimer = 0;
 
+    if (game) {
+      game.events.emit(GameEvent.POWERUP_APPLIED, { player: this, powerType });
+    }
+
     // Set duration based on power-up type
     const duration = powerType === 'time' ? 3.5 : 4.5; // 3.5s for time, 4.5s for others
     this.powerUpTimer = duration;
@@ -666,6 +683,10 @@ export class Player extends Entity {
     if (game && game.audioManager) {
       game.audioManager.playMusic('miss');
     }
+
+    if (game) {
+      game.events.emit(GameEvent.PLAYER_DEFEATED, { player: this });
+    }
   }
 
   /**
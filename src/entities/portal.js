@@ -1,14 +1,92 @@
 import { Entity } from './entity.js';
 import { CONFIG } from '../config.js';
+import { GameEvent } from '../engine/event-bus.js';
 
 /**
  * One-way portal entity that can be hidden in pushable blocks
  */
 export class Portal extends Entity {
+	/**
+	 * Entity type (see entity-registry.js)
+	 */
+	static type = 'portal';
+
+	/**
+	 * Level data schema
+	 */
+	static schema = {
+		type: 'object',
+		description: 'One-way portal entity (teleporter to fixed destination)',
+		required: ['type', 'x', 'y', 'destinationX', 'destinationY'],
+		properties: {
+			type: {
+				type: 'string',
+				const: 'portal',
+			},
+			x: {
+				type: 'integer',
+				description: 'X coordinate on the grid',
+				minimum: 0,
+			},
+			y: {
+				type: 'integer',
+				description: 'Y coordinate on the grid',
+				minimum: 0,
+			},
+			destinationX: {
+				type: 'integer',
+				description: 'Destination X coordinate for teleportation',
+				minimum: 0,
+			},
+			destinationY: {
+				type: 'integer',
+				description: 'Destination Y coordinate for teleportation',
+				minimum: 0,
+			},
+			hidden: {
+				type: 'boolean',
+				description: 'Whether the portal is initially hidden in a pushable block',
+				default: false,
+			},
+			blockX: {
+				type: 'integer',
+				description: 'X coordinate of the block containing this portal (if hidden)',
+				minimum: 0,
+			},
+			blockY: {
+				type: 'integer',
+				description: 'Y coordinate of the block containing this portal (if hidden)',
+				minimum: 0,
+			},
+		},
+	};
+
+	/**
+	 * Portals can be hidden in pushable blocks
+	 */
+	static canHideInBlock = true;
+
+	/**
+	 * A portal needs a destination
+	 */
+	static validateSpawn(data) {
+		if (data.destinationX === undefined || data.destinationY === undefined) {
+			return `Portal at (${data.x}, ${data.y}) has no destination`;
+		}
+		return null;
+	}
+
+	/**
+	 * Create a portal from level data
+	 */
+	static fromLevelData(data) {
+		return new Portal(data.x, data.y, data.destinationX, data.destinationY, data.hidden || false);
+	}
+
 	constructor(gridX, gridY, destinationX, destinationY, hidden = false) {
 		super(gridX, gridY, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
 
-		this.type = 'portal';
+		this.type = Portal.type;
 		this.destinationX = destinationX;
 		this.destinationY = destinationY;
 
@@ -99,10 +177,14 @@ export class Portal extends Entity {
 			// Activate global cooldown
 			this.globalCooldown = this.globalCooldownDuration;
 
-			// Play teleportation sound
-			if (game.audioManager) {
-				game.audioManager.playSfx('teleport');
-			}
+			game.events.emit(GameEvent.TELEPORTED, {
+				entity: player,
+				fromX: portalGridX,
+				fromY: portalGridY,
+				toX: this.destinationX,
+				toY: this.destinationY,
+				via: 'portal',
+			});
 		}
 	}
 
@@ -143,10 +225,14 @@ export class Portal extends Entity {
 			// Activate global cooldown
 			this.globalCooldown = this.globalCooldownDuration;
 
-			// Play teleportation sound
-			if (game.audioManager) {
-				game.audioManager.playSfx('teleport');
-			}
+			game.events.emit(GameEvent.TELEPORTED, {
+				entity: ball,
+				fromX: portalGridX,
+				fromY: portalGridY,
+				toX: this.destinationX,
+				toY: this.destinationY,
+				via: 'portal',
+			});
 		}
 	}
 
@@ -1,14 +1,112 @@
 import { Entity } from './entity.js';
 import { CONFIG } from '../config.js';
+import { CollisionLayer } from '../engine/collisions.js';
 
 /**
  * Power-up collectible
  */
 export class PowerUp extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'powerup';
+
+  /**
+   * Collision layer
+   */
+  static collisionLayer = CollisionLayer.PICKUP;
+
+  /**
+   * Smaller hitbox (centered)
+   */
+  static hitbox = { inset: 3 };
+
+  /**
+   * Level data schema
+   */
+  static schema = {
+    type: 'object',
+    description: 'Power-up entity (collectible)',
+    required: ['type', 'x', 'y', 'powerType'],
+    properties: {
+      type: {
+        type: 'string',
+        const: 'powerup',
+      },
+      x: {
+        type: 'integer',
+        description: 'X coordinate on the grid',
+        minimum: 0,
+      },
+      y: {
+        type: 'integer',
+        description: 'Y coordinate on the grid',
+        minimum: 0,
+      },
+      powerType: {
+        type: 'string',
+        description: 'Type of power-up',
+        enum: [
+          'invincible',
+          'time',
+          'speed',
+        ],
+      },
+      hidden: {
+        type: 'boolean',
+        description: 'Whether the power-up is initially hidden',
+        default: false,
+      },
+      blockX: {
+        type: 'integer',
+        description: 'X coordinate of the block containing this power-up (if hidden)',
+        minimum: 0,
+      },
+      blockY: {
+        type: 'integer',
+        description: 'Y coordinate of the block containing this power-up (if hidden)',
+        minimum: 0,
+      },
+      targets: {
+        type: 'object',
+        description: 'Custom landing position for each reveal direction (if hidden)',
+        additionalProperties: false,
+        patternProperties: {
+          '^(up|down|left|right)$': {
+            type: 'object',
+            required: ['x', 'y'],
+            properties: {
+              x: {
+                type: 'integer',
+                minimum: 0,
+              },
+              y: {
+                type: 'integer',
+                minimum: 0,
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  /**
+   * Power-ups can be hidden in breakable and pushable blocks
+   */
+  static canHideInBlock = true;
+
+  /**
+   * Create a power-up from level data
+   */
+  static fromLevelData(data) {
+    return new PowerUp(data.x, data.y, data.powerType || 'speed', data.hidden || false, data.targets || null);
+  }
+
   constructor(gridX, gridY, powerType = 'speed', hidden = false, customTargets = null) {
     super(gridX, gridY, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
 
-    this.type = 'powerup';
+    this.type = PowerUp.type;
     this.powerType = powerType; // 'speed', 'invincible', or 'time'
 
     // Hidden state (power-up inside a block)
@@ -109,14 +207,12 @@ export class PowerUp extends Entity {
         if (progress < horizontalPhaseEnd) {
           // Phase 1: Horizontal movement only
           const horizontalProgress = horizontalPhaseEnd > 0 ? progress / horizontalPhaseEnd : 0;
-          this.x = this.startX + deltaX * horizontalProgress;
-          this.y = this.startY; // Stay at start Y
+          this.setPosition(this.startX + deltaX * horizontalProgress, this.startY); // Stay at start Y
         } else {
           // Phase 2: Vertical movement only (horizontal is complete)
           const verticalPhaseLength = 1 - horizontalPhaseEnd;
           const verticalProgress = verticalPhaseLength > 0 ? (progress - horizontalPhaseEnd) / verticalPhaseLength : 1;
-          this.x = this.targetX; // Already at target X
-          this.y = this.startY + deltaY * verticalProgress;
+          this.setPosition(this.targetX, this.startY + deltaY * verticalProgress); // Already at target X
         }
       } else {
         // Y axis is shorter (or equal): move vertically first, then horizontally
@@ -125,22 +221,19 @@ export class PowerUp extends Entity {
         if (progress < verticalPhaseEnd) {
           // Phase 1: Vertical movement only
           const verticalProgress = verticalPhaseEnd > 0 ? progress / verticalPhaseEnd : 0;
-          this.x = this.startX; // Stay at start X
-          this.y = this.startY + deltaY * verticalProgress;
+          this.setPosition(this.startX, this.startY + deltaY * verticalProgress); // Stay at start X
         } else {
           // Phase 2: Horizontal movement only (vertical is complete)
           const horizontalPhaseLength = 1 - verticalPhaseEnd;
           const horizontalProgress = horizontalPhaseLength > 0 ? (progress - verticalPhaseEnd) / horizontalPhaseLength : 1;
-          this.x = this.startX + deltaX * horizontalProgress;
-          this.y = this.targetY; // Already at target Y
+          this.setPosition(this.startX + deltaX * horizontalProgress, this.targetY); // Already at target Y
         }
       }
 
       // End reveal animation
       if (progress >= 1) {
         this.isRevealing = false;
-        this.x = this.targetX;
-        this.y = this.targetY;
+        this.setPosition(this.targetX, this.targetY);
       }
     }
   }
@@ -173,9 +266,11 @@ export class PowerUp extends Entity {
       targetGridX = blockGridX + (dir.dx * 3);
       targetGridY = blockGridY + (dir.dy * 3);
 
-      // Clamp to grid bounds
-      targetGridX = Math.max(0, Math.min(targetGridX, CONFIG.GRID_WIDTH - 1));
-      targetGridY = Math.max(0, Math.min(targetGridY, CONFIG.GRID_HEIGHT - 1));
+      // Clamp to level bounds
+      const levelWidth = levelManager?.width ?? CONFIG.GRID_WIDTH;
+      const levelHeight = levelManager?.height ?? CONFIG.GRID_HEIGHT;
+      targetGridX = Math.max(0, Math.min(targetGridX, levelWidth - 1));
+      targetGridY = Math.max(0, Math.min(targetGridY, levelHeight - 1));
 
       // Check if target position is eligible (non-solid, no entity)
       if (levelManager && entityManager) {
@@ -202,8 +297,7 @@ export class PowerUp extends Entity {
     this.startY = blockGridY * CONFIG.TILE_SIZE;
     this.targetX = targetGridX * CONFIG.TILE_SIZE;
     this.targetY = targetGridY * CONFIG.TILE_SIZE;
-    this.x = this.startX;
-    this.y = this.startY;
+    this.setPosition(this.startX, this.startY);
 
     // Calculate duration based on distance (Manhattan distance in tiles)
     const tilesX = Math.abs(targetGridX - blockGridX);
@@ -231,21 +325,9 @@ export class PowerUp extends Entity {
     }
 
     // Check if any entity is blocking this position
-    const entities = [
-      ...entityManager.getByType('ball'),
-      ...entityManager.getByType('woodstock'),
-      ...entityManager.getByType('powerup'),
-    ];
-
-    for (const entity of entities) {
-      const entityGridX = Math.floor(entity.x / CONFIG.TILE_SIZE);
-      const entityGridY = Math.floor(entity.y / CONFIG.TILE_SIZE);
-      if (entityGridX === gridX && entityGridY === gridY) {
-        return false;
-      }
-    }
-
-    return true;
+    return !entityManager.hasAt(gridX, gridY, 'ball') &&
+           !entityManager.hasAt(gridX, gridY, 'woodstock') &&
+           !entityManager.hasAt(gridX, gridY, 'powerup');
   }
 
   /**
@@ -265,7 +347,7 @@ export class PowerUp extends Entity {
       const adjY = gridY + offset.dy;
 
       // Check bounds
-      if (adjX < 0 || adjX >= CONFIG.GRID_WIDTH || adjY < 0 || adjY >= CONFIG.GRID_HEIGHT) {
+      if (!levelManager.isInBounds(adjX, adjY)) {
         continue;
       }
 
@@ -5,10 +5,15 @@ import { CONFIG } from '../config.js';
  * Score popup animation (e.g., "1000pts" when collecting Woodstock)
  */
 export class ScorePopup extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'score-popup';
+
   constructor(gridX, gridY, points = 1000) {
     super(gridX, gridY, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
 
-    this.type = 'score-popup';
+    this.type = ScorePopup.type;
     this.points = points;
 
     // Animation properties
@@ -26,7 +31,7 @@ export class ScorePopup extends Entity {
     this.timer += dt;
 
     // Move up
-    this.y = this.startY - (this.moveSpeed * this.timer);
+    this.setPosition(this.x, this.startY - (this.moveSpeed * this.timer));
 
     // Destroy when animation is complete
     if (this.timer >= this.duration) {
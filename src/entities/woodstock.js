@@ -1,15 +1,89 @@
 import { Entity } from './entity.js';
 import { CONFIG } from '../config.js';
 import { ScorePopup } from './score-popup.js';
+import { TileType } from '../tiles/tile-types.js';
+import { GameEvent } from '../engine/event-bus.js';
+import { CollisionLayer } from '../engine/collisions.js';
 
 /**
  * Woodstock collectible
  */
 export class Woodstock extends Entity {
+  /**
+   * Entity type (see entity-registry.js)
+   */
+  static type = 'woodstock';
+
+  /**
+   * Collision layer
+   */
+  static collisionLayer = CollisionLayer.PICKUP;
+
+  /**
+   * Smaller hitbox (centered)
+   */
+  static hitbox = { inset: 3 };
+
+  /**
+   * Level data schema
+   */
+  static schema = {
+    type: 'object',
+    description: 'Woodstock entity (goal bird)',
+    required: ['type', 'x', 'y'],
+    properties: {
+      type: {
+        type: 'string',
+        const: 'woodstock',
+      },
+      x: {
+        type: 'integer',
+        description: 'X coordinate on the grid',
+        minimum: 0,
+      },
+      y: {
+        type: 'integer',
+        description: 'Y coordinate on the grid',
+        minimum: 0,
+      },
+    },
+  };
+
+  /**
+   * Woodstock must not be placed on a solid block
+   */
+  static validateSpawn(data, levelManager) {
+    if (!levelManager) return null;
+
+    const tile = levelManager.getTileAt(data.x, data.y);
+    if (tile !== TileType.EMPTY &&
+        tile !== TileType.ARROW_UP &&
+        tile !== TileType.ARROW_DOWN &&
+        tile !== TileType.ARROW_LEFT &&
+        tile !== TileType.ARROW_RIGHT &&
+        tile !== TileType.TELEPORT_A &&
+        tile !== TileType.TELEPORT_B &&
+        tile !== TileType.TELEPORT &&
+        tile !== TileType.TOGGLE_BLOCK &&
+        tile !== TileType.PRESSURE_PLATE &&
+        tile !== TileType.GATE) {
+      return `Woodstock at (${data.x}, ${data.y}) is on a blocking tile (type ${tile})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a Woodstock from level data
+   */
+  static fromLevelData(data) {
+    return new Woodstock(data.x, data.y);
+  }
+
   constructor(gridX, gridY) {
     super(gridX, gridY, CONFIG.TILE_SIZE, CONFIG.TILE_SIZE);
 
-    this.type = 'woodstock';
+    this.type = Woodstock.type;
     this.gridX = gridX;
     this.gridY = gridY;
   }
@@ -26,12 +100,12 @@ export class Woodstock extends Entity {
    */
   onCollideWithPlayer(player, game) {
     // Player collects Woodstock - 1000 points
-    game.addScore(1000);
-
-    // Play collection sound
-    if (game.audioManager) {
-      game.audioManager.playSfx('woodstock-collect');
-    }
+    game.events.emit(GameEvent.WOODSTOCK_COLLECTED, {
+      woodstock: this,
+      x: this.gridX,
+      y: this.gridY,
+      points: 1000,
+    });
 
     // Create score popup animation
     const scorePopup = new ScorePopup(this.gridX, this.gridY, 1000);
@@ -6,8 +6,8 @@ export const TileType = {
   WALL: 1,
   PUSHABLE: 2, // Deprecated - use directional pushable instead
   BREAKABLE: 3,
-  TELEPORT_A: 4,
-  TELEPORT_B: 5,
+  TELEPORT_A: 4, // Téléporteur du canal 1
+  TELEPORT_B: 5, // Téléporteur du canal 2
   ARROW_UP: 6,
   ARROW_RIGHT: 7,
   ARROW_DOWN: 8,
@@ -18,4 +18,33 @@ export const TileType = {
   PUSHABLE_LEFT: 13,
   PUSHABLE_RIGHT: 14,
   TOGGLE_BLOCK: 15, // Bloc qui alterne entre traversable et non-traversable
+  PRESSURE_PLATE: 16, // Plaque enfoncée par Snoopy, une boule ou un bloc poussé
+  SWITCH: 17, // Interrupteur à usage unique (bouton d'action)
+  GATE: 18, // Porte ouverte ou fermée par ses déclencheurs
+  TELEPORT: 19, // Téléporteur dont le canal est déclaré dans "teleporters"
+};
+
+/**
+ * Tile types by their character in the level "tiles" rows
+ */
+export const TILE_CHARS = {
+  '0': TileType.EMPTY,
+  '1': TileType.WALL,
+  '2': TileType.PUSHABLE,
+  '3': TileType.BREAKABLE,
+  '4': TileType.TELEPORT_A,
+  '5': TileType.TELEPORT_B,
+  '6': TileType.ARROW_UP,
+  '7': TileType.ARROW_RIGHT,
+  '8': TileType.ARROW_DOWN,
+  '9': TileType.ARROW_LEFT,
+  'A': TileType.PUSHABLE_UP,
+  'B': TileType.PUSHABLE_DOWN,
+  'C': TileType.PUSHABLE_LEFT,
+  'D': TileType.PUSHABLE_RIGHT,
+  'E': TileType.TOGGLE_BLOCK,
+  'F': TileType.PRESSURE_PLATE,
+  'I': TileType.SWITCH,
+  'U': TileType.GATE,
+  'R': TileType.TELEPORT,
 };
@@ -1,4 +1,7 @@
 import { CONFIG } from '../config.js';
+import { createBlankLevel } from '../engine/level-editor.js';
+import { getLevelCodeUrl } from '../engine/level-code.js';
+import { LevelGenerationError, MAX_DIFFICULTY } from '../engine/level-generator.js';
 
 /**
  * Developer console for executing commands in dev mode
@@ -21,6 +24,15 @@ export class DevConsole {
       time: this.cmdTime.bind(this),
       lives: this.cmdLives.bind(this),
       score: this.cmdScore.bind(this),
+      seed: this.cmdSeed.bind(this),
+      speed: this.cmdSpeed.bind(this),
+      record: this.cmdRecord.bind(this),
+      replay: this.cmdReplay.bind(this),
+      save: this.cmdSave.bind(this),
+      load: this.cmdLoad.bind(this),
+      edit: this.cmdEdit.bind(this),
+      code: this.cmdCode.bind(this),
+      generate: this.cmdGenerate.bind(this),
       gamepad: this.cmdGamepad.bind(this),
       help: this.cmdHelp.bind(this),
       clear: this.cmdClear.bind(this),
@@ -43,6 +55,9 @@ export class DevConsole {
   handleInput(event) {
     if (!this.isOpen) return false;
 
+    // Let Ctrl/Cmd+V through: pasted text arrives with the paste event (handlePaste)
+    if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'v') return false;
+
     // Prevent default to avoid game input
     event.preventDefault();
 
@@ -69,6 +84,13 @@ export class DevConsole {
     return false;
   }
 
+  /**
+   * Add pasted text to the command line (a level code for /code...)
+   */
+  handlePaste(text) {
+    this.input += text.replace(/\s+/g, ' ').trim();
+  }
+
   /**
    * Navigate command history
    */
@@ -265,6 +287,210 @@ export class DevConsole {
     this.addOutput(`Score set to ${score}`, '#8bac0f');
   }
 
+  /**
+   * Command: /seed <number>
+   */
+  cmdSeed(args) {
+    if (args.length === 0) {
+      this.addOutput(`Current seed: ${this.game.state.seed}`, '#8bac0f');
+      return;
+    }
+
+    const seed = parseInt(args[0]);
+    if (isNaN(seed) || seed < 0) {
+      this.addOutput('Invalid seed', '#ff6b6b');
+      return;
+    }
+
+    // Replay the current level with this seed
+    this.game.loadDevLevel(this.game.state.level, seed);
+    this.addOutput(`Restarting level ${this.game.state.level} with seed ${seed}...`, '#8bac0f');
+    this.toggle();
+  }
+
+  /**
+   * Command: /speed <scale>
+   */
+  cmdSpeed(args) {
+    if (args.length === 0) {
+      this.addOutput(`Game speed: x${this.game.simulation.timeScale}`, '#8bac0f');
+      return;
+    }
+
+    const scale = parseFloat(args[0]);
+    if (isNaN(scale) || scale <= 0 || scale > 4) {
+      this.addOutput('Invalid speed (0 < speed <= 4)', '#ff6b6b');
+      return;
+    }
+
+    this.game.simulation.timeScale = scale;
+    this.addOutput(`Game speed set to x${scale}`, '#8bac0f');
+  }
+
+  /**
+   * Command: /record
+   * Print the last recorded attempt as JSON in the browser console
+   */
+  cmdRecord(args) {
+    const recording = this.game.simulation.lastRecording;
+    if (!recording) {
+      this.addOutput('No finished attempt recorded yet', '#ff6b6b');
+      return;
+    }
+
+    console.log(JSON.stringify(recording));
+    this.addOutput(`Level ${recording.level}, seed ${recording.seed}, ${recording.ticks} ticks`, '#8bac0f');
+    this.addOutput('Recording JSON logged to the browser console', '#8bac0f');
+  }
+
+  /**
+   * Command: /replay
+   * Replay the last recorded attempt
+   */
+  cmdReplay(args) {
+    const recording = this.game.simulation.lastRecording;
+    if (!recording) {
+      this.addOutput('No finished attempt recorded yet', '#ff6b6b');
+      return;
+    }
+
+    this.game.playRecording(recording);
+    this.addOutput(`Replaying level ${recording.level} (seed ${recording.seed})...`, '#8bac0f');
+    this.toggle();
+  }
+
+  /**
+   * Command: /save [slot]
+   */
+  cmdSave(args) {
+    const slot = args[0] || '1';
+
+    if (!this.game.saveSnapshot(slot)) {
+      this.addOutput('Nothing to save (start a level first)', '#ff6b6b');
+      return;
+    }
+
+    this.addOutput(`Game saved in slot ${slot}`, '#8bac0f');
+  }
+
+  /**
+   * Command: /load [slot]
+   */
+  cmdLoad(args) {
+    const slot = args[0] || '1';
+
+    try {
+      if (!this.game.loadSnapshot(slot)) {
+        this.addOutput(`Slot ${slot} is empty`, '#ff6b6b');
+        return;
+      }
+    } catch (error) {
+      this.addOutput(`Cannot load slot ${slot}: ${error.message}`, '#ff6b6b');
+      return;
+    }
+
+    this.addOutput(`Game loaded from slot ${slot}`, '#8bac0f');
+    this.toggle();
+  }
+
+  /**
+   * Command: /edit [n | new [width height]]
+   * Open the level editor on level n, on a new level, or on the level being played
+   */
+  async cmdEdit(args) {
+    const game = this.game;
+    let level = null;
+
+    if (args[0] === 'new') {
+      const width = parseInt(args[1]) || CONFIG.GRID_WIDTH;
+      const height = parseInt(args[2]) || CONFIG.GRID_HEIGHT;
+      if (width < 1 || height < 1) {
+        this.addOutput('Invalid level size', '#ff6b6b');
+        return;
+      }
+      level = createBlankLevel(width, height);
+    } else if (args.length > 0) {
+      const levelNumber = parseInt(args[0]);
+      if (isNaN(levelNumber) || levelNumber < 0) {
+        this.addOutput('Invalid level number', '#ff6b6b');
+        return;
+      }
+      try {
+        level = await game.levelManager.readLevel(levelNumber);
+      } catch (error) {
+        this.addOutput(`Cannot read level ${levelNumber}: ${error.message}`, '#ff6b6b');
+        return;
+      }
+    } else if (game.levelManager.currentLevel && !game.isPlaytesting) {
+      level = game.levelManager.currentLevel;
+    }
+
+    game.openEditor(level);
+    this.addOutput(level ? `Editing ${level.name}` : 'Back to the editor', '#8bac0f');
+    this.toggle();
+  }
+
+  /**
+   * Command: /code [code]
+   * Print the share code of the current level, or play the level of a code (paste it with Ctrl+V)
+   */
+  async cmdCode(args) {
+    const game = this.game;
+
+    if (args.length > 0) {
+      const errors = await game.playLevelCode(args.join(' '));
+      if (errors.length > 0) {
+        this.addOutput(`Cannot play this code: ${errors[0].message}`, '#ff6b6b');
+        return;
+      }
+      this.addOutput(`Playing ${game.levelManager.currentLevel.name}`, '#8bac0f');
+      this.toggle();
+      return;
+    }
+
+    const code = await game.getLevelCode();
+    if (!code) {
+      this.addOutput('No level loaded', '#ff6b6b');
+      return;
+    }
+
+    const url = getLevelCodeUrl(code, window.location.href);
+    console.log(`Level code: ${code}\nLink: ${url}`);
+    navigator.clipboard?.writeText(url).catch(() => {});
+    this.addOutput(`Code of ${game.levelManager.currentLevel.name} (${code.length} chars)`, '#8bac0f');
+    this.addOutput('Link copied, code logged to the browser console', '#8bac0f');
+  }
+
+  /**
+   * Command: /generate [difficulty] [seed]
+   * Play a generated level (clearing it generates the next one, one difficulty up)
+   */
+  async cmdGenerate(args) {
+    const difficulty = args.length > 0 ? parseInt(args[0]) : 1;
+    if (isNaN(difficulty) || difficulty < 1 || difficulty > MAX_DIFFICULTY) {
+      this.addOutput(`Invalid difficulty (1-${MAX_DIFFICULTY})`, '#ff6b6b');
+      return;
+    }
+
+    const seed = args.length > 1 ? parseInt(args[1]) : undefined;
+    if (Number.isNaN(seed) || seed < 0) {
+      this.addOutput('Invalid seed', '#ff6b6b');
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.game.playGeneratedLevel({ difficulty, seed });
+    } catch (error) {
+      if (!(error instanceof LevelGenerationError)) throw error;
+      this.addOutput(`Cannot generate a level: ${error.message}`, '#ff6b6b');
+      return;
+    }
+
+    this.addOutput(`Playing seed ${result.seed} (difficulty ${difficulty}, par ${result.moves})`, '#8bac0f');
+    this.toggle();
+  }
+
   /**
    * Command: /gamepad
    */
@@ -326,6 +552,15 @@ export class DevConsole {
     this.addOutput('/time <on|off>  - Toggle timer', '#8bac0f');
     this.addOutput('/lives <n>      - Set lives', '#8bac0f');
     this.addOutput('/score <n>      - Set score', '#8bac0f');
+    this.addOutput('/seed <n>       - Restart level with seed n', '#8bac0f');
+    this.addOutput('/speed <x>      - Set game speed (0.5 = slow motion)', '#8bac0f');
+    this.addOutput('/record         - Log last attempt recording', '#8bac0f');
+    this.addOutput('/replay         - Replay last attempt', '#8bac0f');
+    this.addOutput('/save [slot]    - Save game state', '#8bac0f');
+    this.addOutput('/load [slot]    - Restore saved game state', '#8bac0f');
+    this.addOutput('/edit [n|new]   - Open the level editor', '#8bac0f');
+    this.addOutput('/code [code]    - Share or play a level code', '#8bac0f');
+    this.addOutput('/generate [d] [seed] - Play a generated level', '#8bac0f');
     this.addOutput('/gamepad        - Show gamepad info', '#8bac0f');
     this.addOutput('/clear          - Clear output', '#8bac0f');
     this.addOutput('/help           - Show this help', '#8bac0f');
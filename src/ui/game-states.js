@@ -4,7 +4,6 @@
 export const GameState = {
   MENU: 'menu',
   PLAYING: 'playing',
-  PAUSED: 'paused',
   GAME_OVER: 'game_over',
   VICTORY: 'victory',
   LEVEL_COMPLETE: 'level_complete',
@@ -0,0 +1,119 @@
+/**
+ * Stack of scenes. Screens register once by name, so adding a screen
+ * does not require editing a central switch.
+ */
+export class SceneManager {
+  constructor(game) {
+    this.game = game;
+    this.sceneClasses = new Map(); // Scene classes, keyed by name
+    this.stack = [];
+  }
+
+  /**
+   * Register a scene class under a name
+   */
+  register(name, SceneClass) {
+    this.sceneClasses.set(name, SceneClass);
+  }
+
+  /**
+   * Scene on top of the stack (or null)
+   */
+  get top() {
+    return this.stack.length > 0 ? this.stack[this.stack.length - 1] : null;
+  }
+
+  /**
+   * Check if a scene is on the stack
+   */
+  has(name) {
+    return this.stack.some(scene => scene.name === name);
+  }
+
+  /**
+   * Push a scene over the current one
+   */
+  push(name, data = {}) {
+    const SceneClass = this.sceneClasses.get(name);
+    if (!SceneClass) {
+      throw new Error(`Unknown scene: ${name}`);
+    }
+
+    if (this.top) {
+      this.top.pause();
+    }
+
+    const scene = new SceneClass(this.game);
+    scene.name = name;
+    this.stack.push(scene);
+    scene.enter(data);
+    return scene;
+  }
+
+  /**
+   * Remove the top scene and resume the one below
+   */
+  pop() {
+    const scene = this.stack.pop();
+    if (!scene) return;
+
+    scene.exit();
+
+    if (this.top) {
+      this.top.resume();
+    }
+  }
+
+  /**
+   * Replace the top scene
+   */
+  replace(name, data = {}) {
+    const scene = this.stack.pop();
+    if (scene) {
+      scene.exit();
+    }
+    return this.push(name, data);
+  }
+
+  /**
+   * Clear the stack and start a scene
+   */
+  switchTo(name, data = {}) {
+    while (this.stack.length > 0) {
+      this.stack.pop().exit();
+    }
+    return this.push(name, data);
+  }
+
+  /**
+   * Forward input to the top scene
+   */
+  handleInput(input) {
+    if (this.top) {
+      this.top.handleInput(input);
+    }
+  }
+
+  /**
+   * Fixed-step update of the top scene
+   */
+  update(dt) {
+    if (this.top) {
+      this.top.update(dt);
+    }
+  }
+
+  /**
+   * Draw the top scene and the scenes visible below its overlays
+   */
+  render() {
+    let first = this.stack.length - 1;
+    while (first > 0 && this.stack[first].isOverlay) {
+      first--;
+    }
+
+    for (let i = Math.max(first, 0); i < this.stack.length; i++) {
+      this.stack[i].render();
+    }
+  }
+}
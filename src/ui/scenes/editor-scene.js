@@ -0,0 +1,501 @@
+import { CONFIG } from '../../config.js';
+import { Camera } from '../../engine/camera.js';
+import { LevelManager } from '../../engine/level-manager.js';
+import { EditorTool, EDITOR_PALETTE } from '../../engine/level-editor.js';
+import { encodeLevelCode, getLevelCodeUrl } from '../../engine/level-code.js';
+import { getEntityClass } from '../../entities/entity-registry.js';
+import { Player } from '../../entities/player.js';
+import { Scene } from './scene.js';
+
+/**
+ * Shortcut keys of the non-tile tools (tiles are selected with their level character: 0-9, A-F, I, R, U)
+ */
+const TOOL_KEYS = {
+  w: EditorTool.WOODSTOCK,
+  o: EditorTool.BALL,
+  p: EditorTool.POWERUP,
+  g: EditorTool.PORTAL,
+  k: EditorTool.TARGET,
+  v: EditorTool.LINK,
+  s: EditorTool.START,
+  x: EditorTool.ERASE,
+};
+
+const HELP_LINES = [
+  'ARROWS     MOVE CURSOR',
+  'SHIFT+ARR. RESIZE LEVEL',
+  'SPACE      USE TOOL (OR CLICK)',
+  '[ ]        PREVIOUS/NEXT TOOL',
+  '0-9 A-F I R U TILE (R ON R: CHANNEL)',
+  'W O P      WOODSTOCK BALL POWER-UP',
+  'G K        PORTAL, POWER-UP TARGET',
+  'V          LINK (PLATE->GATES, R->R)',
+  'S X        START, ERASE',
+  'M N        MUSIC, CLEAR MUSIC',
+  'J          EXPORT JSON',
+  'L          COPY SHARE LINK (CTRL+V: OPEN)',
+  'T          PLAYTEST (T AGAIN: BACK)',
+  'ESC        MENU',
+];
+
+/**
+ * Level editor: paints the level of game.levelEditor with the keyboard or the mouse,
+ * exports it as JSON and playtests it
+ */
+export class EditorScene extends Scene {
+  constructor(game) {
+    super(game);
+
+    this.cursor = { x: 0, y: 0 };
+    this.paletteIndex = 1; // Wall
+    this.camera = new Camera();
+    this.showHelp = false;
+
+    // Status line message
+    this.message = '';
+    this.messageTimer = 0;
+    this.messageDuration = 3;
+
+    // Rendering of the edited level (tiles through a LevelManager, entities through their classes)
+    this.preview = new LevelManager();
+    this.previewEntities = [];
+    this.previewPlayer = null;
+    this.errors = [];
+
+    // Last cell painted by a mouse drag
+    this.dragCell = null;
+
+    this.onKeyDown = (event) => this.handleKey(event);
+    this.onPointerDown = (event) => this.handlePointer(event, true);
+    this.onPointerMove = (event) => this.handlePointer(event, false);
+  }
+
+  get editor() {
+    return this.game.levelEditor;
+  }
+
+  get tool() {
+    return EDITOR_PALETTE[this.paletteIndex];
+  }
+
+  enter() {
+    window.addEventListener('keydown', this.onKeyDown);
+    this.ignoreHeldKeys();
+    this.game.canvas.addEventListener('pointerdown', this.onPointerDown);
+    this.game.canvas.addEventListener('pointermove', this.onPointerMove);
+
+    this.cursor = { ...this.editor.startPosition };
+    this.refresh();
+    this.camera.snap(...this.getCameraFocus());
+    this.showMessage('H: HELP');
+  }
+
+  exit() {
+    window.removeEventListener('keydown', this.onKeyDown);
+    this.game.canvas.removeEventListener('pointerdown', this.onPointerDown);
+    this.game.canvas.removeEventListener('pointermove', this.onPointerMove);
+  }
+
+  /**
+   * Editor keys (key events rather than the game input, to get every letter and key repeat)
+   */
+  handleKey(event) {
+    if (this.game.devConsole?.isOpen || event.metaKey || event.ctrlKey || this.isHeldKeyRepeat(event)) return;
+
+    const key = event.key;
+    const lower = key.toLowerCase();
+    const directions = {
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+    };
+
+    if (directions[key]) {
+      const [dx, dy] = directions[key];
+      if (event.shiftKey) {
+        this.editor.resize(this.editor.width + dx, this.editor.height + dy);
+        this.showMessage(`SIZE ${this.editor.width}x${this.editor.height}`);
+        this.moveCursor(0, 0);
+        this.refresh();
+      } else {
+        this.moveCursor(dx, dy);
+      }
+    } else if (key === ' ' || key === 'Enter') {
+      this.useTool(this.cursor.x, this.cursor.y);
+    } else if (key === '[' || key === ']') {
+      const step = key === ']' ? 1 : -1;
+      this.selectTool((this.paletteIndex + step + EDITOR_PALETTE.length) % EDITOR_PALETTE.length);
+    } else if (EDITOR_PALETTE.some(entry => entry.char === key.toUpperCase())) {
+      this.selectTool(EDITOR_PALETTE.findIndex(entry => entry.char === key.toUpperCase()));
+    } else if (TOOL_KEYS[lower]) {
+      this.selectTool(EDITOR_PALETTE.findIndex(entry => entry.tool === TOOL_KEYS[lower]));
+    } else if (lower === 'm' || lower === 'n') {
+      const field = lower === 'm' ? 'music' : 'clearMusic';
+      this.showMessage(`${field === 'music' ? 'MUSIC' : 'CLEAR'}: ${this.editor.cycleMusic(field, event.shiftKey ? -1 : 1)}`);
+    } else if (lower === 'j') {
+      this.exportLevel();
+    } else if (lower === 'l') {
+      this.shareLevel();
+    } else if (lower === 't' && !event.repeat) {
+      this.playtest();
+    } else if (lower === 'h') {
+      this.showHelp = !this.showHelp;
+    } else if (key === 'Escape') {
+      this.game.scenes.switchTo('menu');
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Mouse/touch: move the cursor to the cell under the pointer and use the tool.
+   * Dragging paints tiles (and erases) on every cell crossed.
+   */
+  handlePointer(event, isDown) {
+    if (this.game.devConsole?.isOpen) return;
+    if (!isDown && !(event.buttons & 1)) {
+      this.dragCell = null;
+      return;
+    }
+
+    const cell = this.getPointerCell(event);
+    if (!cell || !this.editor.isInBounds(cell.x, cell.y)) return;
+
+    this.cursor = cell;
+    if (isDown) {
+      this.dragCell = cell;
+      this.useTool(cell.x, cell.y);
+    } else if (this.isPaintTool() && (cell.x !== this.dragCell?.x || cell.y !== this.dragCell?.y)) {
+      this.dragCell = cell;
+      this.useTool(cell.x, cell.y);
+    }
+  }
+
+  /**
+   * Grid cell under the pointer (the canvas may be scaled by CSS)
+   */
+  getPointerCell(event) {
+    const canvas = this.game.canvas;
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return null;
+
+    const canvasX = (event.clientX - rect.left) * canvas.width / rect.width;
+    const canvasY = (event.clientY - rect.top) * canvas.height / rect.height;
+    const levelX = canvasX - CONFIG.TIMER_BORDER + Math.round(this.camera.x);
+    const levelY = canvasY - CONFIG.TIMER_BORDER + Math.round(this.camera.y);
+
+    return {
+      x: Math.floor(levelX / CONFIG.TILE_SIZE),
+      y: Math.floor(levelY / CONFIG.TILE_SIZE),
+    };
+  }
+
+  /**
+   * Tools that can be dragged over several cells
+   */
+  isPaintTool() {
+    return this.tool.tool === EditorTool.TILE || this.tool.tool === EditorTool.ERASE;
+  }
+
+  moveCursor(dx, dy) {
+    this.cursor = {
+      x: Math.max(0, Math.min(this.cursor.x + dx, this.editor.width - 1)),
+      y: Math.max(0, Math.min(this.cursor.y + dy, this.editor.height - 1)),
+    };
+  }
+
+  selectTool(index) {
+    this.paletteIndex = index;
+
+    // Leaving a two-step tool cancels it
+    this.editor.pendingPortal = null;
+    this.editor.selectedPowerUp = null;
+    this.editor.selectedTrigger = null;
+    this.editor.selectedTeleporter = null;
+
+    this.showMessage(this.tool.label.toUpperCase());
+  }
+
+  useTool(x, y) {
+    const message = this.editor.apply(this.tool, x, y);
+    if (message) {
+      this.showMessage(message.toUpperCase());
+    }
+    this.refresh();
+  }
+
+  /**
+   * Log the level JSON and copy it to the clipboard (only if it is valid)
+   */
+  exportLevel() {
+    const json = this.editor.exportJSON();
+    if (!json) {
+      this.reportErrors('CANNOT EXPORT');
+      return;
+    }
+
+    console.log(json);
+    navigator.clipboard?.writeText(json).catch(() => {});
+    this.showMessage('JSON COPIED (AND IN CONSOLE)');
+  }
+
+  /**
+   * Copy a link to the level (share code in the URL fragment)
+   */
+  async shareLevel() {
+    if (this.errors.length > 0) {
+      this.reportErrors('CANNOT SHARE');
+      return;
+    }
+
+    const code = await encodeLevelCode(this.editor.toLevelData());
+    const url = getLevelCodeUrl(code, window.location.href);
+    console.log(`Level code: ${code}\nLink: ${url}`);
+    navigator.clipboard?.writeText(url).catch(() => {});
+    this.showMessage(`LINK COPIED (${code.length} CHARS)`);
+  }
+
+  async playtest() {
+    const errors = await this.game.playtestLevel();
+    if (errors.length > 0) {
+      this.reportErrors('CANNOT PLAY');
+    }
+  }
+
+  /**
+   * Show the first validation error, all of them in the browser console
+   */
+  reportErrors(prefix) {
+    const errors = this.editor.validate();
+    console.warn(`[EDITOR] ${prefix.toLowerCase()}:\n${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}`);
+    this.showMessage(`${prefix}: ${errors[0].message}`, 5);
+  }
+
+  showMessage(text, duration = this.messageDuration) {
+    this.message = text;
+    this.messageTimer = duration;
+  }
+
+  /**
+   * Rebuild the preview after a change
+   */
+  refresh() {
+    const level = this.editor.toLevelData();
+    this.errors = this.editor.validate();
+
+    this.preview.currentLevel = level;
+    this.preview.parseTiles();
+
+    this.previewEntities = level.entities
+      .filter(data => !data.hidden && getEntityClass(data.type))
+      .map(data => getEntityClass(data.type).fromLevelData(data));
+    this.previewPlayer = new Player(level.startPosition.x, level.startPosition.y);
+  }
+
+  getCameraFocus() {
+    return [
+      (this.cursor.x + 0.5) * CONFIG.TILE_SIZE,
+      (this.cursor.y + 0.5) * CONFIG.TILE_SIZE,
+      this.editor.width * CONFIG.TILE_SIZE,
+      this.editor.height * CONFIG.TILE_SIZE,
+    ];
+  }
+
+  update(dt) {
+    this.camera.follow(dt, ...this.getCameraFocus());
+
+    if (this.messageTimer > 0) {
+      this.messageTimer = Math.max(0, this.messageTimer - dt);
+    }
+  }
+
+  render() {
+    const renderer = this.renderer;
+    const ctx = renderer.ctx;
+    const spriteManager = this.game.spriteManager;
+    const editor = this.editor;
+    const tile = CONFIG.TILE_SIZE;
+
+    // Info bars in the timer border
+    renderer.drawRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT, CONFIG.COLORS.DARK);
+
+    ctx.save();
+    ctx.translate(CONFIG.TIMER_BORDER, CONFIG.TIMER_BORDER);
+    ctx.beginPath();
+    ctx.rect(0, 0, CONFIG.GAME_AREA_WIDTH, CONFIG.GAME_AREA_HEIGHT);
+    ctx.clip();
+    this.camera.apply(ctx);
+
+    // Level
+    renderer.drawRect(0, 0, editor.width * tile, editor.height * tile, CONFIG.COLORS.LIGHT);
+    this.preview.render(renderer, spriteManager);
+    for (const entity of this.previewEntities) {
+      entity.render(renderer, spriteManager);
+    }
+    this.previewPlayer.render(renderer, spriteManager);
+    this.renderMarkers();
+    renderer.drawGrid(editor.width, editor.height);
+
+    // Cursor
+    renderer.drawRectOutline(this.cursor.x * tile, this.cursor.y * tile, tile, tile, CONFIG.COLORS.DARK, 3);
+    renderer.drawRectOutline(this.cursor.x * tile + 1, this.cursor.y * tile + 1, tile - 2, tile - 2, CONFIG.COLORS.LIGHT, 1);
+
+    ctx.restore();
+
+    this.renderBars();
+
+    if (this.showHelp) {
+      this.renderHelp();
+    }
+  }
+
+  /**
+   * Editor-only marks: ball directions, hidden items, portal destinations, power-up targets,
+   * gate links, teleporter destinations
+   */
+  renderMarkers() {
+    const ctx = this.renderer.ctx;
+    const tile = CONFIG.TILE_SIZE;
+    const center = (value) => (value + 0.5) * tile;
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 10px "Courier New", monospace';
+    ctx.textAlign = 'left';
+
+    for (const data of this.editor.entities) {
+      ctx.strokeStyle = CONFIG.COLORS.DARK;
+      ctx.setLineDash([]);
+
+      if (data.type === 'ball') {
+        this.drawLine(center(data.x), center(data.y), center(data.x) + data.vx * 14, center(data.y) + data.vy * 14);
+      }
+
+      if (data.hidden) {
+        const label = data.type === 'powerup' ? data.powerType[0].toUpperCase() : 'O';
+        this.renderer.drawRect(data.x * tile + 2, data.y * tile + 2, 11, 12, CONFIG.COLORS.LIGHT);
+        ctx.fillStyle = CONFIG.COLORS.DARK;
+        ctx.fillText(label, data.x * tile + 4, data.y * tile + 12);
+      }
+
+      if (data.type === 'portal') {
+        ctx.setLineDash([4, 3]);
+        this.drawLine(center(data.x), center(data.y), center(data.destinationX), center(data.destinationY));
+        ctx.setLineDash([]);
+        this.renderer.drawRectOutline(data.destinationX * tile + 8, data.destinationY * tile + 8, tile - 16, tile - 16, CONFIG.COLORS.DARK, 2);
+      }
+
+      for (const target of Object.values(data.targets || {})) {
+        ctx.strokeStyle = CONFIG.COLORS.MID_DARK;
+        ctx.setLineDash([2, 2]);
+        this.drawLine(center(data.x), center(data.y), center(target.x), center(target.y));
+      }
+    }
+
+    // Gate links, from each plate or switch to its gates; "+" on gates opening with any input,
+    // "!" on inverted gates
+    ctx.strokeStyle = CONFIG.COLORS.DARK;
+    ctx.setLineDash([6, 2]);
+    for (const gate of this.editor.triggers) {
+      if (gate.type !== 'gate') continue;
+
+      for (const id of gate.inputs) {
+        const input = this.editor.triggers.find(trigger => trigger.id === id);
+        if (input) {
+          this.drawLine(center(input.x), center(input.y), center(gate.x), center(gate.y));
+        }
+      }
+
+      const label = `${gate.require === 'any' ? '+' : ''}${gate.inverted ? '!' : ''}`;
+      if (label) {
+        this.renderer.drawRect(gate.x * tile + 2, gate.y * tile + 2, label.length * 6 + 5, 12, CONFIG.COLORS.LIGHT);
+        ctx.fillStyle = CONFIG.COLORS.DARK;
+        ctx.fillText(label, gate.x * tile + 4, gate.y * tile + 12);
+      }
+    }
+    ctx.setLineDash([]);
+
+    // Teleporter channels (the marks on the tiles repeat after 12 channels), and teleporters
+    // leading to a chosen teleporter instead of the next one of their channel
+    for (const teleporter of this.editor.teleporters) {
+      const label = String(teleporter.channel);
+      this.renderer.drawRect(teleporter.x * tile + 2, teleporter.y * tile + 2, label.length * 6 + 5, 12, CONFIG.COLORS.LIGHT);
+      ctx.fillStyle = CONFIG.COLORS.DARK;
+      ctx.fillText(label, teleporter.x * tile + 4, teleporter.y * tile + 12);
+
+      const destination = this.editor.teleporters.find(other => other.id === teleporter.to);
+      if (!destination) continue;
+
+      ctx.setLineDash([4, 3]);
+      this.drawLine(center(teleporter.x), center(teleporter.y), center(destination.x), center(destination.y));
+      ctx.setLineDash([]);
+      this.renderer.drawRectOutline(destination.x * tile + 8, destination.y * tile + 8, tile - 16, tile - 16, CONFIG.COLORS.DARK, 2);
+    }
+
+    // Two-step tool in progress
+    const pending = this.editor.pendingPortal || this.editor.selectedPowerUp || this.editor.selectedTrigger ||
+      this.editor.selectedTeleporter;
+    if (pending) {
+      ctx.setLineDash([3, 3]);
+      this.renderer.drawRectOutline(pending.x * tile + 2, pending.y * tile + 2, tile - 4, tile - 4, CONFIG.COLORS.MID_DARK, 2);
+    }
+
+    ctx.restore();
+  }
+
+  drawLine(fromX, fromY, toX, toY) {
+    const ctx = this.renderer.ctx;
+    ctx.beginPath();
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
+    ctx.stroke();
+  }
+
+  /**
+   * Level info on the top border, tool and status on the bottom border
+   */
+  renderBars() {
+    const ctx = this.renderer.ctx;
+    const editor = this.editor;
+
+    ctx.save();
+    ctx.font = '10px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.fillText(`${editor.width}x${editor.height} ${editor.music} / ${editor.clearMusic}`, 4, 11);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = this.errors.length > 0 ? CONFIG.COLORS.MID_LIGHT : CONFIG.COLORS.LIGHT;
+    ctx.fillText(this.errors.length > 0 ? `${this.errors.length} ERROR(S)` : 'VALID', CONFIG.CANVAS_WIDTH - 4, 11);
+
+    const bottomY = CONFIG.CANVAS_HEIGHT - 5;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    const status = this.messageTimer > 0
+      ? this.message
+      : `${this.tool.label.toUpperCase()}  (${this.cursor.x}, ${this.cursor.y})`;
+    ctx.fillText(status, 4, bottomY, CONFIG.CANVAS_WIDTH - 8);
+
+    ctx.restore();
+  }
+
+  renderHelp() {
+    const ctx = this.renderer.ctx;
+    const lineHeight = 14;
+    const top = (CONFIG.CANVAS_HEIGHT - HELP_LINES.length * lineHeight) / 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(15, 56, 15, 0.9)';
+    ctx.fillRect(8, top - 16, CONFIG.CANVAS_WIDTH - 16, HELP_LINES.length * lineHeight + 20);
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = '10px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    HELP_LINES.forEach((line, index) => {
+      ctx.fillText(line, 16, top + index * lineHeight);
+    });
+    ctx.restore();
+  }
+}
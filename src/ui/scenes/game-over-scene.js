@@ -0,0 +1,58 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Game over overlay
+ */
+export class GameOverScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.isOverlay = true;
+  }
+
+  enter() {
+    this.game.audioManager.playMusic('game-over');
+    console.log('Game Over! Final Score:', this.game.state.score);
+  }
+
+  handleInput(input) {
+    if (input.actionJustPressed || input.pauseJustPressed) {
+      // Custom levels go back to where they were started from
+      if (!this.game.leaveCustomLevel()) {
+        this.game.init();
+      }
+    }
+  }
+
+  /**
+   * Render game over screen
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const centerX = CONFIG.CANVAS_WIDTH / 2;
+    const centerY = CONFIG.CANVAS_HEIGHT / 2;
+
+    // Semi-transparent overlay
+    ctx.fillStyle = 'rgba(15, 56, 15, 0.85)';
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Game Over text
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.font = 'bold 28px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('GAME OVER', centerX, centerY - 30);
+
+    // Score
+    ctx.font = '16px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+    ctx.fillText(`Final Score: ${this.game.state.score}`, centerX, centerY + 10);
+    ctx.fillText(`Level Reached: ${this.game.state.level}`, centerX, centerY + 35);
+
+    // Restart instruction
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.fillText('PRESS SPACE TO RESTART', centerX, centerY + 70);
+
+    ctx.textAlign = 'left';
+  }
+}
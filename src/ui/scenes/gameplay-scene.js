@@ -0,0 +1,191 @@
+import { CONFIG } from '../../config.js';
+import { GameState } from '../game-states.js';
+import { Camera } from '../../engine/camera.js';
+import { GameEvent } from '../../engine/event-bus.js';
+import { Scene } from './scene.js';
+
+/**
+ * Gameplay: runs the simulation and draws the level
+ */
+export class GameplayScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.allowsDevShortcuts = true;
+
+    // Follows Snoopy in levels bigger than the screen
+    this.camera = new Camera();
+    this.unsubscribeSessionStarted = null;
+
+    // Playtest: T goes back to the editor (held when coming from the editor, so wait for a release)
+    this.editorKeyPressed = true;
+  }
+
+  enter() {
+    // Jump to Snoopy when a level starts, and now (resumed snapshot)
+    this.unsubscribeSessionStarted = this.game.events.on(GameEvent.SESSION_STARTED, () => this.updateCamera());
+    this.updateCamera();
+  }
+
+  exit() {
+    this.unsubscribeSessionStarted?.();
+  }
+
+  /**
+   * Move the camera towards Snoopy (smoothly with a delta time, at once without)
+   * @param {number} [dt] - Delta time in seconds
+   */
+  updateCamera(dt = null) {
+    const { player, levelManager } = this.game;
+    if (!player || !levelManager.currentLevel) return;
+
+    const levelWidth = levelManager.width * CONFIG.TILE_SIZE;
+    const levelHeight = levelManager.height * CONFIG.TILE_SIZE;
+    if (dt === null) {
+      this.camera.snap(player.getCenterX(), player.getCenterY(), levelWidth, levelHeight);
+    } else {
+      this.camera.follow(dt, player.getCenterX(), player.getCenterY(), levelWidth, levelHeight);
+    }
+  }
+
+  handleInput(input) {
+    const game = this.game;
+
+    // Don't allow pause during:
+    // - "Ready? Go!" animation
+    // - Snoopy's victory animation
+    // - Snoopy's defeat animation
+    const canPause = game.player &&
+                    !game.readyGo?.isActive &&
+                    !game.player?.isVictorious &&
+                    !game.player?.isDefeated;
+
+    // Always track the pause button so holding it does not pause on the next frame
+    if (game.isPauseJustPressed(input) && canPause) {
+      game.scenes.push('pause');
+    }
+
+    const editorKey = game.inputManager.keys['t'] || game.inputManager.keys['T'];
+    if (editorKey && !this.editorKeyPressed && game.isPlaytesting) {
+      game.openEditor();
+    }
+    this.editorKeyPressed = !!editorKey;
+  }
+
+  update(dt) {
+    // The simulation switches state itself (level complete, game over...)
+    if (this.game.state.currentState === GameState.PLAYING) {
+      this.game.update(dt);
+    }
+    this.updateCamera(dt);
+  }
+
+  render() {
+    const game = this.game;
+    const renderer = this.renderer;
+    const spriteManager = game.spriteManager;
+
+    if (!game.levelManager.currentLevel) return;
+
+    // Draw timer border
+    renderer.drawTimerBorder(spriteManager, game.timer);
+
+    // Save context and translate for game area
+    const ctx = renderer.ctx;
+    ctx.save();
+    ctx.translate(CONFIG.TIMER_BORDER, CONFIG.TIMER_BORDER);
+
+    // Clip to the game area (the level may be bigger than the screen), dark outside the level
+    ctx.beginPath();
+    ctx.rect(0, 0, CONFIG.GAME_AREA_WIDTH, CONFIG.GAME_AREA_HEIGHT);
+    ctx.clip();
+    renderer.drawRect(0, 0, CONFIG.GAME_AREA_WIDTH, CONFIG.GAME_AREA_HEIGHT, CONFIG.COLORS.DARK);
+
+    // Scroll to the camera position
+    this.camera.apply(ctx);
+    const levelManager = game.levelManager;
+    renderer.drawRect(0, 0, levelManager.width * CONFIG.TILE_SIZE, levelManager.height * CONFIG.TILE_SIZE, CONFIG.COLORS.LIGHT);
+
+    // Render level (static tiles)
+    game.levelManager.render(renderer, spriteManager);
+
+    // Render entities
+    game.entityManager.render(renderer, spriteManager);
+
+    // Render animating blocks on top of entities (so they stay in foreground)
+    game.levelManager.renderAnimatingBlocks(renderer, spriteManager);
+
+    // Render grid overlay
+    renderer.drawGrid(levelManager.width, levelManager.height);
+
+    // Restore context
+    ctx.restore();
+
+    // Render "Ready? Go!" if active
+    if (game.readyGo.isActive && spriteManager.sprites.ready_go) {
+      // Calculate center position (2x scale)
+      const spriteWidth = 128;  // 64 * 2
+      const spriteHeight = 16;   // 8 * 2
+      const x = (CONFIG.CANVAS_WIDTH - spriteWidth) / 2;
+      const y = (CONFIG.CANVAS_HEIGHT - spriteHeight) / 2;
+
+      spriteManager.drawReadyGo(renderer, x, y, spriteWidth, spriteHeight);
+    }
+
+    // Dev mode: Display level info and god mode
+    if (CONFIG.DEV_MODE && game.showDevInfo) {
+      this.renderDevInfo();
+    }
+  }
+
+  /**
+   * Dev info box (level, Snoopy position, god mode/noclip indicators)
+   */
+  renderDevInfo() {
+    const game = this.game;
+    const ctx = this.renderer.ctx;
+    ctx.save();
+
+    // Level info box
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(10, 10, 180, 112);
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 12px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    const zone = game.manifest.getZone(game.state.level);
+    ctx.fillText(`LEVEL: ${game.state.level} ${zone ? `(ZONE ${zone.id})` : '(DEV)'}`, 20, 28);
+
+    // Snoopy position
+    if (game.player) {
+      const snoopyX = game.player.getGridX();
+      const snoopyY = game.player.getGridY();
+      ctx.fillText(`SNOOPY: (${snoopyX}, ${snoopyY})`, 20, 42);
+    }
+
+    ctx.fillText(`Press 0-9 to jump`, 20, 56);
+    ctx.fillText(`Press G for God Mode`, 20, 70);
+    ctx.fillText(`Press H to hide`, 20, 84);
+    ctx.fillText(`Press CMD+SHIFT for console`, 20, 98);
+
+    // God mode indicator
+    let yOffset = 118;
+    if (game.player && game.player.godMode) {
+      ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
+      ctx.fillRect(10, yOffset, 100, 24);
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+      ctx.font = 'bold 14px "Courier New", monospace';
+      ctx.fillText(`GOD MODE`, 20, yOffset + 17);
+      yOffset += 28;
+    }
+
+    // Noclip mode indicator
+    if (game.player && game.player.noclipMode) {
+      ctx.fillStyle = 'rgba(138, 43, 226, 0.9)';
+      ctx.fillRect(10, yOffset, 100, 24);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+      ctx.font = 'bold 14px "Courier New", monospace';
+      ctx.fillText(`NOCLIP`, 20, yOffset + 17);
+    }
+
+    ctx.restore();
+  }
+}
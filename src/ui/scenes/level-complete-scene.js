@@ -0,0 +1,89 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Level complete overlay: counts the remaining timer segments as a time bonus
+ */
+export class LevelCompleteScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.isOverlay = true;
+
+    // Time bonus animation
+    this.timeBonusActive = false;
+    this.timeBonusTask = 0; // UI scheduler task filling the segments
+    this.segmentSpeed = 0.08; // Time per segment (50ms - 2x faster)
+  }
+
+  enter() {
+    // Play stage clear music
+    this.game.audioManager.playMusic('stage-clear');
+
+    this.timeBonusActive = true;
+    this.timeBonusTask = this.game.uiScheduler.every(this.segmentSpeed, () => this.fillTimeBonusSegment());
+  }
+
+  exit() {
+    this.game.uiScheduler.cancel(this.timeBonusTask);
+  }
+
+  /**
+   * Fill one timer segment of the time bonus (100 points each)
+   */
+  fillTimeBonusSegment() {
+    const game = this.game;
+
+    // No bonus on levels without a timer
+    if (game.timer.enabled && game.timer.filledSegments < game.timer.totalSegments) {
+      game.timer.filledSegments++;
+      game.addScore(100);
+      // Play timer sound for each segment
+      game.audioManager.playSfx('timer');
+    } else {
+      // Animation finished
+      this.timeBonusActive = false;
+      game.uiScheduler.cancel(this.timeBonusTask);
+    }
+  }
+
+  handleInput(input) {
+    // Only allow continuing when time bonus animation is finished
+    if ((input.actionJustPressed || input.pauseJustPressed) && !this.timeBonusActive) {
+      this.game.continueToNextLevel();
+    }
+  }
+
+  /**
+   * Render level complete screen
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const centerX = CONFIG.CANVAS_WIDTH / 2;
+    const centerY = CONFIG.CANVAS_HEIGHT / 2;
+
+    // Semi-transparent overlay (lighter to see the timer)
+    ctx.fillStyle = 'rgba(15, 56, 15, 0.5)';
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Level complete text
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 20px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('LEVEL COMPLETE!', centerX, centerY - 50);
+
+    // Current score display - larger and more visible
+    ctx.font = 'bold 20px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.fillText(`SCORE: ${this.game.state.score}`, centerX, centerY - 10);
+
+    // Show continue instruction only when animation is finished
+    if (!this.timeBonusActive || this.game.timer.filledSegments >= this.game.timer.totalSegments) {
+      ctx.font = 'bold 16px "Courier New", monospace';
+      const blinkOpacity = 0.5 + Math.abs(Math.sin(Date.now() / 400)) * 0.5;
+      ctx.fillStyle = `rgba(155, 188, 15, ${blinkOpacity})`;
+      ctx.fillText('PRESS SPACE TO CONTINUE', centerX, centerY + 35);
+    }
+
+    ctx.textAlign = 'left';
+  }
+}
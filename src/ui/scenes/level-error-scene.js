@@ -0,0 +1,95 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Dev mode report of a level that failed validation (LevelValidationError)
+ */
+export class LevelErrorScene extends Scene {
+  constructor(game) {
+    super(game);
+
+    // Jump to another level with 0-9 to keep working
+    this.allowsDevShortcuts = true;
+
+    this.error = null;
+    this.lineHeight = 12;
+  }
+
+  enter(data) {
+    this.error = data.error;
+  }
+
+  handleInput(input) {
+    if (input.actionJustPressed) {
+      this.game.scenes.switchTo('menu');
+    }
+  }
+
+  /**
+   * Render the error list
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const margin = 12;
+    const maxWidth = CONFIG.CANVAS_WIDTH - margin * 2;
+
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Title
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 14px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`LEVEL ${this.error.level} IS INVALID`, margin, 24);
+
+    // Errors (as many as fit, the full list is in the browser console)
+    ctx.font = '10px "Courier New", monospace';
+    const footerY = CONFIG.CANVAS_HEIGHT - margin;
+    const lastLineY = footerY - this.lineHeight * 2;
+    let y = 44;
+
+    for (let i = 0; i < this.error.errors.length; i++) {
+      const { path, message } = this.error.errors[i];
+      const lines = this.wrapText(ctx, `${path}: ${message}`, maxWidth);
+
+      if (y + (lines.length - 1) * this.lineHeight > lastLineY) {
+        ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+        ctx.fillText(`+${this.error.errors.length - i} more (see console)`, margin, y);
+        break;
+      }
+
+      ctx.fillStyle = i % 2 === 0 ? CONFIG.COLORS.LIGHT : CONFIG.COLORS.MID_LIGHT;
+      for (const line of lines) {
+        ctx.fillText(line, margin, y);
+        y += this.lineHeight;
+      }
+    }
+
+    // Instructions
+    ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+    ctx.fillText('ENTER: MENU   0-9: LOAD LEVEL', margin, footerY);
+  }
+
+  /**
+   * Split text into lines that fit a width (long words are cut)
+   */
+  wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (ctx.measureText(candidate).width <= maxWidth || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    if (line) {
+      lines.push(line);
+    }
+
+    return lines;
+  }
+}
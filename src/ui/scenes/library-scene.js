@@ -0,0 +1,226 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Custom level library: levels imported from JSON files (game.customLevels),
+ * with play, edit, rename and delete
+ */
+export class LibraryScene extends Scene {
+  constructor(game) {
+    super(game);
+
+    this.selectedIndex = 0;
+    this.firstVisible = 0;
+    this.visibleRows = 12;
+    this.rowHeight = 16;
+    this.pendingDeleteId = null; // Entry waiting for the second delete press
+
+    // Status line message
+    this.message = '';
+    this.messageTimer = 0;
+
+    this.onKeyDown = (event) => this.handleKey(event);
+  }
+
+  get entries() {
+    return this.game.customLevels.list();
+  }
+
+  get selected() {
+    return this.entries[this.selectedIndex] || null;
+  }
+
+  /**
+   * @param {object} data
+   * @param {number|null} [data.selectId] - Entry to select
+   * @param {Array} [data.results] - Import results (see Game.importLevelFiles), summarized in the status line
+   */
+  enter(data = {}) {
+    window.addEventListener('keydown', this.onKeyDown);
+    this.ignoreHeldKeys();
+
+    const index = this.entries.findIndex(entry => entry.id === data.selectId);
+    this.select(index >= 0 ? index : 0);
+
+    if (data.results) {
+      this.showImportResults(data.results);
+    }
+  }
+
+  exit() {
+    window.removeEventListener('keydown', this.onKeyDown);
+  }
+
+  handleKey(event) {
+    if (this.game.devConsole?.isOpen || event.metaKey || event.ctrlKey || this.isHeldKeyRepeat(event)) return;
+
+    const key = event.key;
+    const lower = key.toLowerCase();
+    const entry = this.selected;
+
+    if (key === 'ArrowUp' || key === 'ArrowDown') {
+      this.select(this.selectedIndex + (key === 'ArrowUp' ? -1 : 1));
+    } else if ((key === ' ' || key === 'Enter') && entry) {
+      this.game.playLibraryLevel(entry.id);
+    } else if (lower === 'e' && entry) {
+      this.game.openEditor(entry.level);
+    } else if (lower === 'r' && entry) {
+      this.rename(entry);
+    } else if ((lower === 'x' || key === 'Delete') && entry) {
+      this.remove(entry);
+    } else if (lower === 'i') {
+      this.pickFiles();
+    } else if (key === 'Escape') {
+      this.game.scenes.switchTo('menu');
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+  }
+
+  select(index) {
+    const count = this.entries.length;
+    this.selectedIndex = count === 0 ? 0 : Math.max(0, Math.min(index, count - 1));
+    this.pendingDeleteId = null;
+
+    // Keep the selection in the visible rows
+    if (this.selectedIndex < this.firstVisible) {
+      this.firstVisible = this.selectedIndex;
+    } else if (this.selectedIndex >= this.firstVisible + this.visibleRows) {
+      this.firstVisible = this.selectedIndex - this.visibleRows + 1;
+    }
+  }
+
+  rename(entry) {
+    const name = window.prompt('Level name', entry.name);
+    if (name === null) return;
+
+    if (this.game.customLevels.rename(entry.id, name)) {
+      this.showMessage('RENAMED');
+    } else if (name.trim() !== '') {
+      this.showMessage('CANNOT SAVE THE LIBRARY');
+    }
+  }
+
+  /**
+   * Delete on the second press
+   */
+  remove(entry) {
+    if (this.pendingDeleteId !== entry.id) {
+      this.pendingDeleteId = entry.id;
+      this.showMessage('PRESS X AGAIN TO DELETE');
+      return;
+    }
+
+    if (!this.game.customLevels.remove(entry.id)) {
+      this.pendingDeleteId = null;
+      this.showMessage('CANNOT SAVE THE LIBRARY');
+      return;
+    }
+
+    this.select(this.selectedIndex);
+    this.showMessage('DELETED');
+  }
+
+  /**
+   * Open the file picker (dropping files on the page works too)
+   */
+  pickFiles() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.multiple = true;
+    input.addEventListener('change', () => {
+      if (input.files.length > 0) {
+        this.game.importLevelFiles(input.files).catch(error => console.error('Cannot import the level files:', error));
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * Status line after an import: count of imported levels, or the first problem
+   */
+  showImportResults(results) {
+    const failed = results.filter(result => !result.entry);
+    const imported = results.length - failed.length;
+
+    if (failed.length === 0) {
+      this.showMessage(`${imported} LEVEL(S) IMPORTED`);
+    } else {
+      const { file, errors } = failed[0];
+      this.showMessage(`${file}: ${errors[0].message}${failed.length > 1 ? ` (+${failed.length - 1} FILE(S))` : ''}`, 6);
+    }
+  }
+
+  showMessage(text, duration = 3) {
+    this.message = text;
+    this.messageTimer = duration;
+  }
+
+  update(dt) {
+    if (this.messageTimer > 0) {
+      this.messageTimer = Math.max(0, this.messageTimer - dt);
+    }
+  }
+
+  render() {
+    const ctx = this.renderer.ctx;
+    const margin = 12;
+    const entries = this.entries;
+
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Title
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 14px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText('CUSTOM LEVELS', margin, 24);
+
+    ctx.font = '10px "Courier New", monospace';
+
+    if (entries.length === 0) {
+      ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+      ctx.fillText('NO LEVELS YET', margin, 60);
+      ctx.fillText('DROP A LEVEL JSON FILE HERE', margin, 80);
+      ctx.fillText('OR PRESS I TO PICK ONE', margin, 96);
+    }
+
+    // Entries (name and size)
+    const top = 44;
+    const visible = entries.slice(this.firstVisible, this.firstVisible + this.visibleRows);
+    visible.forEach((entry, row) => {
+      const index = this.firstVisible + row;
+      const y = top + row * this.rowHeight;
+
+      if (index === this.selectedIndex) {
+        ctx.fillStyle = CONFIG.COLORS.MID_DARK;
+        ctx.fillRect(margin - 4, y - 11, CONFIG.CANVAS_WIDTH - (margin - 4) * 2, this.rowHeight - 1);
+      }
+
+      ctx.fillStyle = index === this.selectedIndex ? CONFIG.COLORS.LIGHT : CONFIG.COLORS.MID_LIGHT;
+      ctx.textAlign = 'left';
+      ctx.fillText(entry.name, margin, y, CONFIG.CANVAS_WIDTH - margin * 2 - 48);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${entry.level.width}x${entry.level.height}`, CONFIG.CANVAS_WIDTH - margin, y);
+    });
+
+    if (this.firstVisible + this.visibleRows < entries.length) {
+      ctx.textAlign = 'left';
+      ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+      ctx.fillText(`+${entries.length - this.firstVisible - this.visibleRows} MORE`, margin, top + this.visibleRows * this.rowHeight);
+    }
+
+    // Status and instructions
+    ctx.textAlign = 'left';
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    if (this.messageTimer > 0) {
+      ctx.fillText(this.message, margin, CONFIG.CANVAS_HEIGHT - 28, CONFIG.CANVAS_WIDTH - margin * 2);
+    }
+    ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+    ctx.fillText('SPACE PLAY  E EDIT  R RENAME  X DELETE', margin, CONFIG.CANVAS_HEIGHT - 14);
+    ctx.fillText('I IMPORT FILE  ESC MENU', margin, CONFIG.CANVAS_HEIGHT - 4);
+  }
+}
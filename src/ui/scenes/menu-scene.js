@@ -0,0 +1,160 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Title screen shortcuts (N, not G: G toggles god mode in dev mode once the level starts)
+ */
+const MENU_KEYS = ['e', 'l', 'n'];
+
+/**
+ * Title screen
+ */
+export class MenuScene extends Scene {
+  constructor(game) {
+    super(game);
+
+    // Title screen Snoopy animation
+    this.titleSnoopyFrame = 0;
+    this.titleSnoopyAnimationSpeed = 0.2; // Speed of animation (50% faster)
+    this.titleSnoopyFrameCount = 3; // Number of frames in the sprite
+    this.titleSnoopyTask = 0;
+
+    // Menu keys held on the previous frame: shortcuts fire on press, so a held key
+    // is not carried into the scene it opens
+    this.previousKeys = {};
+  }
+
+  enter() {
+    // A key still held when arriving here waits to be released
+    this.previousKeys = this.getMenuKeys();
+
+    this.game.audioManager.playMusic('title');
+
+    this.titleSnoopyTask = this.game.uiScheduler.every(this.titleSnoopyAnimationSpeed, () => {
+      this.titleSnoopyFrame = (this.titleSnoopyFrame + 1) % this.titleSnoopyFrameCount;
+    });
+  }
+
+  exit() {
+    this.game.audioManager.stopMusic();
+    this.game.uiScheduler.cancel(this.titleSnoopyTask);
+  }
+
+  handleInput(input) {
+    const keys = this.getMenuKeys();
+    const previousKeys = this.previousKeys;
+    const justPressed = (key) => keys[key] && !previousKeys[key];
+    this.previousKeys = keys;
+
+    if (input.actionJustPressed || input.pauseJustPressed) {
+      this.game.init();
+    } else if (justPressed('e')) {
+      this.game.openEditor();
+    } else if (justPressed('l')) {
+      this.game.scenes.switchTo('library');
+    } else if (justPressed('n')) {
+      this.game.playEndlessLevel();
+    }
+  }
+
+  /**
+   * Which menu keys are held (either case)
+   */
+  getMenuKeys() {
+    const held = this.game.inputManager.keys;
+    return Object.fromEntries(MENU_KEYS.map(key => [key, Boolean(held[key] || held[key.toUpperCase()])]));
+  }
+
+  /**
+   * Render the main menu
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const centerX = CONFIG.CANVAS_WIDTH / 2;
+    const centerY = CONFIG.CANVAS_HEIGHT / 2;
+
+    // Semi-transparent background
+    ctx.fillStyle = 'rgba(15, 56, 15, 0.9)';
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Title
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 24px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText("SNOOPY'S", centerX, centerY - 90);
+    ctx.fillText('MAGIC SHOW', centerX, centerY - 60);
+
+    // Animated Snoopy sprite from title screen
+    const spriteManager = this.game.spriteManager;
+
+    if (spriteManager && spriteManager.isLoaded()) {
+      // Sprite is 48x64, scale 2x for better visibility
+      const spriteWidth = 48 * 2;
+      const spriteHeight = 64 * 2;
+      const spriteX = centerX - spriteWidth / 2;
+      const spriteY = centerY - spriteHeight / 2 + 20;
+
+      spriteManager.drawTitleScreenSnoopy(
+        this.renderer,
+        this.titleSnoopyFrame,
+        spriteX,
+        spriteY,
+        spriteWidth,
+        spriteHeight
+      );
+    } else {
+      // Fallback to simple Snoopy if sprites not loaded
+      this.drawMenuSnoopy(centerX, centerY + 10);
+    }
+
+    // Instructions with blink effect
+    ctx.font = '14px "Courier New", monospace';
+    const blinkOpacity = Math.abs(Math.sin(Date.now() / 500));
+    ctx.fillStyle = `rgba(155, 188, 15, ${blinkOpacity})`;
+    ctx.fillText(this.game.pendingLevelCode ? 'SPACE: PLAY SHARED LEVEL' : 'PRESS SPACE TO START', centerX, centerY + 100);
+
+    ctx.font = '10px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+    ctx.fillText('E: EDITOR   L: CUSTOM LEVELS   N: ENDLESS', centerX, centerY + 118);
+
+    // Credits
+    ctx.font = '8px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.MID_DARK;
+    ctx.fillText('Game Boy Style Recreation', centerX, CONFIG.CANVAS_HEIGHT - 10);
+
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Draw a simple Snoopy for the menu
+   */
+  drawMenuSnoopy(x, y) {
+    const ctx = this.renderer.ctx;
+
+    // Body
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.fillRect(x - 20, y, 40, 35);
+
+    // Outline
+    ctx.strokeStyle = CONFIG.COLORS.DARK;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 20, y, 40, 35);
+
+    // Ears
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.beginPath();
+    ctx.arc(x - 12, y + 8, 8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(x + 12, y + 8, 8, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Eyes
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.fillRect(x - 10, y + 15, 4, 4);
+    ctx.fillRect(x + 6, y + 15, 4, 4);
+
+    // Nose
+    ctx.fillRect(x - 2, y + 22, 4, 6);
+  }
+}
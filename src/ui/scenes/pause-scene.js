@@ -0,0 +1,55 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Pause overlay (gameplay is frozen below it)
+ */
+export class PauseScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.isOverlay = true;
+    this.allowsDevShortcuts = true;
+  }
+
+  enter() {
+    this.game.audioManager.playSfx('pause');
+    this.game.audioManager.pauseMusic();
+  }
+
+  exit() {
+    // Resume music (no sound effect on unpause)
+    this.game.audioManager.resumeMusic();
+  }
+
+  handleInput(input) {
+    if (this.game.isPauseJustPressed(input)) {
+      this.game.scenes.pop();
+    }
+  }
+
+  /**
+   * Render paused screen
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const centerX = CONFIG.CANVAS_WIDTH / 2;
+    const centerY = CONFIG.CANVAS_HEIGHT / 2;
+
+    // Semi-transparent overlay
+    ctx.fillStyle = 'rgba(15, 56, 15, 0.7)';
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Paused text
+    ctx.fillStyle = CONFIG.COLORS.LIGHT;
+    ctx.font = 'bold 24px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('PAUSED', centerX, centerY);
+
+    // Resume instruction
+    ctx.font = '12px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.MID_LIGHT;
+    ctx.fillText('PRESS P TO RESUME', centerX, centerY + 30);
+
+    ctx.textAlign = 'left';
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Base scene: one screen or overlay of the game (menu, gameplay, pause...)
+ * Scenes live on the SceneManager stack; only the top scene gets input and updates.
+ */
+export class Scene {
+  constructor(game) {
+    this.game = game;
+    this.renderer = game.renderer;
+
+    // Overlays are drawn over the scene below them (pause over gameplay)
+    this.isOverlay = false;
+
+    // Dev shortcuts (0-9, G, H) are allowed while this scene is on top
+    this.allowsDevShortcuts = false;
+  }
+
+  /**
+   * Called when the scene is pushed on the stack
+   * @param {object} data - Data passed to push/replace/switchTo
+   */
+  enter(data) {
+    // Override in subclasses
+  }
+
+  /**
+   * Called when the scene is removed from the stack
+   */
+  exit() {
+    // Override in subclasses
+  }
+
+  /**
+   * Called when another scene is pushed over this one
+   */
+  pause() {
+    // Override in subclasses
+  }
+
+  /**
+   * Called when the scene above this one is popped
+   */
+  resume() {
+    // Override in subclasses
+  }
+
+  /**
+   * Remember the keys held when the scene opens (e.g. the title screen shortcut that opened it):
+   * for scenes reading key events, their key repeat is ignored until they are pressed again
+   */
+  ignoreHeldKeys() {
+    const keys = this.game.inputManager.keys;
+    this.heldKeys = new Set(Object.keys(keys).filter(key => keys[key]));
+  }
+
+  /**
+   * Check if a key event is the key repeat of a key held when the scene opened (see ignoreHeldKeys)
+   */
+  isHeldKeyRepeat(event) {
+    if (!this.heldKeys?.has(event.key)) return false;
+    if (event.repeat) return true;
+
+    this.heldKeys.delete(event.key);
+    return false;
+  }
+
+  /**
+   * Handle input once per frame (top scene only)
+   */
+  handleInput(input) {
+    // Override in subclasses
+  }
+
+  /**
+   * Fixed-step update (top scene only)
+   */
+  update(dt) {
+    // Override in subclasses
+  }
+
+  /**
+   * Draw the scene
+   */
+  render() {
+    // Override in subclasses
+  }
+}
@@ -0,0 +1,93 @@
+import { CONFIG } from '../../config.js';
+import { Scene } from './scene.js';
+
+/**
+ * Victory screen (all levels complete)
+ */
+export class VictoryScene extends Scene {
+  constructor(game) {
+    super(game);
+    this.isOverlay = true;
+  }
+
+  enter() {
+    console.log('Victory! Final Score:', this.game.state.score);
+  }
+
+  handleInput(input) {
+    if (input.actionJustPressed || input.pauseJustPressed) {
+      this.game.init();
+    }
+  }
+
+  /**
+   * Render victory screen (all levels complete)
+   */
+  render() {
+    const ctx = this.renderer.ctx;
+    const centerX = CONFIG.CANVAS_WIDTH / 2;
+    const centerY = CONFIG.CANVAS_HEIGHT / 2;
+
+    // Background
+    ctx.fillStyle = 'rgba(139, 172, 15, 0.95)';
+    ctx.fillRect(0, 0, CONFIG.CANVAS_WIDTH, CONFIG.CANVAS_HEIGHT);
+
+    // Victory text with animation
+    const pulse = Math.sin(Date.now() / 200) * 3;
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.font = `bold ${24 + pulse}px "Courier New", monospace`;
+    ctx.textAlign = 'center';
+    ctx.fillText('CONGRATULATIONS!', centerX, centerY - 40);
+
+    ctx.font = '16px "Courier New", monospace';
+    ctx.fillText('You completed the show!', centerX, centerY - 10);
+
+    // Score
+    ctx.font = '18px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.MID_DARK;
+    ctx.fillText(`Final Score: ${this.game.state.score}`, centerX, centerY + 25);
+
+    // Stars
+    this.drawStars(centerX, centerY + 55);
+
+    // Restart
+    ctx.font = '12px "Courier New", monospace';
+    ctx.fillStyle = CONFIG.COLORS.DARK;
+    ctx.fillText('PRESS SPACE TO PLAY AGAIN', centerX, centerY + 90);
+
+    ctx.textAlign = 'left';
+  }
+
+  /**
+   * Draw victory stars
+   */
+  drawStars(x, y) {
+    const ctx = this.renderer.ctx;
+    ctx.fillStyle = '#FFD700';
+
+    for (let i = 0; i < 3; i++) {
+      const starX = x - 30 + i * 30;
+      const rotation = Date.now() / 500 + i;
+
+      ctx.save();
+      ctx.translate(starX, y);
+      ctx.rotate(rotation);
+
+      ctx.beginPath();
+      for (let j = 0; j < 5; j++) {
+        const angle = (j * 4 * Math.PI) / 5 - Math.PI / 2;
+        const px = Math.cos(angle) * 8;
+        const py = Math.sin(angle) * 8;
+        if (j === 0) {
+          ctx.moveTo(px, py);
+        } else {
+          ctx.lineTo(px, py);
+        }
+      }
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.restore();
+    }
+  }
+}